@@ -1,15 +1,15 @@
 // src/App.jsx
 import './App.css'
-import Signup from './components/Signup.jsx';
-import Login from './components/Login.jsx';
 import BodyMetricsDashboard from './components/BodyMetricsDashboard.jsx';
 import { useAuth } from './AuthContext.jsx';
-import { auth } from './firebase';
-import { signOut} from 'firebase/auth';
-import { useState } from 'react';
+import { lazy, Suspense, useState } from 'react';
+
+// The sign-up and login forms use Firebase Auth, so they are only loaded when shown (never in local mode)
+const Signup = lazy(() => import('./components/Signup.jsx'));
+const Login = lazy(() => import('./components/Login.jsx'));
 
 function App() {
-  const { currentUser, loading } = useAuth();
+  const { currentUser, loading, isLocalAuth, logout } = useAuth();
 
   // Wait until the auth state is loaded
   if (loading) {
@@ -19,7 +19,7 @@ function App() {
   const handleLogout = async () => {
     setError('');
     try {
-      await signOut(auth);
+      await logout();
       console.log("Logged out successfully!");
     } catch (error) {
       setError('Failed to log out: ' + error.message);
@@ -36,18 +36,20 @@ function App() {
       {/* Display components based on auth state */}
       {currentUser ? (
         <div>
-          <h1>Welcome, {currentUser.email}</h1>
+          <h1>Welcome, {currentUser.email || currentUser.displayName}</h1>
           {error && <p style={{ color: 'red' }}>{error}</p>}
-          <button onClick={handleLogout}>Logout</button>
+          {!isLocalAuth && <button onClick={handleLogout}>Logout</button>}
           <BodyMetricsDashboard />
         </div>
       ) : (
         <div>
           <h1>Welcome to Body Metrics</h1>
           {/* TODO: Add routing here to show only Signup OR Login */}
-          <Signup />
-          <br />
-          <Login />
+          <Suspense fallback={<div>Loading...</div>}>
+            <Signup />
+            <br />
+            <Login />
+          </Suspense>
         </div>
       )}
     </>
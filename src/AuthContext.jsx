@@ -1,42 +1,78 @@
 // src/AuthContext.js
 import React, { createContext, useContext, useEffect, useState } from 'react';
-import { auth } from './firebase';
-import { onAuthStateChanged } from 'firebase/auth';
+import { isLocalStorageBackend } from './services/storage/index.js';
 
 // Create a Context for the authentication state
 const AuthContext = createContext();
 
+// The user signed in when the app runs with a local storage backend; everything stays on this device, so there is one user
+const LOCAL_USER = { uid: 'local', email: '', displayName: 'Local user' };
+
 // Custom hook to use the AuthContext
 export const useAuth = () => {
     return useContext(AuthContext);
 };
 
 // Auth Provider component
+// With a local storage backend (see isLocalStorageBackend) the local user is signed in right away and Firebase is never loaded
 export const AuthProvider = ({ children }) => {
-    const [currentUser, setCurrentUser] = useState(null);
-    const [loading, setLoading] = useState(true);   // State to track if auth state is being loaded
+    const isLocalAuth = isLocalStorageBackend();
+    const [currentUser, setCurrentUser] = useState(isLocalAuth ? LOCAL_USER : null);
+    const [loading, setLoading] = useState(!isLocalAuth);   // State to track if auth state is being loaded
 
     useEffect(() => {
-        // onAuthStateChanged is a Firebase listener that triggers whenever the user's sign-in state changes (login, logout)
-        const unsubscribe = onAuthStateChanged(auth, (user) => {
-            setCurrentUser(user);
-            setLoading(false);
-        });
+        if (isLocalAuth) {
+            return undefined;
+        }
+
+        let unsubscribe = () => {};
+        let cancelled = false;
+
+        // Firebase is loaded on demand, so local mode runs without a Firebase project
+        Promise.all([import('./firebase'), import('firebase/auth')])
+            .then(([{ auth }, { onAuthStateChanged }]) => {
+                if (cancelled) {
+                    return;
+                }
+                // onAuthStateChanged is a Firebase listener that triggers whenever the user's sign-in state changes (login, logout)
+                unsubscribe = onAuthStateChanged(auth, (user) => {
+                    setCurrentUser(user);
+                    setLoading(false);
+                });
+            })
+            .catch((error) => {
+                console.error('Auth Error: ', error);
+                setLoading(false);
+            });
 
         // Clean up the listener when the component unmounts
-        return () => unsubscribe();
-    }, []); // Empty dependency array to ensure the effect runs only once
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
+    }, [isLocalAuth]); // Runs once; the backend does not change while the app runs
+
+    // Signs the user out; the local user cannot sign out
+    const logout = async () => {
+        if (isLocalAuth) {
+            return;
+        }
+        const [{ auth }, { signOut }] = await Promise.all([import('./firebase'), import('firebase/auth')]);
+        await signOut(auth);
+    };
 
     // The value provided by the context
     const value = {
         currentUser,
-        loading
+        loading,
+        isLocalAuth,
+        logout
     };
-    
+
     // Only render children when loading is false (auth state is known)
     return (
         <AuthContext.Provider value={value}>
             {!loading && children}
         </AuthContext.Provider>
     );
-};
\ No newline at end of file
+};
@@ -1,5 +1,6 @@
 // src/components/BodyMetricsDashboard.jsx
 import React, { useRef, useState, useMemo, useEffect } from 'react';
+import { addDays, differenceInCalendarDays } from 'date-fns';
 
 // Joy UI Imports
 import {
@@ -13,6 +14,9 @@ import {
     Table,
     FormControl,
     FormLabel,
+    Checkbox,
+    Chip,
+    Textarea,
     Divider
 } from '@mui/joy';
 
@@ -22,44 +26,230 @@ import { useAuth } from '../AuthContext.jsx';
 import useBodyMetrics from '../hooks/useBodyMetrics.js';
 import useCsvImport from '../hooks/useCsvImport.js';
 import useUserProfile from '../hooks/useUserProfile.js';
+import useTrash, { DEFAULT_TRASH_RETENTION_DAYS } from '../hooks/useTrash.js';
+import useIntake from '../hooks/useIntake.js';
 
 // Import calculation functions from utils
 import {
     calculateLinearRegression,
     calculateBmr,
+    BMR_EQUATIONS,
+    DEFAULT_BMR_EQUATION,
     calculateTdee,
+    ACTIVITY_LEVELS,
+    MIN_ACTIVITY_MULTIPLIER,
+    MAX_ACTIVITY_MULTIPLIER,
+    getActivityMultiplier,
+    getActivityOnDate,
+    getActivityMultiplierOnDate,
     predictWeightLinearDifference,
-    calculateAge
+    predictWeightHall,
+    PREDICTION_MODELS,
+    DEFAULT_PREDICTION_MODEL,
+    calculateAge,
+    aggregateDailyEntries,
+    DAILY_AGGREGATIONS,
+    DEFAULT_DAILY_AGGREGATION,
+    calculateTrend,
+    calculateTrendRates,
+    DEFAULT_TREND_SMOOTHING,
+    MIN_TREND_SMOOTHING,
+    MAX_TREND_SMOOTHING,
+    DEFAULT_TREND_RATE_DAYS,
+    estimateAdaptiveTdee,
+    TDEE_SOURCES,
+    DEFAULT_ADAPTIVE_TDEE_WINDOW_DAYS,
+    KCAL_PER_KG,
+    estimateBodyFat,
+    getSkinfoldSites,
+    BODY_FAT_METHODS,
+    SKINFOLD_SITES
 } from '../utils/calculations.js';
+import {
+    MASS_UNITS,
+    LENGTH_UNITS,
+    ENERGY_UNITS,
+    UNIT_SYSTEMS,
+    DEFAULT_UNIT_SYSTEM,
+    getUnitSystem,
+    isCompoundUnit,
+    fromKg,
+    formatMass,
+    formatEnergy,
+    formatMassInput,
+    formatLengthInput,
+    parseMass,
+    parseLength,
+    parseEnergy,
+    fromCm,
+    fromKcal,
+    toKg
+} from '../utils/units.js';
+import {
+    CIRCUMFERENCE_SITES,
+    parseCircumferences,
+    formatCircumferences
+} from '../utils/circumferences.js';
+import {
+    COMPOSITION_FIELDS,
+    getCompositionUnitLabel,
+    parseComposition,
+    toCompositionDisplayValue,
+    formatComposition
+} from '../utils/composition.js';
+import { formatDateTimeInput, formatDateKey, parseDateTimeInput, formatEntryDateTime } from '../utils/dates.js';
+import { NUTRIENT_FIELDS, parseIntake, formatNutrients } from '../utils/nutrition.js';
+import { parseTags, collectTags, hasAnyTag, MAX_NOTES_LENGTH } from '../utils/tags.js';
+import { estimateBodyState, compareEstimates } from '../utils/stateEstimation.js';
+import { DIET_PHASE_GOALS, findDietPhase, toDietPhases, havePhasesNoOverlap } from '../utils/dietPhases.js';
+import {
+    GOAL_TARGETS,
+    solveIntakeForDeadline,
+    solveDateForIntake,
+    checkPlanSafety,
+    predictPlanEndWeight
+} from '../utils/goalPlanner.js';
+import { simulateForecast, DEFAULT_SIMULATION_UNCERTAINTY, LOWER_PERCENTILE, UPPER_PERCENTILE } from '../utils/forecastSimulation.js';
+import {
+    MEASUREMENT_METHODS,
+    createMeasurementSource,
+    findMeasurementSource,
+    calibrateBodyFat,
+    applyCalibration,
+    formatCalibration
+} from '../utils/measurementSources.js';
 
 // Import Plotly React component
 import Plot from 'react-plotly.js';
 
-// Helper function to get today's date inYYYY-MM-DD format
-const getTodaysDate = () => {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
+// Measurement sources as held by the profile form, with the calibration as text
+const toSourceInputs = (sources) => (sources ?? []).map(source => ({
+    ...source,
+    bodyFatOffset: String(source.bodyFatOffset),
+    bodyFatScale: String(source.bodyFatScale),
+}));
+
+// Dated activity-level changes as held by the profile form, with the custom multiplier as text
+const toActivityHistoryInputs = (history) => (history ?? []).map(item => ({
+    id: item.id ?? crypto.randomUUID(),
+    startDay: item.startDay ?? '',
+    activityLevel: item.activityLevel ?? '',
+    customMultiplier: typeof item.customMultiplier === 'number' ? String(item.customMultiplier) : '',
+    label: item.label ?? '',
+}));
+
+// Diet phases as held by the profile form, with the rate and intake as text in the form's units
+const toDietPhaseInputs = (phases, units) => (phases ?? []).map(phase => ({
+    id: phase.id ?? crypto.randomUUID(),
+    name: phase.name ?? '',
+    startDay: phase.startDay ?? '',
+    endDay: phase.endDay ?? '',
+    goalType: phase.goalType ?? 'lose',
+    rate: formatMassInput(phase.rateKg, units.massRate),
+    intake: typeof phase.intakeKcal === 'number' ? String(Math.round(fromKcal(phase.intakeKcal, units.energy))) : '',
+    activityLevel: phase.activityLevel ?? '',
+    customMultiplier: typeof phase.customMultiplier === 'number' ? String(phase.customMultiplier) : '',
+}));
+
+// Describes an activity level for display, e.g. "Custom activity multiplier (PAL) (× 1.80)"
+const formatActivity = ({ activityLevel, customMultiplier }) => {
+    const multiplier = getActivityMultiplier(activityLevel, customMultiplier);
+    return `${ACTIVITY_LEVELS[activityLevel] ?? 'Unknown'}${isNaN(multiplier) ? '' : ` (× ${multiplier.toFixed(2)})`}`;
+};
+
+// Prediction function of each model in PREDICTION_MODELS; all take the same inputs and return weights in kg
+const PREDICTORS = {
+    linear_difference: predictWeightLinearDifference,
+    hall: predictWeightHall,
+};
+
+// Shading of each diet phase goal on the chart
+const DIET_PHASE_COLORS = {
+    lose: 'rgb(220, 53, 69)',
+    maintain: 'rgb(108, 117, 125)',
+    gain: 'rgb(40, 167, 69)',
+};
+
+// Describes when a simulated milestone is reached, e.g. "between 3/2/2026 and 4/10/2026 (most likely 3/20/2026)"
+const formatMilestoneRange = ({ earliest, likeliest, latest, reachedShare }) => {
+    const percent = Math.round(reachedShare * 100);
+    if (likeliest === null) {
+        return `not likely within the forecast (reached in ${percent}% of simulations)`;
+    }
+    const toDate = (time) => new Date(time).toLocaleDateString();
+    const range = latest === null ? `from ${toDate(earliest)}, likely after the forecast ends` : `between ${toDate(earliest)} and ${toDate(latest)}`;
+    return `${range} (most likely ${toDate(likeliest)}; reached in ${percent}% of simulations)`;
+};
+
+// Describes a goal plan's safety warning in the user's energy unit
+const formatPlanWarning = (warning, energyUnit) => {
+    switch (warning.type) {
+        case 'below_bmr':
+            return `The intake is below your BMR (${formatEnergy(warning.limitKcal, energyUnit)}/day).`;
+        case 'very_low_intake':
+            return `The intake is below ${formatEnergy(warning.limitKcal, energyUnit)}/day, too little to cover your nutrient needs without medical supervision.`;
+        case 'large_deficit':
+            return `The deficit of ${formatEnergy(warning.deficitKcal, energyUnit)}/day is more than ${formatEnergy(warning.limitKcal, energyUnit)} or ${warning.limitShare * 100}% of your maintenance.`;
+        case 'fast_loss':
+            return `Losing ${(warning.lossShare * 100).toFixed(1)}% of your body weight a week is faster than the ${warning.limitShare * 100}% usually advised.`;
+        default:
+            return '';
+    }
+};
+
+// Formats a change in mass with its sign, e.g. "+0.25 kg" or "-0.40 lbs"
+const formatSignedMass = (kg, unit) => `${kg > 0 ? '+' : ''}${formatMass(kg, unit, 2)}`;
 
 const BodyMetricsDashboard = () => {
     // Refs for the new entry form
     const dateRef = useRef();
     const weightRef = useRef();
     const bodyFatRef = useRef();
-
-    // State for weight unit (remains in component as it's UI state for the form/chart)
-    const [weightUnit, setWeightUnit] = useState('lbs');
+    // Optional tape measurements and smart-scale readings for the new entry, as typed, keyed by site/field
+    const [newCircumferences, setNewCircumferences] = useState({});
+    const [newComposition, setNewComposition] = useState({});
+    // Notes and comma-separated tags for the new entry, as typed
+    const [newNotes, setNewNotes] = useState('');
+    const [newTags, setNewTags] = useState('');
+    // Measurement source of the new entry; kept between entries, since most come from the same device
+    const [newSource, setNewSource] = useState('');
+
+    // State for estimating the new entry's body fat from measurements
+    const [isBodyFatEstimatorOpen, setIsBodyFatEstimatorOpen] = useState(false);
+    const [bodyFatMethod, setBodyFatMethod] = useState('navy');
+    const [skinfolds, setSkinfolds] = useState({});    // Skinfold thicknesses in mm, as typed, keyed by site
+    const [bodyFatEstimateMessage, setBodyFatEstimateMessage] = useState('');
+    const [bodyFatEstimateError, setBodyFatEstimateError] = useState('');
 
     // State for prediction days
     const [predictionDays, setPredictionDays] = useState(90);  // Default to 90 days
 
+    // State for the model the prediction uses
+    const [predictionModel, setPredictionModel] = useState(DEFAULT_PREDICTION_MODEL);
+
+    // The goal planner's form, as typed: a target and either a deadline ('deadline' mode) or a daily intake ('intake' mode)
+    const [goalPlan, setGoalPlan] = useState({ mode: 'deadline', targetType: 'weight', targetValue: '', deadline: '', intake: '' });
+    const [goalPlanResult, setGoalPlanResult] = useState(null);
+    const [goalPlanError, setGoalPlanError] = useState('');
+
+    // Whether the forecast is also simulated with sampled errors, for a range around it and milestone date ranges
+    const [simulateForecastRange, setSimulateForecastRange] = useState(true);
+
+    // Composition fields plotted on the graph; the rest can be switched on below it
+    const [visibleCompositionFields, setVisibleCompositionFields] = useState(['muscleMassKg']);
+
+    // Tags to filter the Historical Entries table by and highlight on the graph; empty shows everything
+    const [selectedTags, setSelectedTags] = useState([]);
+
+    // Whether the graph shows the estimated true weight, fat and lean mass with their ±1σ bands
+    const [showEstimateBands, setShowEstimateBands] = useState(true);
+
     // Use the custom hook for body metrics data management
     // Destructure all state and functions needed from the hook
     const {
         entries,
+        modelEntries,
+        modelHistoryStart,
         fetchLoading,
         fetchError,
         saveError,
@@ -70,74 +260,151 @@ const BodyMetricsDashboard = () => {
         editFormData,
         editError,
         editMessage,
+        entryRevisions,
+        revisionsLoading,
+        revisionsError,
+        hasOlderEntries,
+        loadingOlderEntries,
+        pendingWriteCount,
+        isOnline,
+        isSyncing,
+        syncError,
+        conflicts,
         handleSubmit: handleHookSubmit,
         handleEditClick,
         handleEditInputChange,
         handleUpdateEntry: handleHookUpdateEntry,
         handleDeleteEntry,
         handleCancelEdit,
+        handleRevertToRevision,
+        handleResolveConflict,
+        handleLoadOlderEntries,
         currentUser,
         setSaveError: setHookSaveError,
         setSaveMessage: setHookSaveMessage,
         setEditError: setHookEditError,
         setEditMessage: setHookEditMessage,
-        handleFetchEntries // Make sure handleFetchEntries is destructured here
     } = useBodyMetrics();
 
+    // Use the new custom hook for user profile data
+    const {
+        userProfile,
+        profileLoading,
+        profileError,
+        saveProfile,
+        setProfileError,
+        setProfileMessage,
+        profileMessage = '',
+        saveProfileLoading,
+    } = useUserProfile(currentUser?.uid);
+
+    // Units follow the unit system chosen in the profile; values are stored in kg/cm/kcal and converted for display
+    const unitSystem = getUnitSystem(userProfile?.unitSystem);
+    const weightUnit = unitSystem.mass;
+    const circumferenceUnit = unitSystem.circumference;
+
     // Use the custom hook for CSV import
-    // Pass the current user's ID and the handleFetchEntries callback to the hook
-    const csvImportHook = useCsvImport(currentUser?.uid, handleFetchEntries);
+    // Imported entries reach the table and graph through the live entry subscription, so no callback is needed
+    const csvImportHook = useCsvImport(currentUser?.uid, undefined, unitSystem);
 
     const {
         selectedFile,
         parsedCsvData,
         csvHeaders,
         columnMapping,
+        isMappingConfirmed,
         importError,
         importMessage,
         isParsing,
         isImporting, // Added isImporting from the hook
+        importHistory,
+        historyError,
+        undoingImportId,
         setColumnMapping,
         handleFileSelect,
         handleConfirmMapping,
+        handleRemapColumns,
         handleImportCsv,
+        handleUndoImport,
         clearImportState,
     } = csvImportHook;
 
-    // Use the new custom hook for user profile data
+    // Use the custom hook for the trash, purging entries older than the profile's retention period
     const {
-        userProfile,
-        profileLoading,
-        profileError,
-        saveProfile,
-        setProfileError,
-        setProfileMessage,
-        profileMessage = '',
-        saveProfileLoading,
-    } = useUserProfile(currentUser?.uid);
+        isTrashOpen,
+        trashedEntries,
+        trashLoading,
+        trashError,
+        trashMessage,
+        handleToggleTrash,
+        handleRestoreEntry,
+        handlePurgeEntry,
+    } = useTrash(currentUser?.uid, userProfile?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS);
+
+    // Use the custom hook for the daily nutrition intake log
+    const {
+        intakeEntries,
+        intakeLoading,
+        intakeError,
+        intakeMessage,
+        savingIntake,
+        setIntakeError,
+        handleSaveIntake,
+        handleDeleteIntake,
+    } = useIntake(currentUser?.uid);
+
+    // The intake form, as typed; energy is in the unit system's energy unit and nutrients in grams
+    const getEmptyIntakeForm = () => ({ date: formatDateKey(new Date()), calories: '', proteinG: '', carbsG: '', fatG: '', fiberG: '' });
+    const [newIntake, setNewIntake] = useState(getEmptyIntakeForm);
 
     // State for local user profile form data
+    // Height and targets are held as text in the form's unit system, and parsed back to cm/kg on save
     const [localProfileData, setLocalProfileData] = useState({
         sex: userProfile?.sex || '',
         dateOfBirth: userProfile?.dateOfBirth ? userProfile.dateOfBirth.toISOString().split('T')[0] : '',
-        height: userProfile?.height || '',
+        unitSystem: userProfile?.unitSystem || DEFAULT_UNIT_SYSTEM,
+        height: formatLengthInput(userProfile?.heightCm, unitSystem.length),
         activityLevel: userProfile?.activityLevel || '',
+        customActivityMultiplier: typeof userProfile?.customActivityMultiplier === 'number' ? String(userProfile.customActivityMultiplier) : '',
+        activityHistory: toActivityHistoryInputs(userProfile?.activityHistory),
+        dietPhases: toDietPhaseInputs(userProfile?.dietPhases, unitSystem),
         weightGoalType: userProfile?.weightGoalType || 'maintain',
-        targetWeight: userProfile?.targetWeight || '',
-        targetRate: userProfile?.targetRate || '',
+        targetWeight: formatMassInput(userProfile?.targetWeightKg, unitSystem.mass),
+        targetRate: formatMassInput(userProfile?.targetRateKg, unitSystem.massRate),
+        trashRetentionDays: userProfile?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS,
+        dailyAggregation: userProfile?.dailyAggregation ?? DEFAULT_DAILY_AGGREGATION,
+        trendSmoothing: userProfile?.trendSmoothing ?? DEFAULT_TREND_SMOOTHING,
+        measurementSources: toSourceInputs(userProfile?.measurementSources),
+        useCalibratedValues: userProfile?.useCalibratedValues ?? false,
+        tdeeSource: userProfile?.tdeeSource ?? 'formula',
+        bmrEquation: userProfile?.bmrEquation ?? DEFAULT_BMR_EQUATION,
+        adaptiveTdeeWindowDays: userProfile?.adaptiveTdeeWindowDays ?? DEFAULT_ADAPTIVE_TDEE_WINDOW_DAYS,
     });
 
     // Update local form data when userProfile from the hook changes
     useEffect(() => {
         if (userProfile) {
+            const profileUnits = getUnitSystem(userProfile.unitSystem);
             setLocalProfileData({
                 sex: userProfile.sex || '',
                 dateOfBirth: userProfile.dateOfBirth ? userProfile.dateOfBirth.toISOString().split('T')[0] : '',
-                height: userProfile.height || '',
+                unitSystem: userProfile.unitSystem,
+                height: formatLengthInput(userProfile.heightCm, profileUnits.length),
                 activityLevel: userProfile.activityLevel || '',
+                customActivityMultiplier: typeof userProfile.customActivityMultiplier === 'number' ? String(userProfile.customActivityMultiplier) : '',
+                activityHistory: toActivityHistoryInputs(userProfile.activityHistory),
+                dietPhases: toDietPhaseInputs(userProfile.dietPhases, profileUnits),
                 weightGoalType: userProfile.weightGoalType || 'maintain',
-                targetWeight: userProfile.targetWeight || '',
-                targetRate: userProfile.targetRate || '',
+                targetWeight: formatMassInput(userProfile.targetWeightKg, profileUnits.mass),
+                targetRate: formatMassInput(userProfile.targetRateKg, profileUnits.massRate),
+                trashRetentionDays: userProfile.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS,
+                dailyAggregation: userProfile.dailyAggregation ?? DEFAULT_DAILY_AGGREGATION,
+                trendSmoothing: userProfile.trendSmoothing ?? DEFAULT_TREND_SMOOTHING,
+                measurementSources: toSourceInputs(userProfile.measurementSources),
+                useCalibratedValues: userProfile.useCalibratedValues,
+                tdeeSource: userProfile.tdeeSource ?? 'formula',
+                bmrEquation: userProfile.bmrEquation ?? DEFAULT_BMR_EQUATION,
+                adaptiveTdeeWindowDays: userProfile.adaptiveTdeeWindowDays ?? DEFAULT_ADAPTIVE_TDEE_WINDOW_DAYS,
             });
         }
     }, [userProfile]);
@@ -151,6 +418,106 @@ const BodyMetricsDashboard = () => {
         }));
     };
 
+    // Handlers for the measurement sources in the profile form
+    const handleAddMeasurementSource = () => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            measurementSources: [...prevData.measurementSources, ...toSourceInputs([createMeasurementSource('')])],
+        }));
+    };
+
+    const handleMeasurementSourceChange = (sourceId, field, value) => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            measurementSources: prevData.measurementSources.map(source => (source.id === sourceId ? { ...source, [field]: value } : source)),
+        }));
+    };
+
+    // Entries measured with a removed source keep its ID, and are shown and charted uncalibrated
+    const handleRemoveMeasurementSource = (sourceId) => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            measurementSources: prevData.measurementSources.filter(source => source.id !== sourceId),
+        }));
+    };
+
+    // Handlers for the dated activity-level changes in the profile form
+    const handleAddActivityChange = () => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            activityHistory: [...prevData.activityHistory, ...toActivityHistoryInputs([{ startDay: formatDateKey(new Date()), activityLevel: prevData.activityLevel }])],
+        }));
+    };
+
+    const handleActivityChangeChange = (changeId, field, value) => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            activityHistory: prevData.activityHistory.map(item => (item.id === changeId ? { ...item, [field]: value } : item)),
+        }));
+    };
+
+    const handleRemoveActivityChange = (changeId) => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            activityHistory: prevData.activityHistory.filter(item => item.id !== changeId),
+        }));
+    };
+
+    // Handlers for the diet phases in the profile form; a new phase starts the day after the last one ends
+    const handleAddDietPhase = () => {
+        setLocalProfileData(prevData => {
+            const lastEnd = parseDateTimeInput(prevData.dietPhases[prevData.dietPhases.length - 1]?.endDay);
+            const startDay = formatDateKey(isNaN(lastEnd.getTime()) ? new Date() : addDays(lastEnd, 1));
+            return {
+                ...prevData,
+                dietPhases: [...prevData.dietPhases, ...toDietPhaseInputs([{ startDay, goalType: 'lose' }], getUnitSystem(prevData.unitSystem))],
+            };
+        });
+    };
+
+    const handleDietPhaseChange = (phaseId, field, value) => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            dietPhases: prevData.dietPhases.map(phase => (phase.id === phaseId ? { ...phase, [field]: value } : phase)),
+        }));
+    };
+
+    const handleRemoveDietPhase = (phaseId) => {
+        setLocalProfileData(prevData => ({
+            ...prevData,
+            dietPhases: prevData.dietPhases.filter(phase => phase.id !== phaseId),
+        }));
+    };
+
+    // Handler for switching the form's unit system; values already typed are converted to the new units
+    const handleUnitSystemChange = (newUnitSystem) => {
+        setLocalProfileData(prevData => {
+            const fromUnits = getUnitSystem(prevData.unitSystem);
+            const toUnits = getUnitSystem(newUnitSystem);
+            const convertMass = (value, fromUnit, toUnit) => {
+                const kg = parseMass(value, fromUnit);
+                return isNaN(kg) ? value : formatMassInput(kg, toUnit);
+            };
+            const heightCm = parseLength(prevData.height, fromUnits.length);
+
+            return {
+                ...prevData,
+                unitSystem: newUnitSystem,
+                height: isNaN(heightCm) ? prevData.height : formatLengthInput(heightCm, toUnits.length),
+                targetWeight: convertMass(prevData.targetWeight, fromUnits.mass, toUnits.mass),
+                targetRate: convertMass(prevData.targetRate, fromUnits.massRate, toUnits.massRate),
+                dietPhases: prevData.dietPhases.map(phase => {
+                    const intakeKcal = parseEnergy(phase.intake, fromUnits.energy);
+                    return {
+                        ...phase,
+                        rate: convertMass(phase.rate, fromUnits.massRate, toUnits.massRate),
+                        intake: isNaN(intakeKcal) ? phase.intake : String(Math.round(fromKcal(intakeKcal, toUnits.energy))),
+                    };
+                }),
+            };
+        });
+    };
+
     // Hanlder for saving the user profile
     const handleSaveProfile = (e) => {
         e.preventDefault();
@@ -162,42 +529,170 @@ const BodyMetricsDashboard = () => {
             return;
         }
 
-        const height = parseFloat(localProfileData.height);
-        if (isNaN(height) || height <= 0) {
+        const formUnits = getUnitSystem(localProfileData.unitSystem);
+        const heightCm = parseLength(localProfileData.height, formUnits.length);
+        if (isNaN(heightCm) || heightCm <= 0) {
             setProfileError('Please enter a valid height.');
             setProfileMessage('');
             return;
         }
 
+        const trashRetentionDays = parseInt(localProfileData.trashRetentionDays, 10);
+        if (isNaN(trashRetentionDays) || trashRetentionDays < 1) {
+            setProfileError('Please enter how many days deleted entries stay in the trash (at least 1).');
+            setProfileMessage('');
+            return;
+        }
+
+        const trendSmoothing = parseFloat(localProfileData.trendSmoothing);
+        if (isNaN(trendSmoothing) || trendSmoothing < MIN_TREND_SMOOTHING || trendSmoothing > MAX_TREND_SMOOTHING) {
+            setProfileError(`Please enter a trend smoothing factor between ${MIN_TREND_SMOOTHING} and ${MAX_TREND_SMOOTHING}.`);
+            setProfileMessage('');
+            return;
+        }
+
+        const adaptiveTdeeWindowDays = parseInt(localProfileData.adaptiveTdeeWindowDays, 10);
+        if (isNaN(adaptiveTdeeWindowDays) || adaptiveTdeeWindowDays < 7) {
+            setProfileError('Please enter an adaptive TDEE window of at least 7 days.');
+            setProfileMessage('');
+            return;
+        }
+
+        // A custom multiplier is only needed, and kept, for the 'custom' level
+        const parseMultiplier = (activityLevel, text) => (activityLevel === 'custom' ? parseFloat(text) : null);
+        const isValidMultiplier = (activityLevel, multiplier) => activityLevel !== 'custom' || !isNaN(getActivityMultiplier(activityLevel, multiplier));
+        const customActivityMultiplier = parseMultiplier(localProfileData.activityLevel, localProfileData.customActivityMultiplier);
+        if (!isValidMultiplier(localProfileData.activityLevel, customActivityMultiplier)) {
+            setProfileError(`Please enter a custom activity multiplier between ${MIN_ACTIVITY_MULTIPLIER.toFixed(1)} and ${MAX_ACTIVITY_MULTIPLIER.toFixed(1)}.`);
+            setProfileMessage('');
+            return;
+        }
+
+        // Activity changes are saved with their first day as YYYY-MM-DD, in date order
+        const activityHistory = localProfileData.activityHistory
+            .map(item => ({
+                id: item.id,
+                startDay: item.startDay,
+                activityLevel: item.activityLevel,
+                customMultiplier: parseMultiplier(item.activityLevel, item.customMultiplier),
+                label: item.label.trim(),
+            }))
+            .sort((a, b) => a.startDay.localeCompare(b.startDay));
+        if (activityHistory.some(item => isNaN(parseDateTimeInput(item.startDay).getTime()) || !(item.activityLevel in ACTIVITY_LEVELS))) {
+            setProfileError('Please give every activity change a start date and an activity level.');
+            setProfileMessage('');
+            return;
+        }
+        if (activityHistory.some(item => !isValidMultiplier(item.activityLevel, item.customMultiplier))) {
+            setProfileError(`Custom activity multipliers must be between ${MIN_ACTIVITY_MULTIPLIER.toFixed(1)} and ${MAX_ACTIVITY_MULTIPLIER.toFixed(1)}.`);
+            setProfileMessage('');
+            return;
+        }
+        if (new Set(activityHistory.map(item => item.startDay)).size < activityHistory.length) {
+            setProfileError('Only one activity change can start on each day.');
+            setProfileMessage('');
+            return;
+        }
+
+        // Diet phases are saved with their first and last day as YYYY-MM-DD; a fixed intake replaces the goal's rate
+        const dietPhases = localProfileData.dietPhases.map(phase => ({
+            id: phase.id,
+            name: phase.name.trim(),
+            startDay: phase.startDay,
+            endDay: phase.endDay,
+            goalType: phase.goalType,
+            rateKg: phase.goalType !== 'maintain' && phase.rate.trim() !== '' ? parseMass(phase.rate, formUnits.massRate) : null,
+            intakeKcal: phase.intake.trim() !== '' ? parseEnergy(phase.intake, formUnits.energy) : null,
+            activityLevel: phase.activityLevel,
+            customMultiplier: parseMultiplier(phase.activityLevel, phase.customMultiplier),
+        }));
+        const parsedPhases = toDietPhases(dietPhases);
+        if (parsedPhases.length < dietPhases.length) {
+            setProfileError('Please give every diet phase a goal, and a first day on or before its last day.');
+            setProfileMessage('');
+            return;
+        }
+        if (!havePhasesNoOverlap(parsedPhases)) {
+            setProfileError('Diet phases cannot overlap.');
+            setProfileMessage('');
+            return;
+        }
+        if (dietPhases.some(phase => phase.intakeKcal === null && phase.goalType !== 'maintain' && !(phase.rateKg > 0))) {
+            setProfileError('Please enter a rate or a daily intake for every cutting and bulking phase.');
+            setProfileMessage('');
+            return;
+        }
+        if (dietPhases.some(phase => phase.intakeKcal !== null && (isNaN(phase.intakeKcal) || phase.intakeKcal < 0))) {
+            setProfileError('Please enter a valid daily intake for the diet phases, or leave it empty.');
+            setProfileMessage('');
+            return;
+        }
+        if (dietPhases.some(phase => (phase.activityLevel !== '' && !(phase.activityLevel in ACTIVITY_LEVELS)) || !isValidMultiplier(phase.activityLevel, phase.customMultiplier))) {
+            setProfileError(`Custom activity multipliers must be between ${MIN_ACTIVITY_MULTIPLIER.toFixed(1)} and ${MAX_ACTIVITY_MULTIPLIER.toFixed(1)}.`);
+            setProfileMessage('');
+            return;
+        }
+
         // Validation for weight goal fields if goal is not 'maintain'
+        const targetWeightKg = parseMass(localProfileData.targetWeight, formUnits.mass);
+        const targetRateKg = parseMass(localProfileData.targetRate, formUnits.massRate);
         if (localProfileData.weightGoalType !== 'maintain') {
-            const targetWeight = parseFloat(localProfileData.targetWeight)
-            const targetRate = parseFloat(localProfileData.targetRate);
-
-            if (isNaN(targetWeight) || targetWeight <= 0) {
+            if (isNaN(targetWeightKg) || targetWeightKg <= 0) {
                 setProfileError('Please enter a valid target weight.');
                 setProfileMessage('');
                 return;
             }
-            if (isNaN(targetRate) || targetRate <= 0) {
-                setProfileError('Please enter a valid target rate (lbs/week).');
+            if (isNaN(targetRateKg) || targetRateKg <= 0) {
+                setProfileError(`Please enter a valid target rate (${MASS_UNITS[formUnits.massRate]}/week).`);
                 setProfileMessage('');
                 return;
             }
         }
 
+        // Calibrations map each source's body fat onto the reference method: calibrated = measured * scale + offset
+        const measurementSources = localProfileData.measurementSources.map(source => ({
+            ...source,
+            name: source.name.trim(),
+            bodyFatOffset: source.bodyFatOffset === '' ? 0 : parseFloat(source.bodyFatOffset),
+            bodyFatScale: source.bodyFatScale === '' ? 1 : parseFloat(source.bodyFatScale),
+        }));
+        if (measurementSources.some(source => source.name === '')) {
+            setProfileError('Please name every measurement device or method.');
+            setProfileMessage('');
+            return;
+        }
+        if (measurementSources.some(source => isNaN(source.bodyFatOffset) || isNaN(source.bodyFatScale) || source.bodyFatScale <= 0)) {
+            setProfileError('Calibration offsets must be numbers, and scale factors positive numbers.');
+            setProfileMessage('');
+            return;
+        }
+
         // Convert dateOfBirth to a Date object for saving
         const [year, month, day] = localProfileData.dateOfBirth.split('-').map(Number);
         const dateOfBirth = new Date(year, month - 1, day);
 
         // Prepare data for saving
+        // Height and targets are saved in cm and kg whatever units they were entered in
         const profileDataToSave = {
-            ...localProfileData,
-            height: height,
+            sex: localProfileData.sex,
             dateOfBirth: dateOfBirth,
-            targetWeight: localProfileData.weightGoalType !== 'maintain' ? parseFloat(localProfileData.targetWeight) : null,
-            targetRate: localProfileData.weightGoalType !== 'maintain' ? parseFloat(localProfileData.targetRate) : null,
-            weightUnit: weightUnit,
+            unitSystem: localProfileData.unitSystem,
+            heightCm: heightCm,
+            activityLevel: localProfileData.activityLevel,
+            customActivityMultiplier: customActivityMultiplier,
+            activityHistory: activityHistory,
+            dietPhases: [...dietPhases].sort((a, b) => a.startDay.localeCompare(b.startDay)),
+            weightGoalType: localProfileData.weightGoalType,
+            targetWeightKg: localProfileData.weightGoalType !== 'maintain' ? targetWeightKg : null,
+            targetRateKg: localProfileData.weightGoalType !== 'maintain' ? targetRateKg : null,
+            trashRetentionDays: trashRetentionDays,
+            dailyAggregation: localProfileData.dailyAggregation,
+            trendSmoothing: trendSmoothing,
+            measurementSources: measurementSources,
+            useCalibratedValues: localProfileData.useCalibratedValues,
+            tdeeSource: localProfileData.tdeeSource,
+            bmrEquation: localProfileData.bmrEquation,
+            adaptiveTdeeWindowDays: adaptiveTdeeWindowDays,
         };
 
         // Call the saveProfile function from the hook
@@ -205,105 +700,164 @@ const BodyMetricsDashboard = () => {
     };
 
     // --- Calculate BMR, TDEE, Target Caloric Intake, and Prediction using useMemo ---
-    const {
-        bmr,
-        tdee,
-        targetCaloricIntake,
-        linearDifferencePredictionPoints,
-        milestonePoints,
-        plotlyData,
-        minTimestamp,
-        lastPredictedTimestamp,
-        annotations
-    } = useMemo(() => {
+    // Everything computed from the data and the profile, up to the prediction; kept apart from the chart below,
+    // so display-only choices (tags, composition fields, estimate bands) do not recompute it
+    const forecastModel = useMemo(() => {
         let calculatedBmr = NaN;
         let calculatedTdee = NaN;
+        let calculatedBmrComparison = [];
         let calculatedTargetCaloricIntake = NaN;
+        let calculatedUpcomingActivityChanges = [];
         let predictedPoints = [];
         const foundMilestonePoints = [];
+        let calculatedSimulationRequest = null;
+        let calculatedPlanBase = null;
+        const dietPhases = userProfile?.dietPhases ?? [];
+
+        // Body fat from different devices is mapped onto the reference method when the profile asks for it
+        const isCalibrated = userProfile?.useCalibratedValues === true;
+        const measuredEntries = isCalibrated ? applyCalibration(modelEntries, userProfile.measurementSources) : modelEntries;
+
+        // Trends and predictions work on one value per day, so morning and evening weigh-ins do not skew them
+        const dailyEntries = aggregateDailyEntries(measuredEntries, userProfile?.dailyAggregation ?? DEFAULT_DAILY_AGGREGATION);
+
+        // Exponentially smoothed trend of weight, fat and lean mass, and how fast it is moving
+        const trendEntries = calculateTrend(dailyEntries, userProfile?.trendSmoothing ?? DEFAULT_TREND_SMOOTHING);
+        const calculatedTrendRates = calculateTrendRates(trendEntries);
+
+        // True weight and body fat estimated from every reading, with the reading noise of each device
+        const calculatedBodyState = estimateBodyState(measuredEntries);
+        const estimatedDays = calculatedBodyState.days;
+        const calculatedWeeklyEstimateChange = estimatedDays.length > 7 ? compareEstimates(estimatedDays[estimatedDays.length - 8], estimatedDays[estimatedDays.length - 1]) : null;
 
         // Find the most recent weight entry
-        const latestEntry = entries.length > 0 ? entries[entries.length - 1] : null;
+        const latestEntry = dailyEntries.length > 0 ? dailyEntries[dailyEntries.length - 1] : null;
+
+        // Maintenance calories back-calculated from logged intake and the weight trend
+        const calculatedAdaptiveTdee = estimateAdaptiveTdee({
+            dailyEntries,
+            intakeEntries,
+            trendEntries,
+            windowDays: userProfile?.adaptiveTdeeWindowDays ?? DEFAULT_ADAPTIVE_TDEE_WINDOW_DAYS,
+        });
+        let usedMaintenanceSource = 'formula';
+
+        // TDEE is shown for the activity level in effect today; the prediction follows dated changes
+        const today = new Date();
+        const todaysActivity = userProfile ? getActivityOnDate(userProfile, today) : null;
 
         // Check if we have both user profile data and a recent weight entry
         if (userProfile && latestEntry) {
             const age = calculateAge(userProfile.dateOfBirth);
             const sex = userProfile.sex;
-            const activityLevel = userProfile.activityLevel;
-            const heightInInches = userProfile.height;
-            const weight = latestEntry.weight;
-            const weightUnitEntry = latestEntry.weightUnit;
+            const activityMultiplier = getActivityMultiplier(todaysActivity.activityLevel, todaysActivity.customMultiplier);
+            const heightInCm = userProfile.heightCm;
+            const weightInKg = latestEntry.weightKg;
 
             // Ensure we have valid data points for calculation
             if (!isNaN(age) && typeof sex === 'string' && sex !== '' &&
-                typeof activityLevel === 'string' && activityLevel !== '' &&
-                typeof heightInInches === 'number' && !isNaN(heightInInches) && heightInInches > 0 &&
-                typeof weight === 'number' && !isNaN(weight) && weight > 0 &&
-                typeof weightUnitEntry === 'string' && weightUnitEntry !== ''
+                !isNaN(activityMultiplier) &&
+                typeof heightInCm === 'number' && !isNaN(heightInCm) && heightInCm > 0 &&
+                typeof weightInKg === 'number' && !isNaN(weightInKg) && weightInKg > 0
             ) {   
-                // Convert heighit from inches to centimeters (1 inch = 2.54 cm)
-                const heightInCm = heightInInches * 2.54;
-
-                // Convert weight to kilograms if it's in lbs (1 lbs = 0.453592 kg)
-                const weightInKg = weightUnitEntry === 'lbs' ? weight * 0.453592 : weight;
-
                 // Calculate BMR
-                calculatedBmr = calculateBmr({
+                // Calculate BMR with the profile's equation; lean-mass equations use the latest body fat
+                const bmrInputs = {
                     sex: sex,
                     weight: weightInKg,
                     height: heightInCm,
-                    age: age
+                    age: age,
+                    bodyFat: latestEntry.bodyFat,
+                };
+                calculatedBmr = calculateBmr({ ...bmrInputs, equation: userProfile.bmrEquation ?? DEFAULT_BMR_EQUATION });
+
+                // Every equation side by side, for comparison
+                calculatedBmrComparison = Object.entries(BMR_EQUATIONS).map(([equation, { label }]) => {
+                    const equationBmr = calculateBmr({ ...bmrInputs, equation });
+                    return { equation, label, bmr: equationBmr, tdee: isNaN(equationBmr) ? NaN : calculateTdee(equationBmr, todaysActivity.activityLevel, todaysActivity.customMultiplier) };
                 });
 
                 // Calculate TDEE if BMR is valid
                 if (!isNaN(calculatedBmr)) {
-                    calculatedTdee = calculateTdee(calculatedBmr, activityLevel);
+                    calculatedTdee = calculateTdee(calculatedBmr, todaysActivity.activityLevel, todaysActivity.customMultiplier);
+
+                    // The target intake and prediction start from the adaptive TDEE when the profile asks for it and there is one
+                    let maintenanceTdee = calculatedTdee;
+                    if (userProfile.tdeeSource === 'adaptive' && !isNaN(calculatedAdaptiveTdee.tdee) && !isNaN(calculatedTdee)) {
+                        maintenanceTdee = calculatedAdaptiveTdee.tdee;
+                        usedMaintenanceSource = 'adaptive';
+                    }
 
                     // Calculate Target Caloric Intake based on TDEE and weight goal
-                    if (!isNaN(calculatedTdee) && userProfile.weightGoalType !== 'maintain' &&
-                        typeof userProfile.targetRate === 'number' && !isNaN(userProfile.targetRate) && userProfile.targetRate > 0
-                    ) {
-                        // Calorie deficit/surplus needed per week to lose/gain 1 lb is approx 3500 calories
-                        // Calorie deficit/surplus per day = (Target Rate in lbs/week * 3500 calories/lb) / 7 days/week
-                        // Need to convert targetRate to lbs/week if it's stored in kg/week
-                        let targetRateInLbsPerWeek = userProfile.targetRate;
-                        // Assuming userProfile.weightUnit stores the unit the targetWeight/Rate are in
-                        if (userProfile.weightUnit === 'kg') {
-                            targetRateInLbsPerWeek = userProfile.targetRate * 2.20462;  // Convert kg/week to lbs/week
+                    // Maintenance follows the activity level in effect on each date, scaled from today's
+                    const calorieAdjustment = (weightGoalType, targetRateKg) => {
+                        if (isNaN(maintenanceTdee)) {
+                            return NaN;
                         }
-
-                        const dailyCalorieAdjustment = (targetRateInLbsPerWeek * 3500) / 7;
-
-                        if (userProfile.weightGoalType === 'lose') {
-                            calculatedTargetCaloricIntake = calculatedTdee - dailyCalorieAdjustment;
-                        } else if (userProfile.weightGoalType === 'gain') {
-                            calculatedTargetCaloricIntake = calculatedTdee + dailyCalorieAdjustment;
+                        if (weightGoalType === 'maintain') {
+                            // If goal is maintain, target intake is TDEE
+                            return 0;
                         }
-
-                        // Ensure caloric intake is not negative
-                        if (calculatedTargetCaloricIntake < 0) {
-                            calculatedTargetCaloricIntake = 0;
+                        if (typeof targetRateKg !== 'number' || isNaN(targetRateKg) || targetRateKg <= 0) {
+                            return NaN;
                         }
-                    } else if (userProfile.weightGoalType === 'maintain' && !isNaN(calculatedTdee)) {
-                        // If goal is maintain, target intake is TDEE
-                        calculatedTargetCaloricIntake = calculatedTdee;
-                    }
+                        // Calorie deficit/surplus needed per week to lose/gain 1 lb is approx 3500 calories (KCAL_PER_KG per kg)
+                        // Calorie deficit/surplus per day = (Target Rate in kg/week * KCAL_PER_KG) / 7 days/week
+                        const dailyCalorieAdjustment = (targetRateKg * KCAL_PER_KG) / 7;
+                        return weightGoalType === 'lose' ? -dailyCalorieAdjustment : dailyCalorieAdjustment;
+                    };
+                    const profileCalorieAdjustment = calorieAdjustment(userProfile.weightGoalType, userProfile.targetRateKg);
+
+                    // Inside a diet phase, its fixed intake or its own goal and rate replace the profile's
+                    // Ensure caloric intake is not negative
+                    const targetIntakeOnDate = (date) => {
+                        const phase = findDietPhase(userProfile.dietPhases, date);
+                        if (typeof phase?.intakeKcal === 'number') {
+                            return phase.intakeKcal;
+                        }
+                        const adjustment = phase ? calorieAdjustment(phase.goalType, phase.rateKg) : profileCalorieAdjustment;
+                        return Math.max(0, maintenanceTdee * (getActivityMultiplierOnDate(userProfile, date) / activityMultiplier) + adjustment);
+                    };
+                    calculatedTargetCaloricIntake = targetIntakeOnDate(today);
+
+                    // Activity changes still to come, with the target intake from their first day
+                    calculatedUpcomingActivityChanges = (userProfile.activityHistory ?? [])
+                        .filter(item => item.startDate > today)
+                        .map(item => ({ ...item, targetCaloricIntake: targetIntakeOnDate(item.startDate) }));
 
-                    // --- Calculate Linear Difference Model Prediction ---
+                    // --- Calculate the Prediction with the selected model ---
                     // Add checks for essential user profile properties before calling the prediction model
                     if (!isNaN(calculatedTargetCaloricIntake) && latestEntry && userProfile &&
                         typeof userProfile.sex === 'string' && userProfile.sex !== '' &&
                         userProfile.dateOfBirth instanceof Date && !isNaN(userProfile.dateOfBirth.getTime()) &&
-                        typeof userProfile.height === 'number' && !isNaN(userProfile.height) && userProfile.height > 0 &&
-                        typeof userProfile.activityLevel === 'string' && userProfile.activityLevel !== '' &&
+                        typeof userProfile.heightCm === 'number' && !isNaN(userProfile.heightCm) && userProfile.heightCm > 0 &&
                         typeof predictionDays === 'number' && !isNaN(predictionDays) && predictionDays >= 0
                     ) {
-                        // Pass the last entry, calculated target intake, and user profile to the new model
-                        predictedPoints = predictWeightLinearDifference({
+                        // Pass the last entry, calculated target intake, and user profile to the selected model
+                        // Predicted weights come back in kg
+                        const predict = PREDICTORS[predictionModel] ?? predictWeightLinearDifference;
+
+                        // The forecast runs at least to the last day of the last diet phase, so every phase's end can be reported
+                        const lastPhase = userProfile.dietPhases?.[userProfile.dietPhases.length - 1];
+                        const forecastDays = lastPhase
+                            ? Math.max(predictionDays, differenceInCalendarDays(addDays(lastPhase.endDate, -1), latestEntry.date))
+                            : predictionDays;
+
+                        // What the goal planner works backwards from: the same model, starting point and maintenance
+                        calculatedPlanBase = {
+                            predict,
                             lastEntry: latestEntry,
-                            targetCaloricIntake: calculatedTargetCaloricIntake,
                             userProfile: userProfile,
-                            predictionDays: predictionDays
+                            tdeeScale: maintenanceTdee / calculatedTdee,
+                            maintenanceKcal: maintenanceTdee,
+                            bmrKcal: calculatedBmr,
+                        };
+                        predictedPoints = predict({
+                            lastEntry: latestEntry,
+                            targetCaloricIntake: targetIntakeOnDate,
+                            userProfile: userProfile,
+                            predictionDays: forecastDays,
+                            tdeeScale: maintenanceTdee / calculatedTdee,
                         });
 
                         // --- Find Milestone Points on the Prediction ---
@@ -315,6 +869,9 @@ const BodyMetricsDashboard = () => {
 
                         let lastPredictedBodyFat = latestEntry.bodyFat; // Start with last historical BF%
 
+                        // Target weight in kg, to compare with the predicted weights
+                        const targetWeightKg = typeof userProfile.targetWeightKg === 'number' ? userProfile.targetWeightKg : NaN;
+
                         // Interate through predicted points to find milestones
                         // Start from the second point (index 1) because the first point is the last historical entry
                         for (let i = 1; i < predictedPoints.length; i++) {
@@ -332,7 +889,8 @@ const BodyMetricsDashboard = () => {
                                         if (!foundMilestonePoints.some(m => m.label === `${milestoneBF}% BF`)) {
                                             foundMilestonePoints.push({
                                                 x: point.x, // Timestamp of the predicted point
-                                                y: point.y, // Predicted weight at this point
+                                                y: fromKg(point.y, weightUnit), // Predicted weight at this point, in the display unit
+                                                weightKg: point.y,
                                                 bodyFat: point.bodyFat, // Predicted body fat at this point
                                                 label: `${milestoneBF}% BF`
                                             });
@@ -342,42 +900,33 @@ const BodyMetricsDashboard = () => {
                             }
 
                             // Check for Target Weight milestone
-                            if (userProfile.weightGoalType !== 'maintain' && userProfile.targetWeight !== null && typeof userProfile.targetWeight === 'number' && !isNaN(userProfile.targetWeight)) {
-                                // Need to convert target weight to the unit of the predicted points (which is the lastEntry's unit)
-                                let targetWeightInPredictionUnit = userProfile.targetWeight;
-                                // Assuming userProfile.weightUnit is the unit the targetWeight is in
-                                if (userProfile.weightUnit && userProfile.weightUnit !== latestEntry.weightUnit) {
-                                    if (userProfile.weightUnit === 'lbs') {
-                                        targetWeightInPredictionUnit = userProfile.weightUnit === 'kg' ? targetWeightInPredictionUnit * 2.20462 : targetWeightInPredictionUnit;
-                                    } else if (latestEntry.weightUnit === 'kg') {
-                                        targetWeightInPredictionUnit = userProfile.weightUnit === 'lbs' ? targetWeightInPredictionUnit * 0.453592 : targetWeightInPredictionUnit;
-                                    }
-                                }
-
+                            if (userProfile.weightGoalType !== 'maintain' && !isNaN(targetWeightKg)) {
                                 // Check if the prediction crossed the target weight
                                 const lastPredictedWeight = previousPoint.y;
 
                                 // Check if current weight is below target AND previous was above (for loss)
-                                if (userProfile.weightGoalType === 'lose' && point.y <= targetWeightInPredictionUnit && lastPredictedWeight > targetWeightInPredictionUnit) {
+                                if (userProfile.weightGoalType === 'lose' && point.y <= targetWeightKg && lastPredictedWeight > targetWeightKg) {
                                     // Ensure we only add the first time it crosses the target
                                     if (!foundMilestonePoints.some(m => m.label.startsWith('Target Weight'))) {
                                         foundMilestonePoints.push({
                                             x: point.x,
-                                            y: point.y,
+                                            y: fromKg(point.y, weightUnit),
+                                            weightKg: point.y,
                                             bodyFat: point.bodyFat,
-                                            label: `Target Weight (${userProfile.targetWeight.toFixed(1)} ${userProfile.weightUnit || ''})` // Use the user's entered target and unit
+                                            label: `Target Weight (${formatMass(targetWeightKg, weightUnit)})`
                                         });
                                     }
                                 }
                                 // Check if current weight is above target AND previous was below (for gain)
-                                if (userProfile.weightGoalType === 'gain' && point.y >= targetWeightInPredictionUnit && lastPredictedWeight < targetWeightInPredictionUnit) {
+                                if (userProfile.weightGoalType === 'gain' && point.y >= targetWeightKg && lastPredictedWeight < targetWeightKg) {
                                     // Ensure we only add the first time it crosses the target
                                     if (!foundMilestonePoints.some(m => m.label.startsWith('Target Weight'))) {
                                         foundMilestonePoints.push({
                                             x: point.x,
-                                            y: point.y,
+                                            y: fromKg(point.y, weightUnit),
+                                            weightKg: point.y,
                                             bodyFat: point.bodyFat,
-                                            label: `Target Weight (${userProfile.targetWeight.toFixed(1)} ${userProfile.weightUnit || ''})` // Use the user's entered target and unit
+                                            label: `Target Weight (${formatMass(targetWeightKg, weightUnit)})`
                                         });
                                     }
                                 }
@@ -386,14 +935,129 @@ const BodyMetricsDashboard = () => {
 
                         // Sort milestone points by date
                         foundMilestonePoints.sort((a, b) => a.x - b.x);
+
+                        // --- What the forecast simulation varies: errors in adherence, maintenance and daily fluctuation ---
+                        if (predictedPoints.length > 0) {
+                            // The maintenance error is the adaptive TDEE's own when it is used, and the scale's
+                            // fluctuation the reading noise estimated from the user's weigh-ins
+                            const adaptiveTdeeError = calculatedAdaptiveTdee.uncertainty / calculatedAdaptiveTdee.tdee;
+                            const tdeeError = usedMaintenanceSource === 'adaptive' && isFinite(adaptiveTdeeError)
+                                ? adaptiveTdeeError
+                                : DEFAULT_SIMULATION_UNCERTAINTY.tdeeError;
+                            const weightNoise = calculatedBodyState.noise.weight;
+                            const noiseReadings = weightNoise.reduce((sum, noise) => sum + noise.readings, 0);
+                            const dailyFluctuationKg = noiseReadings > 0
+                                ? Math.sqrt(weightNoise.reduce((sum, noise) => sum + noise.readings * noise.sd ** 2, 0) / noiseReadings)
+                                : DEFAULT_SIMULATION_UNCERTAINTY.dailyFluctuationKg;
+
+                            // The same milestones as above, dated in every simulated run
+                            const simulatedMilestones = milestones.map(milestoneBF => ({ label: `${milestoneBF}% BF`, key: 'bodyFat', threshold: milestoneBF, direction: 'down' }));
+                            if (userProfile.weightGoalType !== 'maintain' && !isNaN(targetWeightKg)) {
+                                simulatedMilestones.push({
+                                    label: `Target Weight (${formatMass(targetWeightKg, weightUnit)})`,
+                                    key: 'y',
+                                    threshold: targetWeightKg,
+                                    direction: userProfile.weightGoalType === 'lose' ? 'down' : 'up',
+                                });
+                            }
+
+                            calculatedSimulationRequest = {
+                                predict,
+                                lastEntry: latestEntry,
+                                targetCaloricIntake: targetIntakeOnDate,
+                                userProfile: userProfile,
+                                predictionDays: forecastDays,
+                                tdeeScale: maintenanceTdee / calculatedTdee,
+                                milestones: simulatedMilestones,
+                                uncertainty: { tdeeError, dailyFluctuationKg },
+                            };
+                        }
                     } else {
-                        console.warn("Skipping linear difference prediction due to invalid or missing user profile/entry data.");
+                        console.warn("Skipping prediction due to invalid or missing user profile/entry data.");
                         // Optionally, set a state here to display a message to the user
                     }        
                 }
             }
         }
 
+        return {
+            bmr: calculatedBmr,
+            tdee: calculatedTdee,
+            bmrComparison: calculatedBmrComparison,
+            adaptiveTdee: calculatedAdaptiveTdee,
+            maintenanceSource: usedMaintenanceSource,
+            currentActivity: todaysActivity,
+            upcomingActivityChanges: calculatedUpcomingActivityChanges,
+            isCalibrated: isCalibrated,
+            dailyEntries: dailyEntries,
+            latestEntry: latestEntry,
+            trendEntries: trendEntries,
+            trendByDay: new Map(trendEntries.map(entry => [formatDateKey(entry.date), entry])),
+            trendRates: calculatedTrendRates,
+            bodyState: calculatedBodyState,
+            weeklyEstimateChange: calculatedWeeklyEstimateChange,
+            targetCaloricIntake: calculatedTargetCaloricIntake,
+            linearDifferencePredictionPoints: predictedPoints,
+            milestonePoints: foundMilestonePoints,
+            simulationRequest: calculatedSimulationRequest,
+            planBase: calculatedPlanBase,
+            dietPhases: dietPhases,
+        };
+    }, [modelEntries, intakeEntries, weightUnit, userProfile, predictionDays, predictionModel]);
+
+    const {
+        bmr,
+        tdee,
+        bmrComparison,
+        adaptiveTdee,
+        maintenanceSource,
+        currentActivity,
+        upcomingActivityChanges,
+        trendByDay,
+        trendRates,
+        bodyState,
+        weeklyEstimateChange,
+        targetCaloricIntake,
+        linearDifferencePredictionPoints,
+        milestonePoints,
+        planBase,
+    } = forecastModel;
+
+    // The Monte Carlo forecast runs the prediction model hundreds of times, so it only reruns when the forecast changes
+    const forecastSimulation = useMemo(
+        () => (simulateForecastRange && forecastModel.simulationRequest ? simulateForecast(forecastModel.simulationRequest) : null),
+        [forecastModel, simulateForecastRange]
+    );
+
+    const {
+        phaseEndStates,
+        phaseShapes,
+        plotlyData,
+        hasCircumferenceTraces,
+        compositionAxes,
+        hasIntakeTrace,
+        minTimestamp,
+        lastPredictedTimestamp,
+        annotations
+    } = useMemo(() => {
+        const {
+            isCalibrated,
+            dailyEntries: modelDailyEntries,
+            latestEntry,
+            trendEntries,
+            bodyState: calculatedBodyState,
+            linearDifferencePredictionPoints: predictedPoints,
+            milestonePoints: foundMilestonePoints,
+            dietPhases,
+        } = forecastModel;
+        const simulation = forecastSimulation;
+
+        // The daily traces show the entries loaded for the table; fitted lines and estimates come from the model history
+        const dailyEntries = aggregateDailyEntries(
+            isCalibrated ? applyCalibration(entries, userProfile.measurementSources) : entries,
+            userProfile?.dailyAggregation ?? DEFAULT_DAILY_AGGREGATION
+        );
+
         // Calculate min and max timestamps for the chart axis based on historical and predicted data
         let minTimestamp = Date.now();
         let maxTimestamp = Date.now();
@@ -434,21 +1098,13 @@ const BodyMetricsDashboard = () => {
             {
                 // Weight trace (Historical Data)
                 // Converts Date objects to UTC ISO strings for consistent plotting
-                x: entries.map(entry => entry.date instanceof Date ? entry.date.toISOString() : null).filter(x => x !== null),  // Filter out null dates
-                y: entries.map(entry => {
-                    let weightValue = entry.weight;
-                    // Apply conversion only if the entry's stored unit is different from the current state unit
-                    if (entry.weightUnit && entry.weightUnit !== weightUnit) {
-                        if (weightUnit === 'lbs') {
-                            weightValue = entry.weightUnit === 'kg' ? weightValue * 2.20462 : weightValue;
-                        } else if (entry.weightUnit === 'kg') {
-                            weightValue = entry.weightUnit === 'lbs' ? weightValue * 0.453592 : weightValue;
-                        }
-                    }
+                x: dailyEntries.map(entry => entry.date instanceof Date ? entry.date.toISOString() : null).filter(x => x !== null),  // Filter out null dates
+                y: dailyEntries.map(entry => {
+                    const weightValue = fromKg(entry.weightKg, weightUnit);
                     return typeof weightValue === 'number' && !isNaN(weightValue) ? parseFloat(weightValue.toFixed(1)) : null;
                 }),
                 mode: 'lines+markers',
-                name: `Weight (${weightUnit})`,
+                name: `Weight (${MASS_UNITS[weightUnit]}, daily)`,
                 line: { color: 'rgb(75, 192, 192)' },
                 marker: { size: 8 },
                 type: 'scatter',
@@ -456,23 +1112,15 @@ const BodyMetricsDashboard = () => {
             {
                 // Fat Mass trace (Historical Data)
                 // Converts Date objects to UTC ISO strings for consistent plotting
-                x: entries.map(entry => entry.date instanceof Date ? entry.date.toISOString() : null).filter(x => x !== null),  // Filter out null dates
-                y: entries.map(entry => {
-                    const weight = entry.weight;
+                x: dailyEntries.map(entry => entry.date instanceof Date ? entry.date.toISOString() : null).filter(x => x !== null),  // Filter out null dates
+                y: dailyEntries.map(entry => {
+                    const weight = fromKg(entry.weightKg, weightUnit);
                     const bodyFatPercentage = entry.bodyFat;
-                    let fatMass = (weight * (bodyFatPercentage / 100));
-                    
-                    if (entry.weightUnit && entry.weightUnit !== weightUnit) {
-                        if (weightUnit === 'lbs') {
-                            fatMass = entry.weightUnit === 'kg' ? fatMass * 2.20462 : fatMass;
-                        } else if (entry.weightUnit === 'kg') {
-                            fatMass = entry.weightUnit === 'lbs' ? fatMass * 0.453592 : fatMass;
-                        }
-                    }
+                    const fatMass = (weight * (bodyFatPercentage / 100));
                     return typeof fatMass === 'number' && !isNaN(fatMass) ? parseFloat(fatMass.toFixed(1)) : null;
                 }),
                 mode: 'lines+markers',
-                name: `Fat Mass (${weightUnit})`,
+                name: `Fat Mass (${MASS_UNITS[weightUnit]}${isCalibrated ? ', calibrated' : ''})`,
                 line: { color: 'rgb(255, 99, 132)' },
                 marker: { size: 8 },
                 type: 'scatter',
@@ -480,23 +1128,15 @@ const BodyMetricsDashboard = () => {
             {
                 // Lean Mass trace (Historical Data)
                 // Converts Date objects to UTC ISO strings for consistent plotting
-                x: entries.map(entry => entry.date instanceof Date ? entry.date.toISOString() : null).filter(x => x !== null),  // Filter out null dates
-                y: entries.map(entry => {
-                    const weight = entry.weight;
+                x: dailyEntries.map(entry => entry.date instanceof Date ? entry.date.toISOString() : null).filter(x => x !== null),  // Filter out null dates
+                y: dailyEntries.map(entry => {
+                    const weight = fromKg(entry.weightKg, weightUnit);
                     const bodyFatPercentage = entry.bodyFat;
-                    let leanMass = (weight - (weight * (bodyFatPercentage / 100)));
-                    
-                    if (entry.weightUnit && entry.weightUnit !== weightUnit) {
-                        if (weightUnit === 'lbs') {
-                            leanMass = entry.weightUnit === 'kg' ? leanMass * 2.20462 : leanMass;
-                        } else if (entry.weightUnit === 'kg') {
-                            leanMass = entry.weightUnit === 'lbs' ? leanMass * 0.453592 : leanMass;
-                        }
-                    }
+                    const leanMass = (weight - (weight * (bodyFatPercentage / 100)));
                     return typeof leanMass === 'number' && !isNaN(leanMass) ? parseFloat(leanMass.toFixed(1)) : null;
                 }),
                 mode: 'lines+markers',
-                name: `Lean Mass (${weightUnit})`,
+                name: `Lean Mass (${MASS_UNITS[weightUnit]}${isCalibrated ? ', calibrated' : ''})`,
                 line: { color: 'rgb(53, 162, 235)' },
                 marker: { size: 8 },
                 type: 'scatter',
@@ -505,35 +1145,21 @@ const BodyMetricsDashboard = () => {
                 // Linear Regression Trend Line trace
                 // Convert timestamps to UTC ISO strings for consistent plotting
                 x: calculateLinearRegression(
-                    entries.map(entry => {
+                    modelDailyEntries.map(entry => {
                         // Use date's timestamp as the x-value for linear regression
                         const xValue = entry.date instanceof Date && !isNaN(entry.date.getTime()) ? entry.date.getTime() : NaN;
 
-                        let weightValue = entry.weight;
                         // Convert weight to the *current display unit* before using in trend calculation
-                        if (entry.weightUnit && entry.weightUnit !== weightUnit) {
-                            if (weightUnit === 'lbs') {
-                                weightValue = entry.weightUnit === 'kg' ? weightValue * 2.20462 : weightValue;
-                            } else if (weightUnit === 'kg') {
-                                weightValue = entry.weightUnit === 'lbs' ? weightValue * 0.453592 : weightValue;
-                            }
-                        }
+                        const weightValue = fromKg(entry.weightKg, weightUnit);
                         return { x: xValue, y: weightValue };
                     })
                 ).map(point => new Date(point.x).toISOString()),    // Convert timestamps back to UTC ISO strings for Plotly
                 y: calculateLinearRegression(
-                    entries.map(entry => {
+                    modelDailyEntries.map(entry => {
                         // Use date's timestamp as the x-value for linear regression
                         const xValue = entry.date instanceof Date && !isNaN(entry.date.getTime()) ? entry.date.getTime() : NaN;
 
-                        let weightValue = entry.weight;
-                        if (entry.weightUnit && entry.weightUnit !== weightUnit) {
-                            if (weightUnit === 'lbs') {
-                                weightValue = entry.weightUnit === 'kg' ? weightValue * 2.20462 : weightValue;
-                            } else if (weightUnit === 'kg') {
-                                weightValue = entry.weightUnit === 'lbs' ? weightValue * 0.453592 : weightValue;
-                            }
-                        }
+                        const weightValue = fromKg(entry.weightKg, weightUnit);
                         return { x: xValue, y: weightValue };
                     })
                 ).map(point => typeof point.y === 'number' && !isNaN(point.y) ? parseFloat(point.y.toFixed(1)) : null), // Map y value and format
@@ -542,17 +1168,215 @@ const BodyMetricsDashboard = () => {
                 line: { color: 'rgb(0, 0, 0)', dash: 'dash' },
                 type: 'scatter',
             },
-            // --- Linear Difference Model Prediction trace ---
+            {
+                // Exponentially smoothed trend weight
+                x: trendEntries.map(entry => entry.date.toISOString()),
+                y: trendEntries.map(entry => (isNaN(entry.trendWeightKg) ? null : parseFloat(fromKg(entry.trendWeightKg, weightUnit).toFixed(1)))),
+                mode: 'lines',
+                name: `Trend Weight (${MASS_UNITS[weightUnit]})`,
+                line: { color: 'rgb(0, 0, 0)', width: 3 },
+                type: 'scatter',
+            },
+            // --- Model Prediction trace ---
             {
                 x: predictedPoints.map(point => new Date(point.x).toISOString()),
-                y: predictedPoints.map(point => typeof point.y === 'number' && !isNaN(point.y) ? parseFloat(point.y.toFixed(1)) : null),
+                y: predictedPoints.map(point => typeof point.y === 'number' && !isNaN(point.y) ? parseFloat(fromKg(point.y, weightUnit).toFixed(1)) : null),
                 mode: 'lines',
-                name: 'Weight Prediction (Linear Difference)',
+                name: `Weight Prediction (${PREDICTION_MODELS[predictionModel] ?? PREDICTION_MODELS[DEFAULT_PREDICTION_MODEL]})`,
                 line: { color: 'rgb(255, 165, 0)' },
                 type: 'scatter',
             },
         ];
 
+        // Simulated forecast range: an invisible upper edge, the lower edge filled up to it, and the median run
+        if (simulation && simulation.bands.length > 0) {
+            const x = simulation.bands.map(band => new Date(band.x).toISOString());
+            const toDisplay = (kg) => parseFloat(fromKg(kg, weightUnit).toFixed(1));
+            plotlyData.push(
+                {
+                    x,
+                    y: simulation.bands.map(band => toDisplay(band.upperKg)),
+                    mode: 'lines',
+                    line: { width: 0 },
+                    legendgroup: 'forecastRange',
+                    showlegend: false,
+                    hoverinfo: 'skip',
+                    type: 'scatter',
+                },
+                {
+                    x,
+                    y: simulation.bands.map(band => toDisplay(band.lowerKg)),
+                    mode: 'lines',
+                    line: { width: 0 },
+                    fill: 'tonexty',
+                    fillcolor: 'rgba(255, 165, 0, 0.2)',
+                    name: `Forecast Range (${LOWER_PERCENTILE}th–${UPPER_PERCENTILE}th percentile)`,
+                    legendgroup: 'forecastRange',
+                    hoverinfo: 'skip',
+                    type: 'scatter',
+                },
+                {
+                    x,
+                    y: simulation.bands.map(band => toDisplay(band.medianKg)),
+                    mode: 'lines',
+                    name: 'Forecast Median (simulated)',
+                    legendgroup: 'forecastRange',
+                    line: { color: 'rgb(255, 165, 0)', dash: 'dot' },
+                    type: 'scatter',
+                },
+            );
+        }
+
+        // Smoothed fat and lean mass, in the colors of their daily traces
+        const massTrendTraces = [
+            { key: 'trendFatMassKg', label: 'Fat Mass Trend', color: 'rgb(255, 99, 132)' },
+            { key: 'trendLeanMassKg', label: 'Lean Mass Trend', color: 'rgb(53, 162, 235)' },
+        ]
+            .map(({ key, label, color }) => {
+                const trendedEntries = trendEntries.filter(entry => !isNaN(entry[key]));
+                return {
+                    x: trendedEntries.map(entry => entry.date.toISOString()),
+                    y: trendedEntries.map(entry => parseFloat(fromKg(entry[key], weightUnit).toFixed(1))),
+                    mode: 'lines',
+                    name: `${label} (${MASS_UNITS[weightUnit]})`,
+                    line: { color, width: 3, dash: 'dot' },
+                    type: 'scatter',
+                };
+            })
+            .filter(trace => trace.x.length > 0);
+        plotlyData.push(...massTrendTraces);
+
+        // Estimated true values as lines inside shaded ±1σ bands: an invisible upper edge, then the lower edge filled up to it
+        if (showEstimateBands) {
+            const estimateBands = [
+                { key: 'weightKg', sdKey: 'weightSdKg', label: 'Estimated Weight', color: '0, 0, 0' },
+                { key: 'fatMassKg', sdKey: 'fatMassSdKg', label: 'Estimated Fat Mass', color: '255, 99, 132' },
+                { key: 'leanMassKg', sdKey: 'leanMassSdKg', label: 'Estimated Lean Mass', color: '53, 162, 235' },
+            ];
+            for (const { key, sdKey, label, color } of estimateBands) {
+                const estimatedDays = calculatedBodyState.days.filter(day => !isNaN(day[key]));
+                if (estimatedDays.length === 0) {
+                    continue;
+                }
+                const x = estimatedDays.map(day => day.date.toISOString());
+                const toDisplay = (kg) => parseFloat(fromKg(kg, weightUnit).toFixed(2));
+                plotlyData.push(
+                    {
+                        x,
+                        y: estimatedDays.map(day => toDisplay(day[key] + day[sdKey])),
+                        mode: 'lines',
+                        line: { width: 0 },
+                        legendgroup: key,
+                        showlegend: false,
+                        hoverinfo: 'skip',
+                        type: 'scatter',
+                    },
+                    {
+                        x,
+                        y: estimatedDays.map(day => toDisplay(day[key] - day[sdKey])),
+                        mode: 'lines',
+                        line: { width: 0 },
+                        fill: 'tonexty',
+                        fillcolor: `rgba(${color}, 0.15)`,
+                        name: `${label} ±1σ`,
+                        legendgroup: key,
+                        hoverinfo: 'skip',
+                        type: 'scatter',
+                    },
+                    {
+                        x,
+                        y: estimatedDays.map(day => toDisplay(day[key])),
+                        text: estimatedDays.map(day => `± ${formatMass(day[sdKey], weightUnit, 2)}`),
+                        mode: 'lines',
+                        name: `${label} (${MASS_UNITS[weightUnit]})`,
+                        legendgroup: key,
+                        line: { color: `rgba(${color}, 0.6)`, width: 1 },
+                        hovertemplate: '%{x}<br>%{y} %{text}<extra></extra>',
+                        type: 'scatter',
+                    },
+                );
+            }
+        }
+
+        // Tape measurements get one trace per measured site, on their own axis since they are lengths, not masses
+        const circumferenceTraces = CIRCUMFERENCE_SITES
+            .map(({ key, label }) => {
+                const measuredEntries = entries.filter(entry => entry.date instanceof Date && typeof entry.circumferencesCm?.[key] === 'number');
+                return {
+                    x: measuredEntries.map(entry => entry.date.toISOString()),
+                    y: measuredEntries.map(entry => parseFloat(fromCm(entry.circumferencesCm[key], circumferenceUnit).toFixed(1))),
+                    mode: 'lines+markers',
+                    name: `${label} (${LENGTH_UNITS[circumferenceUnit]})`,
+                    yaxis: 'y2',
+                    line: { dash: 'dot' },
+                    marker: { size: 6 },
+                    type: 'scatter',
+                };
+            })
+            .filter(trace => trace.x.length > 0);
+        plotlyData.push(...circumferenceTraces);
+
+        // Logged intake as bars on the energy axis, so it can be read against the weight trend
+        if (intakeEntries.length > 0) {
+            plotlyData.push({
+                x: intakeEntries.map(intake => intake.date.toISOString()),
+                y: intakeEntries.map(intake => Math.round(fromKcal(intake.caloriesKcal, unitSystem.energy))),
+                name: `Intake (${ENERGY_UNITS[unitSystem.energy]})`,
+                yaxis: 'y4',
+                marker: { color: 'rgba(255, 159, 64, 0.35)' },
+                type: 'bar',
+            });
+        }
+
+        // Tagged weigh-ins, highlighted with their tags and notes on hover; limited to the selected tags if any
+        const taggedEntries = entries.filter(entry => entry.date instanceof Date && entry.tags?.length > 0 && hasAnyTag(entry, selectedTags));
+        if (taggedEntries.length > 0) {
+            plotlyData.push({
+                x: taggedEntries.map(entry => entry.date.toISOString()),
+                y: taggedEntries.map(entry => parseFloat(fromKg(entry.weightKg, weightUnit).toFixed(1))),
+                text: taggedEntries.map(entry => [entry.tags.join(', '), entry.notes].filter(Boolean).join('<br>')),
+                mode: 'markers',
+                name: selectedTags.length > 0 ? `Tagged: ${selectedTags.join(', ')}` : 'Tagged entries',
+                marker: { size: 14, color: 'rgba(0, 0, 0, 0)', line: { color: 'rgb(153, 102, 255)', width: 3 } },
+                hovertemplate: '%{x}<br>%{y}<br>%{text}<extra></extra>',
+                type: 'scatter',
+            });
+        }
+
+        // Individual weigh-ins, shown faintly when some days have more than one
+        if (dailyEntries.length < entries.length) {
+            const timedEntries = entries.filter(entry => entry.date instanceof Date);
+            plotlyData.push({
+                x: timedEntries.map(entry => entry.date.toISOString()),
+                y: timedEntries.map(entry => parseFloat(fromKg(entry.weightKg, weightUnit).toFixed(1))),
+                mode: 'markers',
+                name: `Weigh-ins (${MASS_UNITS[weightUnit]})`,
+                marker: { size: 5, color: 'rgba(75, 192, 192, 0.4)' },
+                type: 'scatter',
+            });
+        }
+
+        // Smart-scale readings the user switched on: masses share the weight axis, BMR gets an energy axis,
+        // and percentages, ratings and ages share a third axis
+        const compositionTraces = COMPOSITION_FIELDS
+            .filter(({ key }) => visibleCompositionFields.includes(key))
+            .map((field) => {
+                const recordedEntries = entries.filter(entry => entry.date instanceof Date && typeof entry.composition?.[field.key] === 'number');
+                const unitLabel = getCompositionUnitLabel(field, unitSystem);
+                return {
+                    x: recordedEntries.map(entry => entry.date.toISOString()),
+                    y: recordedEntries.map(entry => parseFloat(toCompositionDisplayValue(field, entry.composition[field.key], unitSystem).toFixed(1))),
+                    mode: 'lines+markers',
+                    name: unitLabel ? `${field.label} (${unitLabel})` : field.label,
+                    yaxis: { mass: 'y', energy: 'y4' }[field.kind] ?? 'y3',
+                    line: { dash: 'dashdot' },
+                    marker: { size: 6, symbol: 'diamond' },
+                    type: 'scatter',
+                };
+            })
+            .filter(trace => trace.x.length > 0);
+        plotlyData.push(...compositionTraces);
+
         // Add Milestone points as annotations
         const annotations = foundMilestonePoints.map(milestone => ({
             x: new Date(milestone.x).toISOString(),
@@ -571,22 +1395,64 @@ const BodyMetricsDashboard = () => {
             // Optional: Customize font, opacity, etc.
         }));
 
+        // --- Diet phases: shaded on the chart, with the state expected (or measured) at the end of each ---
+        const calculatedPhaseEndStates = dietPhases.map(phase => {
+            const lastDay = addDays(phase.endDate, -1);
+            if (latestEntry && lastDay <= latestEntry.date) {
+                // Phases that are over report the last daily entry they contain
+                const measured = modelDailyEntries.filter(entry => entry.date >= phase.startDate && entry.date < phase.endDate).pop();
+                return { phase, lastDay, status: measured ? 'measured' : 'no_data', weightKg: measured?.weightKg ?? NaN, bodyFat: measured?.bodyFat ?? NaN };
+            }
+            // Predicted points and simulated bands are one per day from the last entry
+            const dayIndex = latestEntry ? differenceInCalendarDays(lastDay, latestEntry.date) : -1;
+            const point = predictedPoints[dayIndex];
+            if (!point) {
+                return { phase, lastDay, status: 'no_forecast', weightKg: NaN, bodyFat: NaN };
+            }
+            const band = simulation?.bands[dayIndex];
+            return { phase, lastDay, status: 'predicted', weightKg: point.y, bodyFat: point.bodyFat, lowerKg: band?.lowerKg ?? NaN, upperKg: band?.upperKg ?? NaN };
+        });
+
+        const phaseShapes = dietPhases.map(phase => ({
+            type: 'rect',
+            xref: 'x',
+            yref: 'paper',
+            x0: phase.startDate.toISOString(),
+            x1: phase.endDate.toISOString(),
+            y0: 0,
+            y1: 1,
+            fillcolor: DIET_PHASE_COLORS[phase.goalType],
+            opacity: 0.1,
+            line: { width: 0 },
+            layer: 'below',
+        }));
+        annotations.push(...dietPhases.map(phase => ({
+            x: new Date((phase.startDate.getTime() + phase.endDate.getTime()) / 2).toISOString(),
+            y: 1,
+            xref: 'x',
+            yref: 'paper',
+            yanchor: 'top',
+            text: phase.name || DIET_PHASE_GOALS[phase.goalType],
+            showarrow: false,
+            font: { size: 11, color: DIET_PHASE_COLORS[phase.goalType] },
+        })));
+
         return {
-            bmr: calculatedBmr,
-            tdee: calculatedTdee,
-            targetCaloricIntake: calculatedTargetCaloricIntake,
-            linearDifferencePredictionPoints: predictedPoints,
-            milestonePoints: foundMilestonePoints,
+            phaseEndStates: calculatedPhaseEndStates,
+            phaseShapes: phaseShapes,
             plotlyData: plotlyData,
+            hasCircumferenceTraces: circumferenceTraces.length > 0,
+            compositionAxes: new Set(compositionTraces.map(trace => trace.yaxis)),
+            hasIntakeTrace: intakeEntries.length > 0,
             minTimestamp: minTimestamp,
             lastPredictedTimestamp: lastPredictedTimestamp,
             annotations: annotations
         };
-    }, [entries, weightUnit, userProfile, predictionDays]);
+    }, [forecastModel, forecastSimulation, entries, intakeEntries, unitSystem, weightUnit, circumferenceUnit, userProfile, predictionModel, visibleCompositionFields, selectedTags, showEstimateBands]);
     
     const memoizedLayout = useMemo(() => {
         return {
-            title: `Body Metrics Progress and Prediction (${weightUnit})`,
+            title: `Body Metrics Progress and Prediction (${MASS_UNITS[weightUnit]})`,
             xaxis: {
                 title: 'Date',
                 type: 'date',
@@ -594,11 +1460,45 @@ const BodyMetricsDashboard = () => {
                 rangeslider: { visible: true },
             },
             yaxis: {
-                title: `Measurement (${weightUnit})`,
+                title: `Measurement (${MASS_UNITS[weightUnit]})`,
             },
+            // Right-hand axis for tape measurements, only when there are any
+            ...(hasCircumferenceTraces && {
+                yaxis2: {
+                    title: `Circumference (${LENGTH_UNITS[circumferenceUnit]})`,
+                    overlaying: 'y',
+                    side: 'right',
+                },
+            }),
+            // Extra right-hand axes for composition readings, shifted outwards so they do not overlap
+            ...(compositionAxes.has('y3') && {
+                yaxis3: {
+                    title: '%, rating, years',
+                    overlaying: 'y',
+                    side: 'right',
+                    anchor: 'free',
+                    position: 1,
+                    autoshift: true,
+                    automargin: true,
+                },
+            }),
+            // Energy axis, shared by the scale's BMR readings and logged intake
+            ...((compositionAxes.has('y4') || hasIntakeTrace) && {
+                yaxis4: {
+                    title: `${hasIntakeTrace ? 'Energy' : 'BMR'} (${ENERGY_UNITS[unitSystem.energy]})`,
+                    overlaying: 'y',
+                    side: 'right',
+                    anchor: 'free',
+                    position: 1,
+                    autoshift: true,
+                    automargin: true,
+                },
+            }),
             hovermode: 'closest',   // Show tooltip for the closest point
             dragmode: 'pan',
-            // shapes, annotations, and other layout customizations go here
+            // Diet phases as shaded regions behind the data
+            shapes: phaseShapes,
+            // annotations and other layout customizations go here
             margin: {
                 l: 50,
                 r: 50,
@@ -610,9 +1510,33 @@ const BodyMetricsDashboard = () => {
             autosize: true,
             annotations: annotations
         };
-    }, [weightUnit, minTimestamp, lastPredictedTimestamp, annotations]);
+    }, [weightUnit, circumferenceUnit, unitSystem, hasCircumferenceTraces, compositionAxes, hasIntakeTrace, minTimestamp, lastPredictedTimestamp, annotations, phaseShapes]);
+
+    // Local function to fill in the new entry's body fat from the chosen estimation method
+    // Uses the profile's sex, age and height, the weight and tape measurements typed above, and the skinfolds typed in the estimator
+    const handleEstimateBodyFat = () => {
+        const { circumferencesCm } = parseCircumferences(newCircumferences, circumferenceUnit);
+        const estimate = estimateBodyFat(bodyFatMethod, {
+            sex: userProfile?.sex,
+            age: calculateAge(userProfile?.dateOfBirth),
+            weight: parseMass(weightRef.current.value, weightUnit),
+            height: userProfile?.heightCm,
+            circumferences: circumferencesCm,
+            skinfolds: Object.fromEntries(Object.entries(skinfolds).map(([site, value]) => [site, parseFloat(value)])),
+        });
+
+        if (isNaN(estimate)) {
+            setBodyFatEstimateError('Could not estimate body fat. Check that your profile has sex, date of birth and height, and that every measurement this method uses is filled in.');
+            setBodyFatEstimateMessage('');
+            return;
+        }
 
-    // Local function to handle the new entry form submission
+        bodyFatRef.current.value = estimate.toFixed(1);
+        setBodyFatEstimateError('');
+        setBodyFatEstimateMessage(`Estimated ${estimate.toFixed(1)}% body fat (${BODY_FAT_METHODS[bodyFatMethod]}).`);
+    };
+
+    // Local function to handle the new entry form submission
     const handleFormSubmit = (e) => {
         e.preventDefault();
 
@@ -623,11 +1547,13 @@ const BodyMetricsDashboard = () => {
             return;
         }
 
-        const weight = parseFloat(weightRef.current.value);
+        const weightKg = parseMass(weightRef.current.value, weightUnit);
         const bodyFat = parseFloat(bodyFatRef.current.value);
 
-        if (isNaN(weight) || isNaN(bodyFat)) {
-            setHookSaveError('Weight and Body Fat must be numbers.');
+        if (isNaN(weightKg) || isNaN(bodyFat)) {
+            setHookSaveError(isCompoundUnit(weightUnit)
+                ? 'Enter weight as stones and pounds (e.g. 12 st 4 lb), and Body Fat as a number.'
+                : 'Weight and Body Fat must be numbers.');
             setHookSaveMessage('');
             return;
         }
@@ -637,21 +1563,43 @@ const BodyMetricsDashboard = () => {
             return;
         }
 
+        const { circumferencesCm, invalidSites } = parseCircumferences(newCircumferences, circumferenceUnit);
+        if (invalidSites.length > 0) {
+            setHookSaveError(`Measurements must be positive numbers: ${invalidSites.join(', ')}.`);
+            setHookSaveMessage('');
+            return;
+        }
+        const { composition, invalidFields } = parseComposition(newComposition, unitSystem);
+        if (invalidFields.length > 0) {
+            setHookSaveError(`Scale readings must be positive numbers (percentages up to 100): ${invalidFields.join(', ')}.`);
+            setHookSaveMessage('');
+            return;
+        }
+
         // Clear previous errors/messages before submitting
         setHookSaveError('');
         setHookSaveMessage('');
         // Optional: Set saveLoading state here if you have a button that uses it
 
         // Prepare entry data and call the hook's handleSubmit
-        const dateString = dateRef.current.value;
-        const [year, month, day] = dateString.split('-').map(Number);
-        const date = new Date(year, month - 1, day);
+        // The entry keeps the time of day, so several weigh-ins on one day stay apart
+        const date = parseDateTimeInput(dateRef.current.value);
+        if (isNaN(date.getTime())) {
+            setHookSaveError('Please enter a valid date and time.');
+            return;
+        }
 
+        // The entry keeps the unit it was entered in; decimal stones for 'st'
         const entryData = {
             date: date,
-            weight: weight,
+            weight: fromKg(weightKg, weightUnit),
             bodyFat: bodyFat,
             weightUnit: weightUnit,
+            circumferencesCm: circumferencesCm,
+            composition: composition,
+            notes: newNotes,
+            tags: parseTags(newTags),
+            source: newSource,
         };
 
         handleHookSubmit(entryData);
@@ -663,10 +1611,95 @@ const BodyMetricsDashboard = () => {
         // A better approach might be to clear the form in the hook's success path.
         // For now, we'll leave it as is, but be aware.
         if (!saveError) {
-            dateRef.current.value = getTodaysDate();
+            dateRef.current.value = formatDateTimeInput(new Date());
             weightRef.current.value = '';
             bodyFatRef.current.value = '';
+            setNewCircumferences({});
+            setNewComposition({});
+            setNewNotes('');
+            setNewTags('');
+            setSkinfolds({});
+            setBodyFatEstimateMessage('');
+        }
+    };
+
+    // Local function to handle the intake form submission
+    const handleIntakeFormSubmit = async (e) => {
+        e.preventDefault();
+
+        const date = parseDateTimeInput(newIntake.date);
+        if (isNaN(date.getTime())) {
+            setIntakeError('Please enter a valid date.');
+            return;
+        }
+        const { caloriesKcal, nutrients, invalidFields } = parseIntake(newIntake, unitSystem.energy);
+        if (invalidFields.length > 0) {
+            setIntakeError(`Please enter a valid amount for: ${invalidFields.join(', ')}.`);
+            return;
+        }
+
+        if (await handleSaveIntake({ date, caloriesKcal, ...nutrients })) {
+            setNewIntake(getEmptyIntakeForm());
+        }
+    };
+
+    // Local function to run the goal planner: the intake that reaches the target by the deadline, or the date an intake reaches it
+    const handleGoalPlanSubmit = (e) => {
+        e.preventDefault();
+        setGoalPlanError('');
+        setGoalPlanResult(null);
+
+        if (!planBase) {
+            setGoalPlanError('The planner needs a complete profile and at least one weigh-in.');
+            return;
         }
+        const targetValue = goalPlan.targetType === 'weight' ? parseMass(goalPlan.targetValue, unitSystem.mass) : parseFloat(goalPlan.targetValue);
+        if (isNaN(targetValue) || targetValue <= 0 || (goalPlan.targetType === 'bodyFat' && targetValue >= 100)) {
+            setGoalPlanError(`Please enter a valid target ${goalPlan.targetType === 'weight' ? 'weight' : 'body fat'}.`);
+            return;
+        }
+        const { predict, lastEntry, userProfile: planProfile, tdeeScale, maintenanceKcal, bmrKcal } = planBase;
+        const target = { predict, lastEntry, userProfile: planProfile, tdeeScale, targetType: goalPlan.targetType, targetValue };
+
+        let intakeKcal;
+        let days;
+        let date = null;
+        if (goalPlan.mode === 'deadline') {
+            const deadline = parseDateTimeInput(goalPlan.deadline);
+            if (isNaN(deadline.getTime())) {
+                setGoalPlanError('Please enter a valid deadline.');
+                return;
+            }
+            const solved = solveIntakeForDeadline({ ...target, maintenanceKcal, deadline });
+            if (solved.reason) {
+                setGoalPlanError(solved.reason);
+                return;
+            }
+            ({ intakeKcal, days } = solved);
+            date = deadline;
+        } else {
+            intakeKcal = parseEnergy(goalPlan.intake, unitSystem.energy);
+            if (isNaN(intakeKcal) || intakeKcal < 0) {
+                setGoalPlanError('Please enter a valid daily intake.');
+                return;
+            }
+            const solved = solveDateForIntake({ ...target, intakeKcal });
+            if (solved.reason) {
+                setGoalPlanError(solved.reason);
+                return;
+            }
+            ({ date, days } = solved);
+        }
+
+        const endWeightKg = days > 0 ? predictPlanEndWeight({ predict, lastEntry, userProfile: planProfile, tdeeScale, intakeKcal, days }) : lastEntry.weightKg;
+        setGoalPlanResult({
+            mode: goalPlan.mode,
+            intakeKcal,
+            date,
+            days,
+            endWeightKg,
+            warnings: checkPlanSafety({ intakeKcal, maintenanceKcal, bmrKcal, sex: planProfile.sex, startWeightKg: lastEntry.weightKg, endWeightKg, days }),
+        });
     };
 
     // Local function to handle the edit form submission
@@ -674,7 +1707,8 @@ const BodyMetricsDashboard = () => {
         e.preventDefault();
 
         // Basic validation for edit form
-        if (!editFormData?.date || isNaN(parseFloat(editFormData?.weight)) || isNaN(parseFloat(editFormData?.bodyFat))) {
+        const editedWeightKg = parseMass(editFormData?.weight, editFormData?.weightUnit);
+        if (!editFormData?.date || isNaN(editedWeightKg) || isNaN(parseFloat(editFormData?.bodyFat))) {
             setHookEditError('Please fill in all fields with valid numbers.');
             setHookEditMessage('');
             return;
@@ -684,21 +1718,40 @@ const BodyMetricsDashboard = () => {
             setHookEditMessage('');
             return;
         }
+        const { circumferencesCm, invalidSites } = parseCircumferences(editFormData.circumferences, editFormData.circumferenceUnit);
+        if (invalidSites.length > 0) {
+            setHookEditError(`Measurements must be positive numbers: ${invalidSites.join(', ')}.`);
+            setHookEditMessage('');
+            return;
+        }
+        const { composition, invalidFields } = parseComposition(editFormData.composition, { mass: editFormData.weightUnit, energy: editFormData.energyUnit });
+        if (invalidFields.length > 0) {
+            setHookEditError(`Scale readings must be positive numbers (percentages up to 100): ${invalidFields.join(', ')}.`);
+            setHookEditMessage('');
+            return;
+        }
 
         // Clear previous errors/messages before submitting
         setHookEditError('');
         setHookEditMessage('');
 
         // Prepare updated data and call the hook's handleUpdateEntry
-        const dateString = editFormData.date;
-        const [year, month, day] = dateString.split('-').map(Number);
-        const updatedDate = new Date(year, month - 1, day);
+        const updatedDate = parseDateTimeInput(editFormData.date);
+        if (isNaN(updatedDate.getTime())) {
+            setHookEditError('Please enter a valid date and time.');
+            return;
+        }
 
         const updatedData = {
             date: updatedDate,
-            weight: parseFloat(editFormData.weight),
+            weight: fromKg(editedWeightKg, editFormData.weightUnit),
             bodyFat: parseFloat(editFormData.bodyFat),
-            // weightUnit is not updated in the edit form
+            weightUnit: editFormData.weightUnit,   // The edit form works in the current unit system
+            circumferencesCm: circumferencesCm,     // Cleared sites are removed from the entry
+            composition: composition,               // Likewise for cleared scale readings
+            notes: editFormData.notes,
+            tags: parseTags(editFormData.tags),
+            source: editFormData.source,
         };
 
         handleHookUpdateEntry(updatedData);
@@ -743,15 +1796,29 @@ const BodyMetricsDashboard = () => {
                                 required />
                         </FormControl>
                         <FormControl>
-                            <FormLabel htmlFor="height">Height (inches):</FormLabel>
+                            <FormLabel htmlFor="unitSystem">Units:</FormLabel>
+                            <Select
+                                id="unitSystem"
+                                name="unitSystem"
+                                value={localProfileData.unitSystem}
+                                onChange={(e, newValue) => handleUnitSystemChange(newValue)}
+                            >
+                                {Object.entries(UNIT_SYSTEMS).map(([id, system]) => (
+                                    <Option key={id} value={id}>{system.label}</Option>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="height">Height ({getUnitSystem(localProfileData.unitSystem).length}):</FormLabel>
                             <Input
-                                type="number"
+                                type={isCompoundUnit(getUnitSystem(localProfileData.unitSystem).length) ? 'text' : 'number'}
                                 id="height"
                                 name="height"
                                 value={localProfileData.height}
                                 onChange={handleProfileInputChange}
+                                placeholder={isCompoundUnit(getUnitSystem(localProfileData.unitSystem).length) ? 'e.g. 5 ft 10 in' : ''}
                                 required
-                                step="0.1" />
+                                slotProps={{ input: { step: 0.1 } }} />
                         </FormControl>
                         <FormControl>
                             <FormLabel htmlFor="activityLevel">Activity Level:</FormLabel>
@@ -763,13 +1830,226 @@ const BodyMetricsDashboard = () => {
                                 required
                             >
                                 <Option value="">-- Select --</Option>
-                                <Option value="sedentary">Sedentary (little to no exercise)</Option>
-                                <Option value="lightly_active">Lightly active (exercise 1-3 days/week)</Option>
-                                <Option value="moderately_active">Moderately active (exercise 3-5 days/week)</Option>
-                                <Option value="very_active">Very active (exercise 6-7 days/week)</Option>
-                                <Option value="super_active">Super active (very intense exercise daily, or physical job)</Option>
+                                {Object.entries(ACTIVITY_LEVELS).map(([level, label]) => (
+                                    <Option key={level} value={level}>{label}</Option>
+                                ))}
                             </Select>
                         </FormControl>
+                        {localProfileData.activityLevel === 'custom' && (
+                            <FormControl>
+                                <FormLabel htmlFor="customActivityMultiplier">Activity Multiplier (PAL):</FormLabel>
+                                <Input
+                                    type="number"
+                                    id="customActivityMultiplier"
+                                    name="customActivityMultiplier"
+                                    value={localProfileData.customActivityMultiplier}
+                                    onChange={handleProfileInputChange}
+                                    required
+                                    slotProps={{ input: { min: MIN_ACTIVITY_MULTIPLIER, max: MAX_ACTIVITY_MULTIPLIER, step: 0.01 } }}
+                                />
+                                <Typography level="body-sm" sx={{ mt: 0.5 }}>TDEE = BMR × multiplier, between {MIN_ACTIVITY_MULTIPLIER.toFixed(1)} and {MAX_ACTIVITY_MULTIPLIER.toFixed(1)}.</Typography>
+                            </FormControl>
+                        )}
+                        <FormControl>
+                            <FormLabel htmlFor="trashRetentionDays">Keep Deleted Entries For:</FormLabel>
+                            <Input
+                                type="number"
+                                id="trashRetentionDays"
+                                name="trashRetentionDays"
+                                value={localProfileData.trashRetentionDays}
+                                onChange={handleProfileInputChange}
+                                slotProps={{ input: { min: 1, step: 1 } }}
+                                endDecorator={<Typography>days</Typography>}
+                            />
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="dailyAggregation">Several Weigh-ins a Day:</FormLabel>
+                            <Select
+                                id="dailyAggregation"
+                                name="dailyAggregation"
+                                value={localProfileData.dailyAggregation}
+                                onChange={(e, newValue) => handleProfileInputChange({ target: { name: 'dailyAggregation', value: newValue } })}
+                            >
+                                {Object.entries(DAILY_AGGREGATIONS).map(([method, label]) => (
+                                    <Option key={method} value={method}>{label}</Option>
+                                ))}
+                            </Select>
+                            <Typography level="body-sm" sx={{ mt: 0.5 }}>Used for the graph, trend line and prediction. Every weigh-in is kept.</Typography>
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="trendSmoothing">Trend Smoothing Factor:</FormLabel>
+                            <Input
+                                type="number"
+                                id="trendSmoothing"
+                                name="trendSmoothing"
+                                value={localProfileData.trendSmoothing}
+                                onChange={handleProfileInputChange}
+                                slotProps={{ input: { min: MIN_TREND_SMOOTHING, max: MAX_TREND_SMOOTHING, step: 0.01 } }}
+                            />
+                            <Typography level="body-sm" sx={{ mt: 0.5 }}>
+                                How much of each day's weigh-in goes into the trend weight. Smaller is smoother but slower to follow real changes; {DEFAULT_TREND_SMOOTHING} is the usual choice.
+                            </Typography>
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="bmrEquation">BMR Equation:</FormLabel>
+                            <Select
+                                id="bmrEquation"
+                                name="bmrEquation"
+                                value={localProfileData.bmrEquation}
+                                onChange={(e, newValue) => handleProfileInputChange({ target: { name: 'bmrEquation', value: newValue } })}
+                            >
+                                {Object.entries(BMR_EQUATIONS).map(([equation, { label, usesLeanMass }]) => (
+                                    <Option key={equation} value={equation}>{label}{usesLeanMass ? ' (uses body fat)' : ''}</Option>
+                                ))}
+                            </Select>
+                            <Typography level="body-sm" sx={{ mt: 0.5 }}>Lean-mass equations use your latest body fat and suit lean, muscular builds.</Typography>
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="tdeeSource">Maintenance Calories:</FormLabel>
+                            <Select
+                                id="tdeeSource"
+                                name="tdeeSource"
+                                value={localProfileData.tdeeSource}
+                                onChange={(e, newValue) => handleProfileInputChange({ target: { name: 'tdeeSource', value: newValue } })}
+                            >
+                                {Object.entries(TDEE_SOURCES).map(([source, label]) => (
+                                    <Option key={source} value={source}>{label}</Option>
+                                ))}
+                            </Select>
+                            <Typography level="body-sm" sx={{ mt: 0.5 }}>Used for the target intake and prediction. Adaptive falls back to the formula until there is enough data.</Typography>
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="adaptiveTdeeWindowDays">Adaptive TDEE Window:</FormLabel>
+                            <Input
+                                type="number"
+                                id="adaptiveTdeeWindowDays"
+                                name="adaptiveTdeeWindowDays"
+                                value={localProfileData.adaptiveTdeeWindowDays}
+                                onChange={handleProfileInputChange}
+                                slotProps={{ input: { min: 7, step: 1 } }}
+                                endDecorator={<Typography>days</Typography>}
+                            />
+                        </FormControl>
+                    </Box>
+
+                    <Box sx={{ mt: 3, mb: 2 }}>
+                        <Typography level="h4" component="h4" sx={{ mb: 1 }}>Activity Changes</Typography>
+                        <Typography level="body-sm" sx={{ mb: 1 }}>
+                            Record when your activity level changes, e.g. a training block from March. Each change applies from its start date
+                            until the next one; before the first, the activity level above applies. TDEE, the target intake and the prediction
+                            use the level in effect on each date.
+                        </Typography>
+                        {localProfileData.activityHistory.map(item => (
+                            <Box key={item.id} sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: '1fr 2fr 1fr 2fr auto' }, gap: 1, mb: 1, alignItems: 'end' }}>
+                                <FormControl>
+                                    <FormLabel htmlFor={`activityStart-${item.id}`}>From:</FormLabel>
+                                    <Input
+                                        type="date"
+                                        id={`activityStart-${item.id}`}
+                                        value={item.startDay}
+                                        onChange={(e) => handleActivityChangeChange(item.id, 'startDay', e.target.value)}
+                                        required
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`activityLevel-${item.id}`}>Activity Level:</FormLabel>
+                                    <Select
+                                        id={`activityLevel-${item.id}`}
+                                        value={item.activityLevel}
+                                        onChange={(e, newValue) => handleActivityChangeChange(item.id, 'activityLevel', newValue)}
+                                    >
+                                        {Object.entries(ACTIVITY_LEVELS).map(([level, label]) => (
+                                            <Option key={level} value={level}>{label}</Option>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`activityMultiplier-${item.id}`}>Multiplier:</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`activityMultiplier-${item.id}`}
+                                        value={item.activityLevel === 'custom' ? item.customMultiplier : ''}
+                                        onChange={(e) => handleActivityChangeChange(item.id, 'customMultiplier', e.target.value)}
+                                        disabled={item.activityLevel !== 'custom'}
+                                        placeholder={item.activityLevel === 'custom' ? '' : String(getActivityMultiplier(item.activityLevel))}
+                                        slotProps={{ input: { min: MIN_ACTIVITY_MULTIPLIER, max: MAX_ACTIVITY_MULTIPLIER, step: 0.01 } }}
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`activityLabel-${item.id}`}>Label:</FormLabel>
+                                    <Input
+                                        id={`activityLabel-${item.id}`}
+                                        value={item.label}
+                                        onChange={(e) => handleActivityChangeChange(item.id, 'label', e.target.value)}
+                                        placeholder="e.g. Training block"
+                                    />
+                                </FormControl>
+                                <Button variant="outlined" color="danger" size="sm" onClick={() => handleRemoveActivityChange(item.id)}>Remove</Button>
+                            </Box>
+                        ))}
+                        <Button variant="outlined" size="sm" onClick={handleAddActivityChange}>Add Activity Change</Button>
+                    </Box>
+
+                    <Box sx={{ mt: 3, mb: 2 }}>
+                        <Typography level="h4" component="h4" sx={{ mb: 1 }}>Measurement Devices and Methods</Typography>
+                        <Typography level="body-sm" sx={{ mb: 1 }}>
+                            Body fat from different scales and methods is not comparable. Calibrate each one against your reference method
+                            (e.g. a DEXA scan): calibrated body fat = measured × scale factor + offset.
+                        </Typography>
+                        {localProfileData.measurementSources.map(source => (
+                            <Box key={source.id} sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: '2fr 2fr 1fr 1fr auto' }, gap: 1, mb: 1, alignItems: 'end' }}>
+                                <FormControl>
+                                    <FormLabel htmlFor={`sourceName-${source.id}`}>Name:</FormLabel>
+                                    <Input
+                                        id={`sourceName-${source.id}`}
+                                        value={source.name}
+                                        onChange={(e) => handleMeasurementSourceChange(source.id, 'name', e.target.value)}
+                                        placeholder="e.g. Bathroom scale"
+                                        required
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`sourceMethod-${source.id}`}>Method:</FormLabel>
+                                    <Select
+                                        id={`sourceMethod-${source.id}`}
+                                        value={source.method}
+                                        onChange={(e, newValue) => handleMeasurementSourceChange(source.id, 'method', newValue)}
+                                    >
+                                        {Object.entries(MEASUREMENT_METHODS).map(([method, label]) => (
+                                            <Option key={method} value={method}>{label}</Option>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`sourceScale-${source.id}`}>Scale Factor:</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`sourceScale-${source.id}`}
+                                        value={source.bodyFatScale}
+                                        onChange={(e) => handleMeasurementSourceChange(source.id, 'bodyFatScale', e.target.value)}
+                                        slotProps={{ input: { step: 0.01, min: 0 } }}
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`sourceOffset-${source.id}`}>Offset (% pts):</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`sourceOffset-${source.id}`}
+                                        value={source.bodyFatOffset}
+                                        onChange={(e) => handleMeasurementSourceChange(source.id, 'bodyFatOffset', e.target.value)}
+                                        slotProps={{ input: { step: 0.1 } }}
+                                    />
+                                </FormControl>
+                                <Button variant="outlined" color="danger" size="sm" onClick={() => handleRemoveMeasurementSource(source.id)}>Remove</Button>
+                            </Box>
+                        ))}
+                        <Button variant="outlined" size="sm" onClick={handleAddMeasurementSource} sx={{ mb: 1 }}>Add Device or Method</Button>
+                        <Checkbox
+                            label="Use calibrated body fat in the graph and predictions"
+                            checked={localProfileData.useCalibratedValues}
+                            onChange={(e) => setLocalProfileData(prevData => ({ ...prevData, useCalibratedValues: e.target.checked }))}
+                            sx={{ display: 'flex' }}
+                        />
                     </Box>
 
                     <Box sx={{ mt: 3, mb: 2 }}>
@@ -791,9 +2071,10 @@ const BodyMetricsDashboard = () => {
                         {localProfileData.weightGoalType !== 'maintain' && (
                             <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
                                 <FormControl>
-                                    <FormLabel htmlFor="targetWeight">Target Weight ({weightUnit}):</FormLabel>
+                                    <FormLabel htmlFor="targetWeight">Target Weight ({MASS_UNITS[getUnitSystem(localProfileData.unitSystem).mass]}):</FormLabel>
                                     <Input
-                                        type="number"
+                                        type={isCompoundUnit(getUnitSystem(localProfileData.unitSystem).mass) ? 'text' : 'number'}
+                                        placeholder={isCompoundUnit(getUnitSystem(localProfileData.unitSystem).mass) ? 'e.g. 11 st 6 lb' : ''}
                                         id="targetWeight"
                                         name="targetWeight"
                                         value={localProfileData.targetWeight}
@@ -803,7 +2084,7 @@ const BodyMetricsDashboard = () => {
                                     />
                                 </FormControl>
                                 <FormControl>
-                                    <FormLabel htmlFor="targetRate">Target Rate ({weightUnit}/week):</FormLabel>
+                                    <FormLabel htmlFor="targetRate">Target Rate ({MASS_UNITS[getUnitSystem(localProfileData.unitSystem).massRate]}/week):</FormLabel>
                                     <Input
                                         type="number"
                                         id="targetRate"
@@ -818,6 +2099,109 @@ const BodyMetricsDashboard = () => {
                         )}
                     </Box>
 
+                    <Box sx={{ mt: 3, mb: 2 }}>
+                        <Typography level="h4" component="h4" sx={{ mb: 1 }}>Diet Phases</Typography>
+                        <Typography level="body-sm" sx={{ mb: 1 }}>
+                            Plan a sequence of phases, e.g. a cut, a diet break and a bulk. During a phase its own goal and rate (or a fixed
+                            daily intake) and, if set, its activity level replace the ones above; outside every phase the weight goal above applies.
+                            The prediction runs through the end of the last phase.
+                        </Typography>
+                        {localProfileData.dietPhases.map(phase => (
+                            <Box key={phase.id} sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: '2fr 1fr 1fr 2fr 1fr 1fr 2fr 1fr auto' }, gap: 1, mb: 1, alignItems: 'end' }}>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseName-${phase.id}`}>Name:</FormLabel>
+                                    <Input
+                                        id={`phaseName-${phase.id}`}
+                                        value={phase.name}
+                                        onChange={(e) => handleDietPhaseChange(phase.id, 'name', e.target.value)}
+                                        placeholder="e.g. Spring cut"
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseStart-${phase.id}`}>From:</FormLabel>
+                                    <Input
+                                        type="date"
+                                        id={`phaseStart-${phase.id}`}
+                                        value={phase.startDay}
+                                        onChange={(e) => handleDietPhaseChange(phase.id, 'startDay', e.target.value)}
+                                        required
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseEnd-${phase.id}`}>To:</FormLabel>
+                                    <Input
+                                        type="date"
+                                        id={`phaseEnd-${phase.id}`}
+                                        value={phase.endDay}
+                                        onChange={(e) => handleDietPhaseChange(phase.id, 'endDay', e.target.value)}
+                                        required
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseGoal-${phase.id}`}>Goal:</FormLabel>
+                                    <Select
+                                        id={`phaseGoal-${phase.id}`}
+                                        value={phase.goalType}
+                                        onChange={(e, newValue) => handleDietPhaseChange(phase.id, 'goalType', newValue)}
+                                    >
+                                        {Object.entries(DIET_PHASE_GOALS).map(([goalType, label]) => (
+                                            <Option key={goalType} value={goalType}>{label}</Option>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseRate-${phase.id}`}>Rate ({MASS_UNITS[getUnitSystem(localProfileData.unitSystem).massRate]}/week):</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`phaseRate-${phase.id}`}
+                                        value={phase.goalType === 'maintain' ? '' : phase.rate}
+                                        onChange={(e) => handleDietPhaseChange(phase.id, 'rate', e.target.value)}
+                                        disabled={phase.goalType === 'maintain'}
+                                        slotProps={{ input: { min: 0, step: 0.1 } }}
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseIntake-${phase.id}`}>Intake ({ENERGY_UNITS[getUnitSystem(localProfileData.unitSystem).energy]}):</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`phaseIntake-${phase.id}`}
+                                        value={phase.intake}
+                                        onChange={(e) => handleDietPhaseChange(phase.id, 'intake', e.target.value)}
+                                        placeholder="From rate"
+                                        slotProps={{ input: { min: 0, step: 1 } }}
+                                    />
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseActivity-${phase.id}`}>Activity Level:</FormLabel>
+                                    <Select
+                                        id={`phaseActivity-${phase.id}`}
+                                        value={phase.activityLevel}
+                                        onChange={(e, newValue) => handleDietPhaseChange(phase.id, 'activityLevel', newValue)}
+                                    >
+                                        <Option value="">Unchanged</Option>
+                                        {Object.entries(ACTIVITY_LEVELS).map(([level, label]) => (
+                                            <Option key={level} value={level}>{label}</Option>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <FormControl>
+                                    <FormLabel htmlFor={`phaseMultiplier-${phase.id}`}>Multiplier:</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`phaseMultiplier-${phase.id}`}
+                                        value={phase.activityLevel === 'custom' ? phase.customMultiplier : ''}
+                                        onChange={(e) => handleDietPhaseChange(phase.id, 'customMultiplier', e.target.value)}
+                                        disabled={phase.activityLevel !== 'custom'}
+                                        placeholder={phase.activityLevel && phase.activityLevel !== 'custom' ? String(getActivityMultiplier(phase.activityLevel)) : ''}
+                                        slotProps={{ input: { min: MIN_ACTIVITY_MULTIPLIER, max: MAX_ACTIVITY_MULTIPLIER, step: 0.01 } }}
+                                    />
+                                </FormControl>
+                                <Button variant="outlined" color="danger" size="sm" onClick={() => handleRemoveDietPhase(phase.id)}>Remove</Button>
+                            </Box>
+                        ))}
+                        <Button variant="outlined" size="sm" onClick={handleAddDietPhase}>Add Phase</Button>
+                    </Box>
+
                     {/* Adjusted styling for the Save Profile button */}
                     <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
                         <Button
@@ -833,20 +2217,261 @@ const BodyMetricsDashboard = () => {
                     </Box>
                 </form>
 
-                {!isNaN(bmr) && <Typography sx={{ mt: 2 }}>Calculated BMR: {bmr.toFixed(0)} calories/day</Typography>}
-                {!isNaN(tdee) && <Typography>Calculated TDEE: {tdee.toFixed(0)} calories/day</Typography>}
+                {modelHistoryStart && (
+                    <Typography level="body-sm" sx={{ mt: 2 }}>
+                        Trends, estimates and predictions are based on your entries since {modelHistoryStart.toLocaleDateString()},
+                        however many older entries are loaded below.
+                    </Typography>
+                )}
+                {!isNaN(bmr) && (
+                    <Typography sx={{ mt: 2 }}>
+                        Calculated BMR ({BMR_EQUATIONS[userProfile?.bmrEquation ?? DEFAULT_BMR_EQUATION]?.label}): {formatEnergy(bmr, unitSystem.energy)}/day
+                    </Typography>
+                )}
+                {!isNaN(trendRates.weightKgPerWeek) && (
+                    <Typography sx={{ mt: 2 }}>
+                        Trend over the last {DEFAULT_TREND_RATE_DAYS} days: weight {formatSignedMass(trendRates.weightKgPerWeek, unitSystem.massRate)}/week
+                        {!isNaN(trendRates.fatMassKgPerWeek) && `, fat mass ${formatSignedMass(trendRates.fatMassKgPerWeek, unitSystem.massRate)}/week`}
+                        {!isNaN(trendRates.leanMassKgPerWeek) && `, lean mass ${formatSignedMass(trendRates.leanMassKgPerWeek, unitSystem.massRate)}/week`}
+                    </Typography>
+                )}
+                {bodyState.days.length > 0 && (
+                    <Typography>
+                        Estimated weight on {bodyState.days[bodyState.days.length - 1].date.toLocaleDateString()}:
+                        {' '}{formatMass(bodyState.days[bodyState.days.length - 1].weightKg, weightUnit)} ± {formatMass(bodyState.days[bodyState.days.length - 1].weightSdKg, weightUnit, 2)}
+                        {weeklyEstimateChange && (
+                            ` — ${formatSignedMass(weeklyEstimateChange.changeKg, weightUnit)} ± ${formatMass(weeklyEstimateChange.sdKg, weightUnit, 2)} over the last 7 days, `
+                            + (weeklyEstimateChange.isReal ? 'a real change' : 'within measurement noise')
+                        )}
+                    </Typography>
+                )}
+                {bodyState.noise.weight.length > 0 && (
+                    <Typography level="body-sm">
+                        Reading noise (1σ): {[...new Set([...bodyState.noise.weight, ...bodyState.noise.bodyFat].map(noise => noise.source))].map((sourceId) => {
+                            const weightNoise = bodyState.noise.weight.find(noise => noise.source === sourceId);
+                            const bodyFatNoise = bodyState.noise.bodyFat.find(noise => noise.source === sourceId);
+                            const name = sourceId ? findMeasurementSource(userProfile?.measurementSources, sourceId)?.name ?? 'Removed device' : 'No device recorded';
+                            const parts = [
+                                weightNoise && `${formatMass(weightNoise.sd, weightUnit, 2)}${weightNoise.pooled ? '*' : ''}`,
+                                bodyFatNoise && `${bodyFatNoise.sd.toFixed(1)} % BF${bodyFatNoise.pooled ? '*' : ''}`,
+                            ].filter(Boolean);
+                            return `${name} ± ${parts.join(', ')}`;
+                        }).join('; ')}
+                        {[...bodyState.noise.weight, ...bodyState.noise.bodyFat].some(noise => noise.pooled) && ' (* too few readings for its own estimate; shared with the other devices)'}
+                    </Typography>
+                )}
+                {!isNaN(tdee) && (
+                    <Typography>
+                        Calculated TDEE: {formatEnergy(tdee, unitSystem.energy)}/day
+                        {' '}({formatActivity(currentActivity)}{currentActivity.label ? `, ${currentActivity.label}` : ''})
+                    </Typography>
+                )}
+                {bmrComparison.some(row => !isNaN(row.bmr)) && (
+                    <Table size="sm" sx={{ my: 1, maxWidth: '480px' }}>
+                        <thead>
+                            <tr>
+                                <th>Equation</th>
+                                <th>BMR</th>
+                                <th>TDEE</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {bmrComparison.map(row => (
+                                <tr key={row.equation} style={{ fontWeight: row.equation === (userProfile?.bmrEquation ?? DEFAULT_BMR_EQUATION) ? 'bold' : 'normal' }}>
+                                    <td>{row.label}</td>
+                                    <td>{formatEnergy(row.bmr, unitSystem.energy)}</td>
+                                    <td>{formatEnergy(row.tdee, unitSystem.energy)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+                {!isNaN(adaptiveTdee.tdee) ? (
+                    <Typography>
+                        Adaptive TDEE: {formatEnergy(adaptiveTdee.tdee, unitSystem.energy)}/day ± {formatEnergy(adaptiveTdee.uncertainty, unitSystem.energy)}
+                        {' '}({adaptiveTdee.confidence} confidence; {adaptiveTdee.intakeDays} of the last {adaptiveTdee.windowDays} days logged,
+                        {' '}trend {formatMass(adaptiveTdee.weightChangeKgPerWeek, unitSystem.massRate, 2)}/week)
+                        {!isNaN(tdee) && ` — ${adaptiveTdee.tdee >= tdee ? '+' : '-'}${formatEnergy(Math.abs(adaptiveTdee.tdee - tdee), unitSystem.energy)} vs. formula`}
+                    </Typography>
+                ) : (
+                    intakeEntries.length > 0 && <Typography level="body-sm">Adaptive TDEE: {adaptiveTdee.reason}</Typography>
+                )}
 
                 {!isNaN(targetCaloricIntake) && (
-                    <Typography>Target Caloric Intake: {targetCaloricIntake.toFixed(0)} calories/day</Typography>
+                    <Typography>
+                        Target Caloric Intake: {formatEnergy(targetCaloricIntake, unitSystem.energy)}/day
+                        {' '}(from the {maintenanceSource === 'adaptive' ? 'adaptive' : 'formula'} TDEE)
+                    </Typography>
+                )}
+                {upcomingActivityChanges.length > 0 && (
+                    <Box sx={{ mt: 1 }}>
+                        <Typography level="body-sm">Upcoming activity changes:</Typography>
+                        <ul>
+                            {upcomingActivityChanges.map(item => (
+                                <Typography component="li" level="body-sm" key={item.id ?? item.startDay}>
+                                    From {item.startDate.toLocaleDateString()}{item.label ? ` (${item.label})` : ''}: {formatActivity(item)}
+                                    {!isNaN(item.targetCaloricIntake) && ` — target intake ${formatEnergy(item.targetCaloricIntake, unitSystem.energy)}/day`}
+                                </Typography>
+                            ))}
+                        </ul>
+                    </Box>
                 )}
 
-                {milestonePoints.length > 0 && (
+                {/* --- Diet phases: the state expected at the end of each --- */}
+                {phaseEndStates.length > 0 && (
+                    <Box sx={{ mt: 3 }}>
+                        <Typography level="h4" component="h4" sx={{ mb: 1 }}>Diet Phases</Typography>
+                        <Table size="sm" variant="outlined" sx={{ borderRadius: 'md' }}>
+                            <thead>
+                                <tr>
+                                    <th>Phase</th>
+                                    <th>Dates</th>
+                                    <th>Goal</th>
+                                    <th>Weight at End</th>
+                                    <th>Body Fat at End</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {phaseEndStates.map(({ phase, lastDay, status, weightKg, bodyFat, lowerKg, upperKg }) => (
+                                    <tr key={phase.id ?? phase.startDay}>
+                                        <td>{phase.name || '-'}</td>
+                                        <td>{phase.startDate.toLocaleDateString()} - {lastDay.toLocaleDateString()}</td>
+                                        <td>{DIET_PHASE_GOALS[phase.goalType]}</td>
+                                        {status === 'predicted' || status === 'measured' ? (
+                                            <>
+                                                <td>
+                                                    {formatMass(weightKg, weightUnit)}
+                                                    {status === 'measured' && ' (measured)'}
+                                                    {!isNaN(lowerKg) && !isNaN(upperKg) && ` (${formatMass(lowerKg, weightUnit)} - ${formatMass(upperKg, weightUnit)})`}
+                                                </td>
+                                                <td>{typeof bodyFat === 'number' && !isNaN(bodyFat) ? `${bodyFat.toFixed(1)}%` : '-'}</td>
+                                            </>
+                                        ) : (
+                                            <td colSpan={2}>{status === 'no_data' ? 'No entries during this phase' : 'Not covered by the forecast'}</td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                        {forecastSimulation && (
+                            <Typography level="body-sm" sx={{ mt: 1 }}>
+                                Ranges run from the {LOWER_PERCENTILE}th to the {UPPER_PERCENTILE}th percentile of the simulated forecasts.
+                            </Typography>
+                        )}
+                    </Box>
+                )}
+
+                {/* --- Goal planner: works the prediction model backwards --- */}
+                <Box component="form" onSubmit={handleGoalPlanSubmit} sx={{ mt: 3 }}>
+                    <Typography level="h4" component="h4" sx={{ mb: 1 }}>Goal Planner</Typography>
+                    <Typography level="body-sm" sx={{ mb: 1 }}>
+                        Set a target and either a deadline, to get the daily intake that reaches it, or a daily intake, to get the date.
+                        Uses the {PREDICTION_MODELS[predictionModel]} model selected for the graph.
+                    </Typography>
+                    <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: 'repeat(4, 1fr) auto' }, gap: 1, alignItems: 'end' }}>
+                        <FormControl>
+                            <FormLabel htmlFor="goalTargetType">Target:</FormLabel>
+                            <Select
+                                id="goalTargetType"
+                                value={goalPlan.targetType}
+                                onChange={(e, newValue) => setGoalPlan(prevPlan => ({ ...prevPlan, targetType: newValue }))}
+                            >
+                                {Object.entries(GOAL_TARGETS).map(([targetType, { label }]) => (
+                                    <Option key={targetType} value={targetType}>{label}</Option>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="goalTargetValue">Target {goalPlan.targetType === 'weight' ? `(${MASS_UNITS[unitSystem.mass]})` : '(%)'}:</FormLabel>
+                            <Input
+                                id="goalTargetValue"
+                                value={goalPlan.targetValue}
+                                onChange={(e) => setGoalPlan(prevPlan => ({ ...prevPlan, targetValue: e.target.value }))}
+                                placeholder={isCompoundUnit(unitSystem.mass) && goalPlan.targetType === 'weight' ? 'e.g. 12 st 4' : ''}
+                                required
+                            />
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="goalMode">Solve For:</FormLabel>
+                            <Select
+                                id="goalMode"
+                                value={goalPlan.mode}
+                                onChange={(e, newValue) => setGoalPlan(prevPlan => ({ ...prevPlan, mode: newValue }))}
+                            >
+                                <Option value="deadline">Daily intake, given a deadline</Option>
+                                <Option value="intake">Date, given a daily intake</Option>
+                            </Select>
+                        </FormControl>
+                        {goalPlan.mode === 'deadline' ? (
+                            <FormControl>
+                                <FormLabel htmlFor="goalDeadline">Deadline:</FormLabel>
+                                <Input
+                                    type="date"
+                                    id="goalDeadline"
+                                    value={goalPlan.deadline}
+                                    onChange={(e) => setGoalPlan(prevPlan => ({ ...prevPlan, deadline: e.target.value }))}
+                                    required
+                                />
+                            </FormControl>
+                        ) : (
+                            <FormControl>
+                                <FormLabel htmlFor="goalIntake">Daily Intake ({ENERGY_UNITS[unitSystem.energy]}):</FormLabel>
+                                <Input
+                                    type="number"
+                                    id="goalIntake"
+                                    value={goalPlan.intake}
+                                    onChange={(e) => setGoalPlan(prevPlan => ({ ...prevPlan, intake: e.target.value }))}
+                                    slotProps={{ input: { min: 0, step: 1 } }}
+                                    required
+                                />
+                            </FormControl>
+                        )}
+                        <Button type="submit">Plan</Button>
+                    </Box>
+                    {goalPlanError && <Typography color="danger" sx={{ mt: 1 }}>{goalPlanError}</Typography>}
+                    {goalPlanResult && (
+                        <Box sx={{ mt: 1 }}>
+                            <Typography>
+                                {goalPlanResult.mode === 'deadline'
+                                    ? `Eat ${formatEnergy(goalPlanResult.intakeKcal, unitSystem.energy)}/day for ${goalPlanResult.days} days to reach the target by ${goalPlanResult.date.toLocaleDateString()}`
+                                    : `At ${formatEnergy(goalPlanResult.intakeKcal, unitSystem.energy)}/day the target is reached on ${goalPlanResult.date.toLocaleDateString()}, in ${goalPlanResult.days} days`}
+                                {!isNaN(goalPlanResult.endWeightKg) && ` (weighing ${formatMass(goalPlanResult.endWeightKg, weightUnit)})`}.
+                            </Typography>
+                            {goalPlanResult.warnings.length > 0 ? (
+                                <ul>
+                                    {goalPlanResult.warnings.map(warning => (
+                                        <Typography component="li" color="warning" key={warning.type}>{formatPlanWarning(warning, unitSystem.energy)}</Typography>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <Typography level="body-sm" color="success">Within the usual limits for a safe deficit and rate of loss.</Typography>
+                            )}
+                        </Box>
+                    )}
+                </Box>
+
+                {forecastSimulation && forecastSimulation.milestones.length > 0 ? (
+                    <Box sx={{ mt: 3 }}>
+                        <Typography level="h4" component="h4">Predicted Milestones:</Typography>
+                        <ul>
+                            {forecastSimulation.milestones.map(milestone => (
+                                <Typography component="li" key={milestone.label}>
+                                    {milestone.label}: {formatMilestoneRange(milestone)}
+                                </Typography>
+                            ))}
+                        </ul>
+                        <Typography level="body-sm">
+                            Ranges run from the {LOWER_PERCENTILE}th to the {UPPER_PERCENTILE}th percentile of {forecastSimulation.runs} simulated forecasts,
+                            allowing for days off plan, error in your maintenance calories and daily weight fluctuation.
+                        </Typography>
+                    </Box>
+                ) : milestonePoints.length > 0 && (
                     <Box sx={{ mt: 3 }}>
                         <Typography level="h4" component="h4">Predicted Milestones:</Typography>
                         <ul>
                             {milestonePoints.map((milestone, index) => (
                                 <Typography component="li" key={index}>
-                                    {milestone.label}: {new Date(milestone.x).toLocaleDateString()} - {milestone.y.toFixed(1)} {weightUnit} ({milestone.bodyFat.toFixed(1)}% BF)
+                                    {milestone.label}: {new Date(milestone.x).toLocaleDateString()} - {formatMass(milestone.weightKg, weightUnit)} ({milestone.bodyFat.toFixed(1)}% BF)
                                 </Typography>
                             ))}
                         </ul>
@@ -856,6 +2481,41 @@ const BodyMetricsDashboard = () => {
 
             <Divider sx={{ my: 4 }} />
 
+            {/* --- Sync status and conflicts from the offline write queue --- */}
+            {(!isOnline || pendingWriteCount > 0 || syncError || conflicts.length > 0) && (
+                <Sheet variant="soft" color={conflicts.length > 0 || syncError ? 'warning' : 'neutral'} sx={{ p: 2, borderRadius: 'md', mb: 4 }}>
+                    {!isOnline && <Typography>You are offline. New entries are saved on this device and will sync when you reconnect.</Typography>}
+                    {pendingWriteCount > 0 && (
+                        <Typography>
+                            {isSyncing ? 'Syncing' : 'Waiting to sync'}: {pendingWriteCount} change{pendingWriteCount === 1 ? '' : 's'}
+                        </Typography>
+                    )}
+                    {syncError && <Typography color="danger">{syncError}</Typography>}
+
+                    {conflicts.map((conflict, index) => {
+                        const describe = (version) => version
+                            ? `${formatEntryDateTime(version.date)}, ${formatMass(toKg(version.weight, version.weightUnit), weightUnit)}, ${version.bodyFat}% BF`
+                            : 'deleted';
+                        const localDescription = conflict.type === 'delete' ? 'deleted' : describe(conflict.local);
+
+                        return (
+                            <Box key={`${conflict.entryId}-${index}`} sx={{ mt: 2 }}>
+                                <Typography level="title-md">This entry was also changed on another device</Typography>
+                                <Typography>This device: {localDescription}</Typography>
+                                <Typography>Other device: {describe(conflict.remote)}</Typography>
+                                <Typography level="body-sm" sx={{ mb: 1 }}>
+                                    Kept the most recent change ({conflict.winner === 'local' ? 'this device' : 'other device'}). Choose which version to keep:
+                                </Typography>
+                                <Box sx={{ display: 'flex', gap: 1 }}>
+                                    <Button size="sm" variant={conflict.winner === 'local' ? 'solid' : 'outlined'} onClick={() => handleResolveConflict(conflict, 'local')}>Keep this device's version</Button>
+                                    <Button size="sm" variant={conflict.winner === 'remote' ? 'solid' : 'outlined'} onClick={() => handleResolveConflict(conflict, 'remote')}>Keep other device's version</Button>
+                                </Box>
+                            </Box>
+                        );
+                    })}
+                </Sheet>
+            )}
+
             <Typography level="h2" component="h2" sx={{ mb: 2 }}>Log Body Metrics</Typography>
 
             {saveError && <Typography color="danger">{saveError}</Typography>}
@@ -864,22 +2524,140 @@ const BodyMetricsDashboard = () => {
             <form onSubmit={handleFormSubmit}>
                 <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: '1fr 1fr 1fr' }, gap: 2, mb: 2 }}>
                     <FormControl>
-                        <FormLabel htmlFor="date">Date:</FormLabel>
-                        <Input type="date" id="date" ref={dateRef} required defaultValue={getTodaysDate()} />
+                        <FormLabel htmlFor="date">Date and Time:</FormLabel>
+                        <Input type="datetime-local" id="date" required defaultValue={formatDateTimeInput(new Date())} slotProps={{ input: { ref: dateRef } }} />
                     </FormControl>
                     <FormControl>
-                        <FormLabel htmlFor="weight">Weight ({weightUnit}):</FormLabel>
-                        <Box sx={{ display: 'flex', gap: 1 }}>
-                            <Input type="number" id="weight" ref={weightRef} required slotProps={{ input: { step: 0.1 } }} sx={{ flexGrow: 1}} />
-                            <Button variant="outlined" onClick={() => setWeightUnit('lbs')} disabled={weightUnit === 'lbs'}>lbs</Button>
-                            <Button variant="outlined" onClick={() => setWeightUnit('kg')} disabled={weightUnit === 'kg'}>kg</Button>
-                        </Box>
+                        <FormLabel htmlFor="weight">Weight ({MASS_UNITS[weightUnit]}):</FormLabel>
+                        {/* The unit comes from the unit system in the profile */}
+                        <Input
+                            type={isCompoundUnit(weightUnit) ? 'text' : 'number'}
+                            id="weight"
+                            required
+                            placeholder={isCompoundUnit(weightUnit) ? 'e.g. 12 st 4 lb' : ''}
+                            slotProps={{ input: { ref: weightRef, step: 0.1 } }}
+                        />
                     </FormControl>
                     <FormControl>
                         <FormLabel htmlFor="bodyFat">Body Fat Percentage (%):</FormLabel>
-                        <Input type="number" id="bodyFat" ref={bodyFatRef} required slotProps={{ input: { step: 0.1 } }} />
+                        {/* Refs sit on the <input> elements themselves, so the estimator below can fill this one in */}
+                        <Input type="number" id="bodyFat" required slotProps={{ input: { ref: bodyFatRef, step: 0.1 } }} />
+                    </FormControl>
+                    <FormControl>
+                        <FormLabel htmlFor="source">Measured With:</FormLabel>
+                        <Select id="source" value={newSource} onChange={(e, newValue) => setNewSource(newValue)}>
+                            <Option value="">-- Unspecified --</Option>
+                            {(userProfile?.measurementSources ?? []).map(source => (
+                                <Option key={source.id} value={source.id}>{source.name}</Option>
+                            ))}
+                        </Select>
+                    </FormControl>
+                </Box>
+                <Typography level="title-sm" sx={{ mb: 1 }}>Tape Measurements ({LENGTH_UNITS[circumferenceUnit]}, optional)</Typography>
+                <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: 'repeat(4, 1fr)', md: 'repeat(7, 1fr)' }, gap: 2, mb: 2 }}>
+                    {CIRCUMFERENCE_SITES.map(({ key, label }) => (
+                        <FormControl key={key}>
+                            <FormLabel htmlFor={`circumference-${key}`}>{label}:</FormLabel>
+                            <Input
+                                type="number"
+                                id={`circumference-${key}`}
+                                value={newCircumferences[key] ?? ''}
+                                onChange={(e) => setNewCircumferences({ ...newCircumferences, [key]: e.target.value })}
+                                slotProps={{ input: { step: 0.1, min: 0 } }}
+                            />
+                        </FormControl>
+                    ))}
+                </Box>
+                <Typography level="title-sm" sx={{ mb: 1 }}>Smart Scale Readings (optional)</Typography>
+                <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: '1fr 1fr 1fr', md: 'repeat(6, 1fr)' }, gap: 2, mb: 2 }}>
+                    {COMPOSITION_FIELDS.map((field) => (
+                        <FormControl key={field.key}>
+                            <FormLabel htmlFor={`composition-${field.key}`}>
+                                {field.label}{getCompositionUnitLabel(field, unitSystem) ? ` (${getCompositionUnitLabel(field, unitSystem)})` : ''}:
+                            </FormLabel>
+                            <Input
+                                type={field.kind === 'mass' && isCompoundUnit(weightUnit) ? 'text' : 'number'}
+                                id={`composition-${field.key}`}
+                                value={newComposition[field.key] ?? ''}
+                                onChange={(e) => setNewComposition({ ...newComposition, [field.key]: e.target.value })}
+                                slotProps={{ input: { step: 0.1, min: 0 } }}
+                            />
+                        </FormControl>
+                    ))}
+                </Box>
+                <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '2fr 1fr' }, gap: 2, mb: 2 }}>
+                    <FormControl>
+                        <FormLabel htmlFor="notes">Notes (optional):</FormLabel>
+                        <Textarea
+                            id="notes"
+                            minRows={2}
+                            value={newNotes}
+                            onChange={(e) => setNewNotes(e.target.value)}
+                            placeholder="e.g. First weigh-in after vacation"
+                            slotProps={{ textarea: { maxLength: MAX_NOTES_LENGTH } }}
+                        />
+                    </FormControl>
+                    <FormControl>
+                        <FormLabel htmlFor="tags">Tags (optional, comma-separated):</FormLabel>
+                        <Input
+                            id="tags"
+                            value={newTags}
+                            onChange={(e) => setNewTags(e.target.value)}
+                            placeholder="e.g. sick, new scale"
+                        />
                     </FormControl>
                 </Box>
+
+                <Button variant="plain" size="sm" onClick={() => setIsBodyFatEstimatorOpen(!isBodyFatEstimatorOpen)}>
+                    {isBodyFatEstimatorOpen ? 'Hide body fat estimator' : 'Estimate body fat from measurements'}
+                </Button>
+                {isBodyFatEstimatorOpen && (
+                    <Sheet variant="soft" sx={{ p: 2, borderRadius: 'md', mt: 1 }}>
+                        <FormControl sx={{ mb: 1 }}>
+                            <FormLabel htmlFor="bodyFatMethod">Method:</FormLabel>
+                            <Select id="bodyFatMethod" value={bodyFatMethod} onChange={(e, newValue) => setBodyFatMethod(newValue)}>
+                                {Object.entries(BODY_FAT_METHODS).map(([method, label]) => (
+                                    <Option key={method} value={method}>{label}</Option>
+                                ))}
+                            </Select>
+                        </FormControl>
+
+                        {bodyFatMethod === 'navy' && (
+                            <Typography level="body-sm" sx={{ mb: 1 }}>
+                                Uses the Neck and Waist measurements above (plus Hips for women), and your height from the profile. Measure the waist at the navel.
+                            </Typography>
+                        )}
+                        {bodyFatMethod === 'deurenberg' && (
+                            <Typography level="body-sm" sx={{ mb: 1 }}>
+                                Uses the weight above, and your height, age and sex from the profile.
+                            </Typography>
+                        )}
+                        {getSkinfoldSites(bodyFatMethod, userProfile?.sex).length > 0 && (
+                            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: 'repeat(4, 1fr)', md: 'repeat(7, 1fr)' }, gap: 2, mb: 1 }}>
+                                {getSkinfoldSites(bodyFatMethod, userProfile?.sex).map(site => (
+                                    <FormControl key={site}>
+                                        <FormLabel htmlFor={`skinfold-${site}`}>{SKINFOLD_SITES[site]} (mm):</FormLabel>
+                                        <Input
+                                            type="number"
+                                            id={`skinfold-${site}`}
+                                            value={skinfolds[site] ?? ''}
+                                            onChange={(e) => setSkinfolds({ ...skinfolds, [site]: e.target.value })}
+                                            slotProps={{ input: { step: 0.5, min: 0 } }}
+                                        />
+                                    </FormControl>
+                                ))}
+                            </Box>
+                        )}
+                        {bodyFatMethod.startsWith('jackson_pollock') && !userProfile?.sex && (
+                            <Typography level="body-sm" sx={{ mb: 1 }}>Set your sex in the profile to see which skinfold sites to measure.</Typography>
+                        )}
+
+                        <Button variant="outlined" size="sm" onClick={handleEstimateBodyFat}>Estimate Body Fat</Button>
+                        {bodyFatEstimateError && <Typography color="danger" sx={{ mt: 1 }}>{bodyFatEstimateError}</Typography>}
+                        {bodyFatEstimateMessage && <Typography color="success" sx={{ mt: 1 }}>{bodyFatEstimateMessage}</Typography>}
+                    </Sheet>
+                )}
+
                 <Button type="submit" loading={saveLoading} sx={{ mt: 2 }}>
                     Save Entry
                 </Button>
@@ -887,6 +2665,93 @@ const BodyMetricsDashboard = () => {
 
             <Divider sx={{ my: 4 }} />
 
+            <Sheet variant="outlined" sx={{ p: 3, borderRadius: 'md', mb: 4 }}>
+                <Typography level="h3" component="h3" sx={{ mb: 2 }}>Log Food Intake</Typography>
+                {intakeError && <Typography color="danger">{intakeError}</Typography>}
+                {intakeMessage && <Typography color="success">{intakeMessage}</Typography>}
+
+                <form onSubmit={handleIntakeFormSubmit}>
+                    <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: 'repeat(3, 1fr)', md: 'repeat(6, 1fr)' }, gap: 2, mb: 2 }}>
+                        <FormControl>
+                            <FormLabel htmlFor="intakeDate">Day:</FormLabel>
+                            <Input
+                                type="date"
+                                id="intakeDate"
+                                required
+                                value={newIntake.date}
+                                onChange={(e) => setNewIntake({ ...newIntake, date: e.target.value })}
+                            />
+                        </FormControl>
+                        <FormControl>
+                            <FormLabel htmlFor="intakeCalories">Energy ({ENERGY_UNITS[unitSystem.energy]}):</FormLabel>
+                            <Input
+                                type="number"
+                                id="intakeCalories"
+                                required
+                                value={newIntake.calories}
+                                onChange={(e) => setNewIntake({ ...newIntake, calories: e.target.value })}
+                                slotProps={{ input: { step: 1, min: 0 } }}
+                            />
+                        </FormControl>
+                        {NUTRIENT_FIELDS.map(({ key, label }) => (
+                            <FormControl key={key}>
+                                <FormLabel htmlFor={`intake-${key}`}>{label} (g, optional):</FormLabel>
+                                <Input
+                                    type="number"
+                                    id={`intake-${key}`}
+                                    value={newIntake[key]}
+                                    onChange={(e) => setNewIntake({ ...newIntake, [key]: e.target.value })}
+                                    slotProps={{ input: { step: 0.1, min: 0 } }}
+                                />
+                            </FormControl>
+                        ))}
+                    </Box>
+                    <Typography level="body-sm" sx={{ mb: 1 }}>Each day holds one total; saving a day that is already logged replaces it.</Typography>
+                    <Button type="submit" loading={savingIntake}>Save Intake</Button>
+                </form>
+
+                {intakeLoading && <Typography sx={{ mt: 2 }}>Loading intake...</Typography>}
+                {!intakeLoading && intakeEntries.length > 0 && (
+                    <Box sx={{ mt: 2, maxHeight: '360px', overflow: 'auto' }}>
+                        <Table size="sm" stickyHeader>
+                            <thead>
+                                <tr>
+                                    <th>Day</th>
+                                    <th>Energy</th>
+                                    <th>Nutrients</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[...intakeEntries].reverse().map((intake) => (
+                                    <tr key={intake.id}>
+                                        <td>{intake.date.toLocaleDateString()}</td>
+                                        <td>{formatEnergy(intake.caloriesKcal, unitSystem.energy)}</td>
+                                        <td>{formatNutrients(intake) || 'N/A'}</td>
+                                        <td>
+                                            <Box sx={{ display: 'flex', gap: 1 }}>
+                                                <Button
+                                                    variant="outlined"
+                                                    size="sm"
+                                                    onClick={() => setNewIntake({
+                                                        date: intake.id,
+                                                        calories: String(Math.round(fromKcal(intake.caloriesKcal, unitSystem.energy))),
+                                                        ...Object.fromEntries(NUTRIENT_FIELDS.map(({ key }) => [key, intake[key] !== undefined ? String(intake[key]) : ''])),
+                                                    })}
+                                                >
+                                                    Edit
+                                                </Button>
+                                                <Button variant="outlined" color="danger" size="sm" onClick={() => handleDeleteIntake(intake.id)}>Delete</Button>
+                                            </Box>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </Box>
+                )}
+            </Sheet>
+
 
             <Sheet variant="outlined" sx={{ p: 3, borderRadius: 'md', mb: 4 }}>
                 <Typography level="h3" component="h3" sx={{ mb: 2 }}>Import Entries from CSV</Typography>
@@ -895,12 +2760,12 @@ const BodyMetricsDashboard = () => {
                 {importError && <Typography color="danger">{importError}</Typography>}
                 {importMessage && <Typography color="success">{importMessage}</Typography>}
 
-                {(!selectedFile && !isParsing && !importError) || (parsedCsvData && columnMapping.date && columnMapping.weight && columnMapping.bodyFat && !importError) ? (
+                {(!selectedFile && !isParsing && !importError) || (parsedCsvData && isMappingConfirmed && !importError) ? (
                     <Input
                         type="file"
                         accept=".csv"
                         onChange={handleFileSelect}
-                        disabled={isParsing || (parsedCsvData && (!columnMapping.date || !columnMapping.weight || !columnMapping.bodyFat))}
+                        disabled={isParsing || (parsedCsvData && !isMappingConfirmed)}
                         sx={{ mb: 2 }}
                     />
                 ) : null}
@@ -911,7 +2776,7 @@ const BodyMetricsDashboard = () => {
                 {isParsing && <Typography>Parsing CSV...</Typography>}
 
                 {/* 3. Show Column Mapping Form */}
-                {parsedCsvData && (!columnMapping.date || !columnMapping.weight || !columnMapping.bodyFat) && csvHeaders.length > 0 ? (
+                {parsedCsvData && !isMappingConfirmed && csvHeaders.length > 0 ? (
                     <Box sx={{ mt: 2 }}>
                         <Typography level="h4" component="h4" sx={{ mb: 1 }}>Map CSV Columns to Data Fields</Typography>
                         <Typography sx={{ mb: 2 }}>Select which column from your CSV corresponds to each required field:</Typography>
@@ -931,6 +2796,20 @@ const BodyMetricsDashboard = () => {
                             </Select>
                         </FormControl>
 
+                        <FormControl sx={{ mb: 1 }}>
+                            <FormLabel htmlFor="timeColumn">Time Column (optional):</FormLabel>
+                            <Select
+                                id="timeColumn"
+                                value={columnMapping.time}
+                                onChange={(e, newValue) => setColumnMapping({ ...columnMapping, time: newValue })}
+                            >
+                                <Option value="">-- None (use a time in the date column, if any) --</Option>
+                                {csvHeaders.map(header => (
+                                    <Option key={header} value={header}>{header}</Option>
+                                ))}
+                            </Select>
+                        </FormControl>
+
                         <FormControl sx={{ mb: 1 }}>
                             <FormLabel htmlFor="weightColumn">Weight Column:</FormLabel>
                             <Select
@@ -969,12 +2848,126 @@ const BodyMetricsDashboard = () => {
                                 onChange={(e, newValue) => setColumnMapping({ ...columnMapping, unit: newValue })}
                                 required
                             >
-                                <Option value="lbs">lbs</Option>
+                                <Option value="lbs">lb</Option>
                                 <Option value="kg">kg</Option>
+                                <Option value="st">st (e.g. "12 st 4 lb" or "12 4")</Option>
                             </Select>
                             <Typography level="body2" sx={{ mt: 0.5 }}>Select the unit used for weight in your CSV data. Body Fat is imported as percentage (%).</Typography>
                         </FormControl>
 
+                        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 1, mb: 2 }}>
+                            <FormControl>
+                                <FormLabel htmlFor="notesColumn">Notes Column (optional):</FormLabel>
+                                <Select
+                                    id="notesColumn"
+                                    value={columnMapping.notes}
+                                    onChange={(e, newValue) => setColumnMapping({ ...columnMapping, notes: newValue })}
+                                >
+                                    <Option value="">-- None --</Option>
+                                    {csvHeaders.map(header => (
+                                        <Option key={header} value={header}>{header}</Option>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <FormControl>
+                                <FormLabel htmlFor="tagsColumn">Tags Column (optional):</FormLabel>
+                                <Select
+                                    id="tagsColumn"
+                                    value={columnMapping.tags}
+                                    onChange={(e, newValue) => setColumnMapping({ ...columnMapping, tags: newValue })}
+                                >
+                                    <Option value="">-- None --</Option>
+                                    {csvHeaders.map(header => (
+                                        <Option key={header} value={header}>{header}</Option>
+                                    ))}
+                                </Select>
+                                <Typography level="body2" sx={{ mt: 0.5 }}>Separate several tags in a cell with commas, semicolons or |.</Typography>
+                            </FormControl>
+                            <FormControl>
+                                <FormLabel htmlFor="importSource">Measured With (optional):</FormLabel>
+                                <Select
+                                    id="importSource"
+                                    value={columnMapping.source}
+                                    onChange={(e, newValue) => setColumnMapping({ ...columnMapping, source: newValue })}
+                                >
+                                    <Option value="">-- Unspecified --</Option>
+                                    {(userProfile?.measurementSources ?? []).map(source => (
+                                        <Option key={source.id} value={source.id}>{source.name}</Option>
+                                    ))}
+                                </Select>
+                                <Typography level="body2" sx={{ mt: 0.5 }}>The device or method every row in the file was measured with.</Typography>
+                            </FormControl>
+                        </Box>
+
+                        <Typography level="title-sm" sx={{ mb: 1 }}>Tape Measurement Columns (optional)</Typography>
+                        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: 'repeat(4, 1fr)' }, gap: 1, mb: 1 }}>
+                            {CIRCUMFERENCE_SITES.map(({ key, label }) => (
+                                <FormControl key={key}>
+                                    <FormLabel htmlFor={`${key}Column`}>{label} Column:</FormLabel>
+                                    <Select
+                                        id={`${key}Column`}
+                                        value={columnMapping.circumferences[key] ?? ''}
+                                        onChange={(e, newValue) => setColumnMapping({
+                                            ...columnMapping,
+                                            circumferences: { ...columnMapping.circumferences, [key]: newValue },
+                                        })}
+                                    >
+                                        <Option value="">-- None --</Option>
+                                        {csvHeaders.map(header => (
+                                            <Option key={header} value={header}>{header}</Option>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            ))}
+                        </Box>
+
+                        <FormControl sx={{ mb: 2 }}>
+                            <FormLabel htmlFor="circumferenceUnitType">Measurement Unit in CSV:</FormLabel>
+                            <Select
+                                id="circumferenceUnitType"
+                                value={columnMapping.circumferenceUnit}
+                                onChange={(e, newValue) => setColumnMapping({ ...columnMapping, circumferenceUnit: newValue })}
+                            >
+                                <Option value="cm">cm</Option>
+                                <Option value="in">in</Option>
+                            </Select>
+                        </FormControl>
+
+                        <Typography level="title-sm" sx={{ mb: 1 }}>Smart Scale Columns (optional)</Typography>
+                        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: 'repeat(3, 1fr)' }, gap: 1, mb: 1 }}>
+                            {COMPOSITION_FIELDS.map(({ key, label }) => (
+                                <FormControl key={key}>
+                                    <FormLabel htmlFor={`${key}Column`}>{label} Column:</FormLabel>
+                                    <Select
+                                        id={`${key}Column`}
+                                        value={columnMapping.composition[key] ?? ''}
+                                        onChange={(e, newValue) => setColumnMapping({
+                                            ...columnMapping,
+                                            composition: { ...columnMapping.composition, [key]: newValue },
+                                        })}
+                                    >
+                                        <Option value="">-- None --</Option>
+                                        {csvHeaders.map(header => (
+                                            <Option key={header} value={header}>{header}</Option>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                            ))}
+                        </Box>
+
+                        <FormControl sx={{ mb: 2 }}>
+                            <FormLabel htmlFor="energyUnitType">BMR Unit in CSV:</FormLabel>
+                            <Select
+                                id="energyUnitType"
+                                value={columnMapping.energyUnit}
+                                onChange={(e, newValue) => setColumnMapping({ ...columnMapping, energyUnit: newValue })}
+                            >
+                                <Option value="kcal">kcal</Option>
+                                <Option value="kJ">kJ</Option>
+                            </Select>
+                            <Typography level="body2" sx={{ mt: 0.5 }}>Muscle and bone mass are read in the weight unit above.</Typography>
+                        </FormControl>
+
                         <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
                             <Button onClick={handleConfirmMapping} disabled={!columnMapping.date || !columnMapping.weight || !columnMapping.bodyFat}>Confirm Mapping</Button>
                             <Button variant="outlined" onClick={clearImportState}>Cancel/Clear Import</Button>
@@ -983,14 +2976,14 @@ const BodyMetricsDashboard = () => {
                 ) : null}
 
                 {/* 4. Show Ready to Import Section */}
-                {parsedCsvData && columnMapping.date && columnMapping.weight && columnMapping.bodyFat ? (
+                {parsedCsvData && isMappingConfirmed ? (
                     <Box sx={{ mt: 2 }}>
                         {!importMessage.includes('Importing') && (
                             <Typography sx={{ mb: 1 }}>{parsedCsvData.length} rows parsed. Ready to import with unit: {columnMapping.unit}.</Typography>
                         )}
                         <Box sx={{ display: 'flex', gap: 1 }}>
                             <Button onClick={handleImportCsv} loading={isImporting}>Import Mapped Data</Button>
-                            <Button variant="outlined" onClick={() => setColumnMapping({ date: '', weight: '', bodyFat: '', unit: 'lbs' })}>Remap Columns</Button>
+                            <Button variant="outlined" onClick={handleRemapColumns}>Remap Columns</Button>
                             <Button variant="outlined" onClick={clearImportState}>Cancel/Clear Import</Button>
                         </Box>
                     </Box>
@@ -999,6 +2992,84 @@ const BodyMetricsDashboard = () => {
                 {!isParsing && !parsedCsvData && !importError && !importMessage && (
                     <Typography>No valid data or headers found in CSV after parsing. Ensure your CSV has headers and data rows.</Typography>
                 )}
+
+                {/* 5. Import History with per-import undo */}
+                {(importHistory.length > 0 || historyError) && (
+                    <Box sx={{ mt: 3 }}>
+                        <Typography level="h4" component="h4" sx={{ mb: 1 }}>Import History</Typography>
+                        {historyError && <Typography color="danger">{historyError}</Typography>}
+                        {importHistory.length > 0 && (
+                            <Table size="sm" variant="outlined" sx={{ borderRadius: 'md' }}>
+                                <thead>
+                                    <tr>
+                                        <th>Imported</th>
+                                        <th>File</th>
+                                        <th>Rows</th>
+                                        <th>Mapping</th>
+                                        <th>Status</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {importHistory.map((importRecord) => (
+                                        <tr key={importRecord.id}>
+                                            <td>{importRecord.importedAt instanceof Date ? importRecord.importedAt.toLocaleString() : 'Pending'}</td>
+                                            <td>{importRecord.fileName}</td>
+                                            <td>{importRecord.importedCount} of {importRecord.rowCount}</td>
+                                            <td>
+                                                {importRecord.mapping
+                                                    ? `${importRecord.mapping.date}${importRecord.mapping.time ? ` + ${importRecord.mapping.time}` : ''} / ${importRecord.mapping.weight} (${importRecord.mapping.unit}) / ${importRecord.mapping.bodyFat}`
+                                                    : 'N/A'}
+                                                {importRecord.mapping?.source && (
+                                                    <Typography level="body-xs">
+                                                        Measured with: {findMeasurementSource(userProfile?.measurementSources, importRecord.mapping.source)?.name ?? 'Removed device'}
+                                                    </Typography>
+                                                )}
+                                                {(importRecord.mapping?.notes || importRecord.mapping?.tags) && (
+                                                    <Typography level="body-xs">
+                                                        {[importRecord.mapping.notes && `Notes = ${importRecord.mapping.notes}`, importRecord.mapping.tags && `Tags = ${importRecord.mapping.tags}`]
+                                                            .filter(Boolean)
+                                                            .join(', ')}
+                                                    </Typography>
+                                                )}
+                                                {importRecord.mapping && Object.values(importRecord.mapping.circumferences ?? {}).some(Boolean) && (
+                                                    <Typography level="body-xs">
+                                                        Measurements ({importRecord.mapping.circumferenceUnit}): {CIRCUMFERENCE_SITES
+                                                            .filter(({ key }) => importRecord.mapping.circumferences[key])
+                                                            .map(({ key, label }) => `${label} = ${importRecord.mapping.circumferences[key]}`)
+                                                            .join(', ')}
+                                                    </Typography>
+                                                )}
+                                                {importRecord.mapping && Object.values(importRecord.mapping.composition ?? {}).some(Boolean) && (
+                                                    <Typography level="body-xs">
+                                                        Scale: {COMPOSITION_FIELDS
+                                                            .filter(({ key }) => importRecord.mapping.composition[key])
+                                                            .map(({ key, label }) => `${label} = ${importRecord.mapping.composition[key]}`)
+                                                            .join(', ')}
+                                                    </Typography>
+                                                )}
+                                            </td>
+                                            <td>{importRecord.status}</td>
+                                            <td>
+                                                {importRecord.status === 'complete' && (
+                                                    <Button
+                                                        variant="outlined"
+                                                        color="danger"
+                                                        size="sm"
+                                                        loading={undoingImportId === importRecord.id}
+                                                        onClick={() => handleUndoImport(importRecord)}
+                                                    >
+                                                        Undo Import
+                                                    </Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
+                        )}
+                    </Box>
+                )}
             </Sheet>
 
             <Divider sx={{ my: 4 }} />
@@ -1013,9 +3084,9 @@ const BodyMetricsDashboard = () => {
                     <form key={editingEntryId} onSubmit={handleEditFormSubmit}>
                         <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: '1fr 1fr 1fr' }, gap: 2, mb: 2 }}>
                             <FormControl>
-                                <FormLabel htmlFor="editDate">Date:</FormLabel>
+                                <FormLabel htmlFor="editDate">Date and Time:</FormLabel>
                                 <Input
-                                    type="date"
+                                    type="datetime-local"
                                     id="editDate"
                                     name="date"
                                     value={editFormData?.date || ''}
@@ -1024,9 +3095,9 @@ const BodyMetricsDashboard = () => {
                                 />
                             </FormControl>
                             <FormControl>
-                                <FormLabel htmlFor="editWeight">Weight ({editFormData?.weightUnit || ''}):</FormLabel>
+                                <FormLabel htmlFor="editWeight">Weight ({MASS_UNITS[editFormData?.weightUnit] || ''}):</FormLabel>
                                 <Input
-                                    type="number"
+                                    type={isCompoundUnit(editFormData?.weightUnit) ? 'text' : 'number'}
                                     id="editWeight"
                                     name="weight"
                                     value={editFormData?.weight || ''}
@@ -1047,12 +3118,131 @@ const BodyMetricsDashboard = () => {
                                     slotProps={{ input: { step: 0.1 } }}
                                 />
                             </FormControl>
+                            <FormControl>
+                                <FormLabel htmlFor="editSource">Measured With:</FormLabel>
+                                <Select
+                                    id="editSource"
+                                    name="source"
+                                    value={editFormData?.source ?? ''}
+                                    onChange={(e, newValue) => handleEditInputChange({ target: { name: 'source', value: newValue } })}
+                                >
+                                    <Option value="">-- Unspecified --</Option>
+                                    {(userProfile?.measurementSources ?? []).map(source => (
+                                        <Option key={source.id} value={source.id}>{source.name}</Option>
+                                    ))}
+                                    {/* Keep a removed source selectable so saving the entry does not drop it */}
+                                    {editFormData?.source && !findMeasurementSource(userProfile?.measurementSources, editFormData.source) && (
+                                        <Option value={editFormData.source}>Removed device</Option>
+                                    )}
+                                </Select>
+                            </FormControl>
+                        </Box>
+                        <Typography level="title-sm" sx={{ mb: 1 }}>Tape Measurements ({LENGTH_UNITS[editFormData?.circumferenceUnit] || ''}, optional)</Typography>
+                        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: 'repeat(4, 1fr)', md: 'repeat(7, 1fr)' }, gap: 2, mb: 2 }}>
+                            {CIRCUMFERENCE_SITES.map(({ key, label }) => (
+                                <FormControl key={key}>
+                                    <FormLabel htmlFor={`editCircumference-${key}`}>{label}:</FormLabel>
+                                    <Input
+                                        type="number"
+                                        id={`editCircumference-${key}`}
+                                        value={editFormData?.circumferences?.[key] ?? ''}
+                                        onChange={(e) => handleEditInputChange({
+                                            target: { name: 'circumferences', value: { ...editFormData.circumferences, [key]: e.target.value } }
+                                        })}
+                                        slotProps={{ input: { step: 0.1, min: 0 } }}
+                                    />
+                                </FormControl>
+                            ))}
+                        </Box>
+                        <Typography level="title-sm" sx={{ mb: 1 }}>Smart Scale Readings (optional)</Typography>
+                        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: '1fr 1fr 1fr', md: 'repeat(6, 1fr)' }, gap: 2, mb: 2 }}>
+                            {COMPOSITION_FIELDS.map((field) => {
+                                const unitLabel = editFormData ? getCompositionUnitLabel(field, { mass: editFormData.weightUnit, energy: editFormData.energyUnit }) : '';
+                                return (
+                                    <FormControl key={field.key}>
+                                        <FormLabel htmlFor={`editComposition-${field.key}`}>{field.label}{unitLabel ? ` (${unitLabel})` : ''}:</FormLabel>
+                                        <Input
+                                            type={field.kind === 'mass' && isCompoundUnit(editFormData?.weightUnit) ? 'text' : 'number'}
+                                            id={`editComposition-${field.key}`}
+                                            value={editFormData?.composition?.[field.key] ?? ''}
+                                            onChange={(e) => handleEditInputChange({
+                                                target: { name: 'composition', value: { ...editFormData.composition, [field.key]: e.target.value } }
+                                            })}
+                                            slotProps={{ input: { step: 0.1, min: 0 } }}
+                                        />
+                                    </FormControl>
+                                );
+                            })}
+                        </Box>
+                        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '2fr 1fr' }, gap: 2, mb: 2 }}>
+                            <FormControl>
+                                <FormLabel htmlFor="editNotes">Notes (optional):</FormLabel>
+                                <Textarea
+                                    id="editNotes"
+                                    name="notes"
+                                    minRows={2}
+                                    value={editFormData?.notes || ''}
+                                    onChange={handleEditInputChange}
+                                    slotProps={{ textarea: { maxLength: MAX_NOTES_LENGTH } }}
+                                />
+                            </FormControl>
+                            <FormControl>
+                                <FormLabel htmlFor="editTags">Tags (optional, comma-separated):</FormLabel>
+                                <Input
+                                    id="editTags"
+                                    name="tags"
+                                    value={editFormData?.tags || ''}
+                                    onChange={handleEditInputChange}
+                                />
+                            </FormControl>
                         </Box>
                         <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
                             <Button type="submit">Save Changes</Button>
                             <Button variant="outlined" onClick={handleCancelEdit}>Cancel</Button>
                         </Box>
                     </form>
+
+                    {/* --- Revision history: earlier versions of this entry, newest first --- */}
+                    <Typography level="h4" component="h4" sx={{ mt: 4, mb: 1 }}>History</Typography>
+                    {revisionsLoading && <Typography>Loading history...</Typography>}
+                    {revisionsError && <Typography color="danger">{revisionsError}</Typography>}
+                    {!revisionsLoading && !revisionsError && entryRevisions.length === 0 && (
+                        <Typography level="body-sm">This entry has not been changed since it was added.</Typography>
+                    )}
+                    {entryRevisions.length > 0 && (
+                        <Table size="sm" variant="outlined" sx={{ borderRadius: 'md' }}>
+                            <thead>
+                                <tr>
+                                    <th>Changed On</th>
+                                    <th>Changed By</th>
+                                    <th>Previous Date</th>
+                                    <th>Previous Weight</th>
+                                    <th>Previous Body Fat (%)</th>
+                                    <th>Previous Measurements</th>
+                                    <th>Previous Scale Readings</th>
+                                    <th>Previous Notes / Tags</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {entryRevisions.map((revision) => (
+                                    <tr key={revision.id}>
+                                        <td>{revision.revisedAt ? revision.revisedAt.toLocaleString() : 'Unknown'}</td>
+                                        <td>{revision.editor?.name || 'Unknown'}</td>
+                                        <td>{formatEntryDateTime(revision.date)}</td>
+                                        <td>{formatMass(revision.weightKg, weightUnit)}</td>
+                                        <td>{revision.bodyFat} %</td>
+                                        <td>{formatCircumferences(revision.circumferencesCm, circumferenceUnit) || 'N/A'}</td>
+                                        <td>{formatComposition(revision.composition, unitSystem) || 'N/A'}</td>
+                                        <td>{[revision.notes, revision.tags.length > 0 && `[${revision.tags.join(', ')}]`].filter(Boolean).join(' ') || 'N/A'}</td>
+                                        <td>
+                                            <Button variant="outlined" size="sm" onClick={() => handleRevertToRevision(revision)}>Revert</Button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    )}
                 </Sheet>
             ) : (
                 <>
@@ -1061,7 +3251,28 @@ const BodyMetricsDashboard = () => {
                     {fetchError && <Typography color="danger">{fetchError}</Typography>}
                     {!fetchLoading && !fetchError && entries.length === 0 && <Typography>No entries logged yet.</Typography>}
 
-                    {!fetchLoading && !fetchError && entries.length > 0 && (
+                    {/* Tag filter for the table; the graph highlights the same tags */}
+                    {!fetchLoading && !fetchError && collectTags(entries).length > 0 && (
+                        <FormControl sx={{ mb: 2, maxWidth: '480px' }}>
+                            <FormLabel htmlFor="tagFilter">Filter by Tags:</FormLabel>
+                            <Select
+                                id="tagFilter"
+                                multiple
+                                placeholder="All entries"
+                                value={selectedTags}
+                                onChange={(e, newValue) => setSelectedTags(newValue)}
+                            >
+                                {collectTags(entries).map(tag => (
+                                    <Option key={tag} value={tag}>{tag}</Option>
+                                ))}
+                            </Select>
+                        </FormControl>
+                    )}
+                    {!fetchLoading && !fetchError && entries.length > 0 && !entries.some(entry => hasAnyTag(entry, selectedTags)) && (
+                        <Typography sx={{ mb: 2 }}>No loaded entries have the selected tags.</Typography>
+                    )}
+
+                    {!fetchLoading && !fetchError && entries.some(entry => hasAnyTag(entry, selectedTags)) && (
                         <Table
                             variant="outlined"
                             hoverRow
@@ -1083,49 +3294,78 @@ const BodyMetricsDashboard = () => {
                                 <tr>
                                     <th>Date</th>
                                     <th>Weight</th>
+                                    <th>Trend Weight</th>
                                     <th>Body Fat (%)</th>
+                                    <th>Measured With</th>
                                     <th>Fat Mass</th>
                                     <th>Lean Mass</th>
+                                    <th>Measurements</th>
+                                    <th>Scale Readings</th>
+                                    <th>Notes / Tags</th>
                                     <th>Actions</th>
                                 </tr>
                             </thead>
                             <tbody>
-                                {entries.map((entry) => {
-                                    let weight = typeof entry.weight === 'number' ? entry.weight : parseFloat(entry.weight);
+                                {entries.filter(entry => hasAnyTag(entry, selectedTags)).map((entry) => {
+                                    // Masses are computed in kg and formatted in the current unit system
+                                    const weightKg = entry.weightKg;
                                     let bodyFatPercentage = typeof entry.bodyFat === 'number' ? entry.bodyFat : parseFloat(entry.bodyFat);
+                                    const source = findMeasurementSource(userProfile?.measurementSources, entry.source);
+                                    const trend = entry.date instanceof Date ? trendByDay.get(formatDateKey(entry.date)) : null;
 
-                                    const fatMassOriginalUnit = (typeof weight === 'number' && !isNaN(weight) && typeof bodyFatPercentage === 'number' && !isNaN(bodyFatPercentage))
-                                        ? (weight * (bodyFatPercentage / 100))
+                                    const fatMassKg = (typeof weightKg === 'number' && !isNaN(weightKg) && typeof bodyFatPercentage === 'number' && !isNaN(bodyFatPercentage))
+                                        ? (weightKg * (bodyFatPercentage / 100))
                                         : NaN;
-                                    const leanMassOriginalUnit = (typeof weight === 'number' && !isNaN(weight) && typeof bodyFatPercentage === 'number' && !isNaN(bodyFatPercentage))
-                                        ? (weight - fatMassOriginalUnit)
+                                    const leanMassKg = (typeof weightKg === 'number' && !isNaN(weightKg) && typeof bodyFatPercentage === 'number' && !isNaN(bodyFatPercentage))
+                                        ? (weightKg - fatMassKg)
                                         : NaN;
 
-                                    let weightDisplay = weight;
-                                    let fatMassTableDisplay = fatMassOriginalUnit;
-                                    let leanMassTableDisplay = leanMassOriginalUnit;
-
-                                    if (entry.weightUnit && entry.weightUnit !== weightUnit) {
-                                        if (weightUnit === 'lbs') {
-                                            weightDisplay = entry.weightUnit === 'kg' ? weight * 2.20462 : weight;
-                                            fatMassTableDisplay = entry.weightUnit === 'kg' ? fatMassOriginalUnit * 2.20462 : fatMassOriginalUnit;
-                                            leanMassTableDisplay = entry.weightUnit === 'kg' ? leanMassOriginalUnit * 2.20462 : leanMassOriginalUnit;
-                                        } else if (weightUnit === 'kg') {
-                                            weightDisplay = entry.weightUnit === 'lbs' ? weight * 0.453592 : weight;
-                                            fatMassTableDisplay = entry.weightUnit === 'lbs' ? fatMassOriginalUnit * 0.453592 : fatMassOriginalUnit;
-                                            leanMassTableDisplay = entry.weightUnit === 'lbs' ? leanMassOriginalUnit * 0.453592 : leanMassOriginalUnit;
-                                        }
-                                    }
                                     return (
                                         <tr key={entry.id}>
-                                            <td>{entry.date instanceof Date ? entry.date.toLocaleDateString() : 'Invalid Date'}</td>
-                                            <td>{`${typeof weightDisplay === 'number' && !isNaN(weightDisplay) ? weightDisplay.toFixed(1) : 'N/A'} ${weightUnit}`}</td>
+                                            <td>
+                                                {formatEntryDateTime(entry.date)}
+                                                {entry.pending && <Typography level="body-xs" color="neutral">Not synced yet</Typography>}
+                                            </td>
+                                            <td>{formatMass(weightKg, weightUnit)}</td>
+                                            <td>
+                                                {trend ? formatMass(trend.trendWeightKg, weightUnit) : 'N/A'}
+                                                {trend && !isNaN(trend.trendFatMassKg) && (
+                                                    <Typography level="body-xs">
+                                                        Fat {formatMass(trend.trendFatMassKg, weightUnit)}, lean {formatMass(trend.trendLeanMassKg, weightUnit)}
+                                                    </Typography>
+                                                )}
+                                            </td>
                                             <td>{typeof bodyFatPercentage === 'number' && !isNaN(bodyFatPercentage) ? bodyFatPercentage.toFixed(1) : 'N/A'} %</td>
-                                            <td>{typeof fatMassTableDisplay === 'number' && !isNaN(fatMassTableDisplay) ? fatMassTableDisplay.toFixed(1) : 'N/A'} {weightUnit}</td>
-                                            <td>{typeof leanMassTableDisplay === 'number' && !isNaN(leanMassTableDisplay) ? leanMassTableDisplay.toFixed(1) : 'N/A'} {weightUnit}</td>
+                                            <td>
+                                                {source ? source.name : entry.source ? 'Removed device' : 'N/A'}
+                                                {source && formatCalibration(source) !== 'None' && !isNaN(bodyFatPercentage) && (
+                                                    <Typography level="body-xs">
+                                                        Calibrated: {calibrateBodyFat(bodyFatPercentage, source).toFixed(1)} % ({formatCalibration(source)})
+                                                    </Typography>
+                                                )}
+                                            </td>
+                                            <td>{formatMass(fatMassKg, weightUnit)}</td>
+                                            <td>{formatMass(leanMassKg, weightUnit)}</td>
+                                            <td>{formatCircumferences(entry.circumferencesCm, circumferenceUnit) || 'N/A'}</td>
+                                            <td>{formatComposition(entry.composition, unitSystem) || 'N/A'}</td>
+                                            <td>
+                                                {entry.notes && <Typography level="body-sm">{entry.notes}</Typography>}
+                                                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                                                    {(entry.tags ?? []).map(tag => (
+                                                        <Chip
+                                                            key={tag}
+                                                            size="sm"
+                                                            variant={selectedTags.includes(tag) ? 'solid' : 'soft'}
+                                                            onClick={() => setSelectedTags(selectedTags.includes(tag) ? selectedTags : [...selectedTags, tag])}
+                                                        >
+                                                            {tag}
+                                                        </Chip>
+                                                    ))}
+                                                </Box>
+                                            </td>
                                             <td>
                                                 <Box sx={{ display: 'flex', gap: 1 }}>
-                                                    <Button variant="outlined" size="sm" onClick={() => handleEditClick(entry)}>Edit</Button>
+                                                    <Button variant="outlined" size="sm" onClick={() => handleEditClick(entry, unitSystem)}>Edit</Button>
                                                     <Button variant="outlined" color="danger" size="sm" onClick={() => handleDeleteEntry(entry.id)}>Delete</Button>
                                                 </Box>
                                             </td>
@@ -1136,6 +3376,61 @@ const BodyMetricsDashboard = () => {
                         </Table>
                     )}
 
+                    {/* Only the most recent entries are loaded up front; older pages load on demand */}
+                    {!fetchLoading && hasOlderEntries && (
+                        <Button variant="outlined" onClick={handleLoadOlderEntries} loading={loadingOlderEntries} sx={{ mb: 2 }}>
+                            Load Older Entries
+                        </Button>
+                    )}
+
+                    {/* --- Trash: deleted entries can be restored until they are purged --- */}
+                    <Box sx={{ mb: 2 }}>
+                        <Button variant="plain" color="neutral" onClick={handleToggleTrash}>
+                            {isTrashOpen ? 'Hide Trash' : 'Show Trash'}
+                        </Button>
+                    </Box>
+                    {trashMessage && <Typography color="success">{trashMessage}</Typography>}
+                    {isTrashOpen && (
+                        <Sheet variant="outlined" sx={{ p: 2, borderRadius: 'md', mb: 4 }}>
+                            <Typography level="h4" component="h4" sx={{ mb: 1 }}>Trash</Typography>
+                            <Typography level="body-sm" sx={{ mb: 2 }}>
+                                Deleted entries are kept for {userProfile?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS} days and then removed for good.
+                            </Typography>
+                            {trashLoading && <Typography>Loading trash...</Typography>}
+                            {trashError && <Typography color="danger">{trashError}</Typography>}
+                            {!trashLoading && trashedEntries.length === 0 && <Typography>The trash is empty.</Typography>}
+                            {trashedEntries.length > 0 && (
+                                <Table size="sm" variant="outlined" sx={{ borderRadius: 'md' }}>
+                                    <thead>
+                                        <tr>
+                                            <th>Date</th>
+                                            <th>Weight</th>
+                                            <th>Body Fat (%)</th>
+                                            <th>Deleted On</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {trashedEntries.map((entry) => (
+                                            <tr key={entry.id}>
+                                                <td>{formatEntryDateTime(entry.date)}</td>
+                                                <td>{formatMass(entry.weightKg, weightUnit)}</td>
+                                                <td>{entry.bodyFat} %</td>
+                                                <td>{entry.deletedAt.toLocaleDateString()}</td>
+                                                <td>
+                                                    <Box sx={{ display: 'flex', gap: 1 }}>
+                                                        <Button variant="outlined" size="sm" onClick={() => handleRestoreEntry(entry.id)}>Restore</Button>
+                                                        <Button variant="outlined" color="danger" size="sm" onClick={() => handlePurgeEntry(entry.id)}>Delete Forever</Button>
+                                                    </Box>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </Table>
+                            )}
+                        </Sheet>
+                    )}
+
                     <Divider sx={{ my: 4 }} />
 
                     <Typography level="h3" component="h3" sx={{ mb: 2 }}>Progress Graph</Typography>
@@ -1154,6 +3449,55 @@ const BodyMetricsDashboard = () => {
                         />
                     </FormControl>
 
+                    {/* Selector for the prediction model */}
+                    <FormControl sx={{ mb: 3 }}>
+                        <FormLabel htmlFor="predictionModel">Prediction Model:</FormLabel>
+                        <Select
+                            id="predictionModel"
+                            value={predictionModel}
+                            onChange={(e, newValue) => setPredictionModel(newValue)}
+                            sx={{ maxWidth: '360px' }}
+                        >
+                            {Object.entries(PREDICTION_MODELS).map(([model, label]) => (
+                                <Option key={model} value={model}>{label}</Option>
+                            ))}
+                        </Select>
+                        <Typography level="body-sm" sx={{ mt: 0.5 }}>
+                            The Hall model splits weight change between fat and lean mass and slows as your body adapts, so it suits long forecasts and large deficits.
+                        </Typography>
+                    </FormControl>
+
+                    <Checkbox
+                        label={`Simulate the forecast range (${LOWER_PERCENTILE}th–${UPPER_PERCENTILE}th percentile) and milestone date ranges`}
+                        size="sm"
+                        checked={simulateForecastRange}
+                        onChange={(e) => setSimulateForecastRange(e.target.checked)}
+                        sx={{ display: 'flex', mb: 1 }}
+                    />
+                    <Checkbox
+                        label="Show estimated weight, fat and lean mass with ±1σ bands"
+                        size="sm"
+                        checked={showEstimateBands}
+                        onChange={(e) => setShowEstimateBands(e.target.checked)}
+                        sx={{ display: 'flex', mb: 1 }}
+                    />
+
+                    {/* Toggles for the smart-scale traces */}
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                        <Typography level="title-sm">Scale readings on graph:</Typography>
+                        {COMPOSITION_FIELDS.map(({ key, label }) => (
+                            <Checkbox
+                                key={key}
+                                label={label}
+                                size="sm"
+                                checked={visibleCompositionFields.includes(key)}
+                                onChange={(e) => setVisibleCompositionFields(e.target.checked
+                                    ? [...visibleCompositionFields, key]
+                                    : visibleCompositionFields.filter(field => field !== key))}
+                            />
+                        ))}
+                    </Box>
+
                     {/* Show graph only if not loading/error and entries exist */}
                     {!fetchLoading && !fetchError && entries.length > 0 && (
                         <Box sx={{ width: '100%', maxWidth: '1280px', margin: '20px auto', height: '720px' }}>
@@ -1,28 +1,59 @@
 // src/hooks/useBodyMetrics.js
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { addDays, startOfDay } from 'date-fns';
 import { useAuth } from '../AuthContext.jsx';
 import {
     fetchBodyMetricsEntries,
-    addBodyMetricsEntry,
-    updateBodyMetricsEntry,
-    deleteBodyMetricsEntry
+    subscribeToBodyMetricsEntries,
+    applyEntryChanges,
+    fetchBodyMetricsEntryRevisions
 } from '../services/bodyMetricsService.js';
-
-// Helper function to get today's date inYYYY-MM-DD format
-const getTodaysDate = () => {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-}
+import {
+    getPendingWrites,
+    enqueueWrite,
+    applyPendingWrites,
+    flushPendingWrites,
+    enqueueConflictResolution
+} from '../services/offlineQueue.js';
+import { runEntryMigrations } from '../services/migrationService.js';
+import { toKg, formatMassInput } from '../utils/units.js';
+import { formatCircumferenceInputs } from '../utils/circumferences.js';
+import { formatCompositionInputs } from '../utils/composition.js';
+import { formatDateTimeInput } from '../utils/dates.js';
+import { formatTagsInput } from '../utils/tags.js';
+
+// Who is making a change, as recorded in an entry's revision history
+const getEditor = (user) => ({ uid: user.uid, name: user.displayName || user.email || user.uid });
+
+// Number of entries loaded up front, and per "load older" page after that
+const ENTRIES_PAGE_SIZE = 100;
+
+// Days of history the trends, estimates and predictions are fitted to, however many pages the table has loaded
+const MODEL_HISTORY_DAYS = 365;
 
 const useBodyMetrics = () => {
     // State for fetching and displaying historical entries
-    const [entries, setEntries] = useState([]);
+    // The most recent page is kept live (liveEntries); older pages are loaded on demand and not live (olderEntries)
+    const [liveEntries, setLiveEntries] = useState([]);
+    const [olderEntries, setOlderEntries] = useState([]);
+    const [windowStart, setWindowStart] = useState(null);  // Date the live window starts at, or null for the whole history
+    const [olderEntriesCursor, setOlderEntriesCursor] = useState(null);
+    const [loadingOlderEntries, setLoadingOlderEntries] = useState(false);
+    // Entries between the start of the model history and the live window, loaded once for the models and not live
+    const [historyEntries, setHistoryEntries] = useState([]);
+    const [modelHistoryStart, setModelHistoryStart] = useState(null);  // Date the model history starts at, or null if it is the whole history
     const [fetchLoading, setFetchLoading] = useState(true);
     const [fetchError, setFetchError] = useState('');
 
+    // State for the offline write queue
+    // Writes are queued locally first and replayed against the backend when online
+    const [pendingWrites, setPendingWrites] = useState([]);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [syncError, setSyncError] = useState('');
+    const [conflicts, setConflicts] = useState([]);
+    const syncInProgressRef = useRef(false);
+
     // State for the new entry form and saving process
     const [saveError, setSaveError] = useState('');
     const [saveLoading, setSaveLoading] = useState(false);
@@ -31,16 +62,35 @@ const useBodyMetrics = () => {
     // State for editing entries
     const [isEditing, setIsEditing] = useState(false);
     const [editingEntryId, setEditingEntryId] = useState(null);
+    const [editingBaseUpdatedAt, setEditingBaseUpdatedAt] = useState(null);
     const [editFormData, setEditFormData] = useState(null);
     const [editError, setEditError] = useState('');
     const [editMessage, setEditMessage] = useState('');
 
+    // State for the revision history of the entry being edited
+    const [entryRevisions, setEntryRevisions] = useState([]);
+    const [revisionsLoading, setRevisionsLoading] = useState(false);
+    const [revisionsError, setRevisionsError] = useState('');
+
     const { currentUser } = useAuth();
 
-    // Function to fetch historical entries using the service
+    // Entries as the user should see them: every loaded page with queued writes applied on top
+    const entries = useMemo(() => {
+        const loadedEntries = applyEntryChanges(olderEntries, liveEntries.map(entry => ({ type: 'added', entry })));
+        return applyPendingWrites(loadedEntries, pendingWrites);
+    }, [olderEntries, liveEntries, pendingWrites]);
+
+    // Entries the models see: the last MODEL_HISTORY_DAYS days, whichever pages are loaded, with queued writes applied
+    const modelEntries = useMemo(() => {
+        const loadedEntries = applyEntryChanges(historyEntries, [...olderEntries, ...liveEntries].map(entry => ({ type: 'added', entry })));
+        const modelledEntries = applyPendingWrites(loadedEntries, pendingWrites);
+        return modelHistoryStart ? modelledEntries.filter(entry => entry.date instanceof Date && entry.date >= modelHistoryStart) : modelledEntries;
+    }, [historyEntries, olderEntries, liveEntries, pendingWrites, modelHistoryStart]);
+
+    // Function to re-read the entries in the live window using the service
     const handleFetchEntries = useCallback(async () => {
         if (!currentUser) {
-            setEntries([]);
+            setLiveEntries([]);
             setFetchLoading(false);
             setFetchError('');
             console.log('Fetch Entries: No user, clearing entries.');
@@ -51,22 +101,207 @@ const useBodyMetrics = () => {
         setFetchError('');
 
         try {
-            const fetchedEntries = await fetchBodyMetricsEntries(currentUser.uid);
-            setEntries(fetchedEntries);
+            const { entries: fetchedEntries } = await fetchBodyMetricsEntries(currentUser.uid, { from: windowStart ?? undefined });
+            setLiveEntries(fetchedEntries);
             setFetchLoading(false);
         } catch (error) {
             console.error('Fetch Entries Error: ', error);
             setFetchError(error.message);
             setFetchLoading(false);
         }
+    }, [currentUser, windowStart]);
+
+    // Effect hook to keep the most recent entries live while a user is logged in
+    // Runs pending schema migrations, then loads the newest page first to find where the live window starts, then subscribes from there.
+    // The listener delivers the window's entries, then incremental changes from any tab or device,
+    // so writes no longer need a refetch. It is torn down whenever currentUser changes.
+    useEffect(() => {
+        setLiveEntries([]);
+        setOlderEntries([]);
+        setWindowStart(null);
+        setOlderEntriesCursor(null);
+        setHistoryEntries([]);
+        setModelHistoryStart(null);
+        setFetchError('');
+
+        if (!currentUser) {
+            setFetchLoading(false);
+            return;
+        }
+
+        setFetchLoading(true);
+
+        let cancelled = false;
+        let unsubscribe = () => {};
+
+        const startLiveWindow = async () => {
+            // Upgrade stored entries to the current schema first; entries read before that are upgraded on the fly
+            if (navigator.onLine) {
+                try {
+                    await runEntryMigrations(currentUser.uid);
+                } catch (error) {
+                    console.error('Entry Migration Error: ', error);
+                }
+            }
+
+            try {
+                const { entries: newestEntries, nextCursor } = await fetchBodyMetricsEntries(currentUser.uid, {
+                    limit: ENTRIES_PAGE_SIZE,
+                    descending: true,
+                });
+                if (cancelled) {
+                    return;
+                }
+
+                // With no further page the whole history fits in the window. Otherwise the window starts at the page's last
+                // stored entry, which the cursor holds; the page itself can be shorter, or even empty, once trashed entries are dropped
+                const start = nextCursor ? nextCursor.date : null;
+                if (nextCursor && newestEntries.length === 0) {
+                    console.log('Fetch Entries: Every entry on the newest page is in the trash; older entries can be loaded on demand.');
+                }
+                setWindowStart(start);
+                setOlderEntriesCursor(nextCursor);
+
+                // The models need more than the newest page: load the rest of their history once, by date
+                if (start) {
+                    const historyStart = startOfDay(addDays(new Date(), -MODEL_HISTORY_DAYS));
+                    const { entries: fetchedHistory } = historyStart < start
+                        ? await fetchBodyMetricsEntries(currentUser.uid, { from: historyStart, to: start })
+                        : { entries: [] };
+                    if (cancelled) {
+                        return;
+                    }
+                    setHistoryEntries(fetchedHistory);
+                    setModelHistoryStart(historyStart);
+                }
+
+                unsubscribe = subscribeToBodyMetricsEntries(
+                    currentUser.uid,
+                    (changes) => {
+                        setLiveEntries(prevEntries => applyEntryChanges(prevEntries, changes));
+                        setFetchLoading(false);
+                        setFetchError('');
+                    },
+                    (error) => {
+                        setFetchError(error.message);
+                        setFetchLoading(false);
+                    },
+                    { from: start ?? undefined }
+                );
+            } catch (error) {
+                console.error('Fetch Entries Error: ', error);
+                if (!cancelled) {
+                    setFetchError(error.message);
+                    setFetchLoading(false);
+                }
+            }
+        };
+
+        startLiveWindow();
+
+        return () => {
+            cancelled = true;
+            unsubscribe();
+        };
     }, [currentUser]);
 
-    // Effect hook to fetch entries when the component mounts or currentUser changes
+    // Function to load the next page of entries older than those already loaded
+    const handleLoadOlderEntries = async () => {
+        if (!currentUser || !olderEntriesCursor || loadingOlderEntries) {
+            return;
+        }
+
+        setLoadingOlderEntries(true);
+
+        try {
+            const { entries: olderPage, nextCursor } = await fetchBodyMetricsEntries(currentUser.uid, {
+                limit: ENTRIES_PAGE_SIZE,
+                descending: true,
+                cursor: olderEntriesCursor,
+            });
+            setOlderEntries(prevEntries => applyEntryChanges(prevEntries, olderPage.map(entry => ({ type: 'added', entry }))));
+            setOlderEntriesCursor(nextCursor);
+        } catch (error) {
+            console.error('Load Older Entries Error: ', error);
+            setFetchError(error.message);
+        }
+        setLoadingOlderEntries(false);
+    };
+
+    // Function to replay queued writes against the backend
+    const syncPendingWrites = useCallback(async () => {
+        if (!currentUser || !navigator.onLine || syncInProgressRef.current) {
+            return;
+        }
+        if (getPendingWrites(currentUser.uid).length === 0) {
+            return;
+        }
+
+        syncInProgressRef.current = true;
+        setIsSyncing(true);
+
+        const result = await flushPendingWrites(currentUser.uid);
+        console.log('Sync: Finished.', result);
+
+        setPendingWrites(getPendingWrites(currentUser.uid));
+        setSyncError(result.error ? `Sync failed, ${result.remaining} change(s) still waiting: ${result.error}` : '');
+        if (result.conflicts.length > 0) {
+            setConflicts(prevConflicts => [...prevConflicts, ...result.conflicts]);
+        }
+
+        syncInProgressRef.current = false;
+        setIsSyncing(false);
+    }, [currentUser]);
+
+    // Effect hook to load the queue for the current user and sync it
+    useEffect(() => {
+        setPendingWrites(getPendingWrites(currentUser?.uid));
+        setConflicts([]);
+        setSyncError('');
+        syncPendingWrites();
+    }, [currentUser, syncPendingWrites]);
+
+    // Effect hook to track connectivity and sync as soon as the connection comes back
     useEffect(() => {
-        handleFetchEntries();
-    }, [handleFetchEntries]);
+        const handleOnline = () => {
+            setIsOnline(true);
+            syncPendingWrites();
+        };
+        const handleOffline = () => setIsOnline(false);
 
-    // Function to handle submission of the new entry form using the service
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [syncPendingWrites]);
+
+    // Function to queue a write, show it right away, and try to sync it
+    const queueWrite = (write) => {
+        const writes = enqueueWrite(currentUser.uid, write);
+        setPendingWrites(writes);
+
+        // Older pages and the model history are not live, so apply the write to them directly; it would otherwise vanish once synced
+        const patchLoadedEntries = (loadedEntries, setLoadedEntries) => {
+            const loadedEntry = loadedEntries.find(entry => entry.id === write.entryId);
+            if (!loadedEntry || write.type === 'add') {
+                return;
+            }
+            const queuedWrite = writes.findLast(w => w.entryId === write.entryId);
+            const patchedEntry = { ...loadedEntry, ...queuedWrite.data };
+            const change = write.type === 'delete'
+                ? { type: 'removed', entry: loadedEntry }
+                : { type: 'modified', entry: { ...patchedEntry, weightKg: toKg(patchedEntry.weight, patchedEntry.weightUnit) } };
+            setLoadedEntries(prevEntries => applyEntryChanges(prevEntries, [change]));
+        };
+        patchLoadedEntries(olderEntries, setOlderEntries);
+        patchLoadedEntries(historyEntries, setHistoryEntries);
+
+        syncPendingWrites();
+    };
+
+    // Function to handle submission of the new entry form
     const handleSubmit = async (entryData) => {
         // Basic client-side validation is assumed to be done before calling this function
         // in the component where the form is rendered.
@@ -83,13 +318,13 @@ const useBodyMetrics = () => {
         setSaveLoading(true);
 
         try {
-            await addBodyMetricsEntry(currentUser.uid, entryData);
-
-            setSaveMessage('Entry added successfully!');
-            console.log('Save Entry: Successful.');
+            // The entry is shown immediately and synced in the background
+            queueWrite({ type: 'add', data: entryData });
 
-            // Re-fetch entries to update the table and graph
-            handleFetchEntries();
+            setSaveMessage(navigator.onLine
+                ? 'Entry added successfully!'
+                : 'Entry saved on this device. It will sync when you are back online.');
+            console.log('Save Entry: Queued.');
         } catch (error) {
             setSaveError(error.message);
             console.error('Save Entry Error: ', error);
@@ -98,20 +333,61 @@ const useBodyMetrics = () => {
         setSaveLoading(false);
     };
 
+    // Function to load the revision history of the entry being edited
+    const loadEntryRevisions = async (entryId) => {
+        setEntryRevisions([]);
+        setRevisionsError('');
+
+        // Entries that have not synced yet have no history on the backend
+        if (!navigator.onLine || pendingWrites.some(w => w.type === 'add' && w.entryId === entryId)) {
+            return;
+        }
+
+        setRevisionsLoading(true);
+        try {
+            setEntryRevisions(await fetchBodyMetricsEntryRevisions(currentUser.uid, entryId));
+        } catch (error) {
+            console.error('Load Entry Revisions Error: ', error);
+            setRevisionsError(error.message);
+        }
+        setRevisionsLoading(false);
+    };
+
+    // Function to close the edit form and clear its state
+    const resetEditState = () => {
+        setIsEditing(false);
+        setEditingEntryId(null);
+        setEditingBaseUpdatedAt(null);
+        setEditFormData(null);
+        setEditError('');
+        setEditMessage('');
+        setEntryRevisions([]);
+        setRevisionsError('');
+    };
+
     // Function to handle clicking the Edit button
-    const handleEditClick = (entry) => {
+    // The form shows values in the given units ({ mass, circumference, energy }, usually the current unit system),
+    // defaulting to the entry's own weight unit and metric for the rest
+    const handleEditClick = (entry, units = { mass: entry.weightUnit, circumference: 'cm', energy: 'kcal' }) => {
         setIsEditing(true);
         setEditingEntryId(entry.id);
+        setEditingBaseUpdatedAt(entry.updatedAt ?? null);   // Used to detect edits made on another device meanwhile
 
-        const formattedDate = entry.date instanceof Date && !isNaN(entry.date.getTime())
-            ? entry.date.toISOString().split('T')[0]
-            : getTodaysDate();
+        // Date and time of the weigh-in, in local time
+        const formattedDate = formatDateTimeInput(entry.date) || formatDateTimeInput(new Date());
 
         const initialEditData = {
             date: formattedDate,
-            weight: typeof entry.weight === 'number' ? entry.weight : parseFloat(entry.weight),
+            weight: formatMassInput(entry.weightKg, units.mass),
             bodyFat: typeof entry.bodyFat === 'number' ? entry.bodyFat : parseFloat(entry.bodyFat),
-            weightUnit: entry.weightUnit,
+            weightUnit: units.mass,
+            circumferences: formatCircumferenceInputs(entry.circumferencesCm, units.circumference),
+            circumferenceUnit: units.circumference,
+            composition: formatCompositionInputs(entry.composition, units),
+            energyUnit: units.energy,
+            notes: entry.notes ?? '',
+            tags: formatTagsInput(entry.tags),
+            source: entry.source ?? '',
         };
 
         setEditFormData(initialEditData);
@@ -119,6 +395,7 @@ const useBodyMetrics = () => {
         console.log('handleEditClick: Prepared initial editFormData', initialEditData);
         setEditError('');
         setEditMessage('');
+        loadEntryRevisions(entry.id);
     };
 
     // Function to handle input changes *within* the edit form
@@ -130,7 +407,7 @@ const useBodyMetrics = () => {
         }));
     };
 
-    // Function to handle updating an entry in Firestore using the service
+    // Function to handle updating an entry through the write queue
     const handleUpdateEntry = async (updatedData) => {
         if (!currentUser || !editingEntryId) {
             setEditError('Cannot update entry: user not logged in or entry ID missing.');
@@ -147,20 +424,20 @@ const useBodyMetrics = () => {
         // This function focuses on the data saving logic.
 
         try {
-            await updateBodyMetricsEntry(currentUser.uid, editingEntryId, updatedData);
+            queueWrite({
+                type: 'update',
+                entryId: editingEntryId,
+                data: updatedData,
+                baseUpdatedAt: editingBaseUpdatedAt,
+                editor: getEditor(currentUser),
+            });
 
-            setEditMessage('Entry updated successfully!');
-            console.log(`Update Entry: Successfully updated entry with ID: ${editingEntryId}`);
+            setEditMessage(navigator.onLine
+                ? 'Entry updated successfully!'
+                : 'Entry updated on this device. It will sync when you are back online.');
+            console.log(`Update Entry: Queued update for entry with ID: ${editingEntryId}`);
 
-            handleFetchEntries();
-
-            setTimeout(() => {
-                setIsEditing(false);
-                setEditingEntryId(null);
-                setEditFormData(null);
-                setEditMessage('');
-                setEditError('');
-            }, 1500);
+            setTimeout(resetEditState, 1500);
 
         } catch (error) {
             setEditError(error.message);
@@ -169,18 +446,58 @@ const useBodyMetrics = () => {
         }
     };
 
-    // Function to handle entry deletion using the service
+    // Function to revert the entry being edited to one of its earlier revisions
+    // The revert is an ordinary update, so the version it replaces goes into the history too
+    const handleRevertToRevision = (revision) => {
+        if (!currentUser || !editingEntryId) {
+            setEditError('Cannot revert entry: user not logged in or entry ID missing.');
+            return;
+        }
+
+        setEditError('');
+        setEditMessage('');
+
+        try {
+            queueWrite({
+                type: 'update',
+                entryId: editingEntryId,
+                data: {
+                    date: revision.date,
+                    weight: revision.weight,
+                    bodyFat: revision.bodyFat,
+                    weightUnit: revision.weightUnit,
+                    circumferencesCm: revision.circumferencesCm,
+                    composition: revision.composition,
+                    notes: revision.notes,
+                    tags: revision.tags,
+                    source: revision.source,
+                },
+                baseUpdatedAt: editingBaseUpdatedAt,
+                editor: getEditor(currentUser),
+            });
+
+            setEditMessage(`Entry reverted to the version from ${revision.revisedAt?.toLocaleString() ?? 'an earlier edit'}.`);
+            console.log(`Revert Entry: Queued revert for entry with ID: ${editingEntryId} to revision: ${revision.id}`);
+
+            setTimeout(resetEditState, 1500);
+        } catch (error) {
+            setEditError(error.message);
+            console.error('Revert Entry Error: ', error);
+        }
+    };
+
+    // Function to handle entry deletion through the write queue
     const handleDeleteEntry = async (entryId) => {
         if (!currentUser || !entryId) {
             console.error('Delete Entry: No user or entry ID provided.');
             return;
         }
 
-        if (window.confirm('Are you sure you want to delete this entry?')) {
+        if (window.confirm('Move this entry to the trash? You can restore it from the trash later.')) {
             try {
-                await deleteBodyMetricsEntry(currentUser.uid, entryId);
-                console.log(`Delete Entry: Successfully deleted entry with ID: ${entryId}`);
-                handleFetchEntries();
+                const entry = entries.find(e => e.id === entryId);
+                queueWrite({ type: 'delete', entryId, baseUpdatedAt: entry?.updatedAt ?? null });
+                console.log(`Delete Entry: Queued move to trash for entry with ID: ${entryId}`);
             } catch (error) {
                 console.error('Delete Entry Error: ', error);
                  setFetchError(error.message);
@@ -188,18 +505,33 @@ const useBodyMetrics = () => {
         }
     };
 
+    // Function to settle a sync conflict with the version the user picked
+    // choice is 'local' (this device) or 'remote' (the other device); last-writer-wins already applied conflict.winner
+    const handleResolveConflict = (conflict, choice) => {
+        if (!currentUser) {
+            return;
+        }
+
+        try {
+            setPendingWrites(enqueueConflictResolution(currentUser.uid, conflict, choice, getEditor(currentUser)));
+            setConflicts(prevConflicts => prevConflicts.filter(c => c !== conflict));
+            syncPendingWrites();
+        } catch (error) {
+            console.error('Resolve Conflict Error: ', error);
+            setSyncError(error.message);
+        }
+    };
+
     // Function to cancel editing
     const handleCancelEdit = () => {
-        setIsEditing(false);
-        setEditingEntryId(null);
-        setEditFormData(null);
-        setEditError('');
-        setEditMessage('');
+        resetEditState();
     };
 
 
     return {
         entries,
+        modelEntries,   // Entries for trends, estimates and predictions; independent of the pages loaded for the table
+        modelHistoryStart,
         fetchLoading,
         fetchError,
         saveError,
@@ -210,13 +542,27 @@ const useBodyMetrics = () => {
         editFormData,
         editError,
         editMessage,
-        handleFetchEntries, // Although fetched on mount, expose if needed elsewhere
+        entryRevisions,
+        revisionsLoading,
+        revisionsError,
+        hasOlderEntries: olderEntriesCursor !== null,
+        loadingOlderEntries,
+        pendingWriteCount: pendingWrites.length,
+        isOnline,
+        isSyncing,
+        syncError,
+        conflicts,
+        handleFetchEntries, // Entries stay live through the subscription; expose a manual refresh if needed elsewhere
+        syncPendingWrites,
+        handleLoadOlderEntries,
         handleSubmit,
         handleEditClick,
         handleEditInputChange,
         handleUpdateEntry,
         handleDeleteEntry,
         handleCancelEdit,
+        handleRevertToRevision,
+        handleResolveConflict,
         currentUser, // Return currentUser from the hook
         // Expose state setters from the hook if needed for local form validation messages
         setSaveError, // Expose setter
@@ -1,11 +1,25 @@
 // src/hooks/useCsvImport.js
 
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
 import Papa from 'papaparse';
-// Import the service function needed for saving imported data
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
-import { db } from '../firebase';
-// import { addBodyMetricsEntry } from '../services/bodyMetricsService';
+// Import the service functions needed for saving and undoing imported data
+import {
+    importBodyMetricsEntries,
+    fetchImportHistory,
+    undoImport
+} from '../services/importService.js';
+import { parseMass, fromKg } from '../utils/units.js';
+import { parseCircumferences } from '../utils/circumferences.js';
+import { parseComposition } from '../utils/composition.js';
+import { parseTimeOfDay } from '../utils/dates.js';
+import { parseTags } from '../utils/tags.js';
+
+// Reads the cells of a row for a set of optional columns, mapped as { field: header }; unmapped fields are left out
+const readMappedColumns = (row, mapping) => Object.fromEntries(
+    Object.entries(mapping)
+        .filter(([, header]) => header)
+        .map(([field, header]) => [field, row[header]])
+);
 
 // Helper function to get today's date inYYYY-MM-DD format (useful for default values if needed)
 const getTodaysDate = () => {
@@ -21,38 +35,96 @@ const getTodaysDate = () => {
  * Encapsulates state and logic related to file selection, parsing, mapping, and importing.
  *
  * @param {string} userId - The ID of the current user, needed for saving entries via the service.
- * @param {function} onImportSuccess - Callback function to run after a successful import (e.g., to re-fetch entries).
+ * @param {function} [onImportComplete] - Optional callback to run after a successful import.
+ * @param {Object} [defaultUnits] - Units preselected in the column mapping ({ mass, circumference, energy }), usually the user's unit system.
+ *   Defaults to lbs, inches and kcal.
  * @returns {Object} An object containing state variables and handler functions for the component to use.
  */
-const useCsvImport = (userId, onImportComplete) => {
-    // State for CSV Import process
-    const [selectedFile, setSelectedFile] = useState(null);
-    const [parsedCsvData, setParsedCsvData] = useState(null);
-    const [csvHeaders, setCsvHeaders] = useState([]);
-    const [columnMapping, setColumnMapping] = useState({
+const useCsvImport = (userId, onImportComplete, defaultUnits = {}) => {
+    const { mass: defaultWeightUnit = 'lbs', circumference: defaultCircumferenceUnit = 'in', energy: defaultEnergyUnit = 'kcal' } = defaultUnits;
+
+    // An unmapped column mapping
+    // time is an optional column with the time of day, for files that keep it apart from the date;
+    // otherwise a time after the date in the date column is used ("03/14/2025 07:30", "2025-03-14T07:30").
+    // notes and tags are optional columns; a tags cell may hold several tags separated by commas, semicolons or pipes.
+    // source is the ID of the profile's measurement source every imported row was measured with, if any.
+    // circumferences and composition map each optional tape-measurement site and scale field to a column.
+    // Composition masses are read in the weight unit (unit), and the scale's BMR in energyUnit.
+    const getEmptyMapping = () => ({
         date: '',
+        time: '',
         weight: '',
         bodyFat: '',
-        unit: 'lbs', // Default unit for imported data
+        unit: defaultWeightUnit, // Default unit for imported data
+        notes: '',
+        tags: '',
+        source: '',
+        circumferences: {},
+        circumferenceUnit: defaultCircumferenceUnit,
+        composition: {},
+        energyUnit: defaultEnergyUnit,
     });
+
+    // State for CSV Import process
+    const [selectedFile, setSelectedFile] = useState(null);
+    const [parsedCsvData, setParsedCsvData] = useState(null);
+    const [csvHeaders, setCsvHeaders] = useState([]);
+    const [columnMapping, setColumnMapping] = useState(getEmptyMapping);
+    // Optional columns can be mapped after the required ones, so the mapping is only final once confirmed
+    const [isMappingConfirmed, setIsMappingConfirmed] = useState(false);
     const [importError, setImportError] = useState('');
     const [importMessage, setImportMessage] = useState('');
     const [isParsing, setIsParsing] = useState(false);
-    const [isImporting, setIsImporting] = useState(false); // State for the Firestore saving process
+    const [isImporting, setIsImporting] = useState(false); // State for the saving process
+
+    // State for the import history and undo
+    const [importHistory, setImportHistory] = useState([]);
+    const [historyError, setHistoryError] = useState('');
+    const [undoingImportId, setUndoingImportId] = useState(null);
 
     const onImportCompleteRef = useRef(null);
 
+    // Follow the user's unit system once the profile has loaded (or changes), unless a file is being mapped
+    useEffect(() => {
+        setColumnMapping(prevMapping => (prevMapping.weight
+            ? prevMapping
+            : { ...prevMapping, unit: defaultWeightUnit, circumferenceUnit: defaultCircumferenceUnit, energyUnit: defaultEnergyUnit }));
+    }, [defaultWeightUnit, defaultCircumferenceUnit, defaultEnergyUnit]);
+
     // Use a useRef to store the onImportComplete callback, initialized with null
     // Initialize with null to avoid ReferenceError if onImportComplete is undefined initially
     useEffect(() => {
         onImportCompleteRef.current = onImportComplete;
     }, [onImportComplete]);
 
+    // Function to load the import history for the current user
+    const loadImportHistory = useCallback(async () => {
+        if (!userId) {
+            setImportHistory([]);
+            setHistoryError('');
+            return;
+        }
+
+        try {
+            setImportHistory(await fetchImportHistory(userId));
+            setHistoryError('');
+        } catch (error) {
+            setHistoryError(error.message);
+        }
+    }, [userId]);
+
+    // Effect hook to load the import history when the user changes
+    useEffect(() => {
+        loadImportHistory();
+    }, [loadImportHistory]);
+
     // Step 1: Handle file selection and initiate parsing
     const handleFileSelect = (event) => {
         const file = event.target.files[0];
         if (file) {
             setSelectedFile(file);
+            setColumnMapping(getEmptyMapping());
+            setIsMappingConfirmed(false);
             setImportError(''); // Clear previous errors
             setImportMessage('Parsing file...');
             setIsParsing(true); // Start parsing loading state
@@ -105,6 +177,7 @@ const useCsvImport = (userId, onImportComplete) => {
     const handleConfirmMapping = () => {
         // Basic check if required columns are mapped
         if (columnMapping.date && columnMapping.weight && columnMapping.bodyFat) {
+            setIsMappingConfirmed(true);
             setImportMessage('Column mapping confirmed. Ready to import data.');
             setImportError('');
             // The component will now render the "Ready to Import" section
@@ -114,7 +187,14 @@ const useCsvImport = (userId, onImportComplete) => {
         }
     };
 
-    // Step 3: Handle the actual data import to Firestore
+    // Function to go back from the "Ready to Import" step and map the columns again
+    const handleRemapColumns = () => {
+        setColumnMapping(getEmptyMapping());
+        setIsMappingConfirmed(false);
+        setImportMessage('');
+    };
+
+    // Step 3: Handle the actual data import through the service
     const handleImportCsv = async () => {
         if (!userId) {
             setImportError('User not logged in. Cannot import data.');
@@ -133,13 +213,14 @@ const useCsvImport = (userId, onImportComplete) => {
         setImportMessage('Importing data...');
         setIsImporting(true); // Start importing loading state
 
-        // Corrected Firestore collection path to 'bodyMetricsEntries'
-        const metricsCollectionRef = collection(db, `users/${userId}/bodyMetricsEntries`);
-        let successfulImports = 0;
-        let failedImports = 0;
+        // Validate every row first; the valid ones are then written as a single import
+        const entriesToImport = [];
+        let skippedRows = 0;
 
         for (const row of parsedCsvData) {
-            const dateString = row[columnMapping.date];
+            // Split a time of day off the date, e.g. "03/14/2025 7:30 AM" or "2025-03-14T07:30:00"
+            const [, dateString, dateTimeString] = /^\s*(\S*?)(?:(?:T|\s+)(.+?))?\s*$/.exec(row[columnMapping.date] ?? '');
+            const timeString = columnMapping.time ? row[columnMapping.time] : dateTimeString;
             const weightString = row[columnMapping.weight];
             const bodyFatString = row[columnMapping.bodyFat];
 
@@ -162,56 +243,112 @@ const useCsvImport = (userId, onImportComplete) => {
             }
             // --- End Robust Date Parsing ---
 
+            // Rows without a time stay at midnight; a time that cannot be read makes the row invalid
+            if (timeString && String(timeString).trim() !== '') {
+                const timeOfDay = parseTimeOfDay(timeString);
+                if (timeOfDay) {
+                    entryDate.setHours(timeOfDay.hours, timeOfDay.minutes, timeOfDay.seconds);
+                } else {
+                    entryDate = new Date('Invalid Date');
+                }
+            }
 
-            const weight = parseFloat(weightString);
+
+            // Stones accept "12 st 4 lb" or "12 4" as well as decimal stones
+            const weightKg = parseMass(weightString, columnMapping.unit);
             const bodyFat = parseFloat(bodyFatString);
 
+            // Tape measurements and scale readings are optional: blank cells are left out,
+            // and unreadable ones are dropped without skipping the row
+            const { circumferencesCm, invalidSites } = parseCircumferences(
+                readMappedColumns(row, columnMapping.circumferences),
+                columnMapping.circumferenceUnit
+            );
+            const { composition, invalidFields } = parseComposition(
+                readMappedColumns(row, columnMapping.composition),
+                { mass: columnMapping.unit, energy: columnMapping.energyUnit }
+            );
+            if (invalidSites.length > 0 || invalidFields.length > 0) {
+                console.warn('CSV Import: Ignoring invalid values', [...invalidSites, ...invalidFields], 'in row:', row);
+            }
+
             // Validate parsed data
-            if (isNaN(entryDate.getTime()) || isNaN(weight) || isNaN(bodyFat) || bodyFat < 0 || bodyFat > 100) {
+            if (isNaN(entryDate.getTime()) || isNaN(weightKg) || isNaN(bodyFat) || bodyFat < 0 || bodyFat > 100) {
                 console.warn('CSV Import: Skipping row due to invalid data:', row);
-                failedImports++;
+                skippedRows++;
                 continue; // Skip this row if data is invalid
             }
 
-            try {
-                const entryData = {
-                    date: entryDate, // Save the correctly parsed Date object
-                    weight: weight,
-                    bodyFat: bodyFat,
-                    weightUnit: columnMapping.unit, // Use the unit specified in mapping
-                    createdAt: serverTimestamp(), // Add server timestamp
-                };
-                await addDoc(metricsCollectionRef, entryData);
-                successfulImports++;
-            } catch (error) {
-                console.error('CSV Import: Error adding document for row:', row, error);
-                failedImports++;
-                // Continue with the next row even if one fails
-            }
+            entriesToImport.push({
+                date: entryDate, // Save the correctly parsed Date object
+                weight: fromKg(weightKg, columnMapping.unit),
+                bodyFat: bodyFat,
+                weightUnit: columnMapping.unit, // Use the unit specified in mapping
+                circumferencesCm: circumferencesCm,
+                composition: composition,
+                notes: columnMapping.notes ? row[columnMapping.notes] ?? '' : '',
+                tags: columnMapping.tags ? parseTags(row[columnMapping.tags]) : [],
+                source: columnMapping.source,
+            });
+        }
+
+        if (entriesToImport.length === 0) {
+            setIsImporting(false);
+            setImportError(`Import failed: No entries were added. ${skippedRows} rows had invalid data.`);
+            setImportMessage('');
+            // Do not clear state automatically on complete failure
+            return;
+        }
+
+        try {
+            await importBodyMetricsEntries(userId, entriesToImport, {
+                fileName: selectedFile?.name || 'Unknown file',
+                rowCount: parsedCsvData.length,
+                skippedCount: skippedRows,
+                mapping: columnMapping,
+            });
+        } catch (error) {
+            setIsImporting(false);
+            setImportError(`${error.message} No entries were added.`);
+            setImportMessage('');
+            return;
         }
 
         setIsImporting(false); // End importing loading state
 
-        if (successfulImports > 0) {
-            setImportMessage(`Import complete: ${successfulImports} entries added, ${failedImports} failed.`);
-            setImportError(failedImports > 0 ? `Some entries failed to import. Check console for details.` : '');
+        setImportMessage(`Import complete: ${entriesToImport.length} entries added, ${skippedRows} rows skipped.`);
+        setImportError(skippedRows > 0 ? `Some rows had invalid data and were skipped. Check console for details.` : '');
+        loadImportHistory();
 
-            // Call the callback function using the ref
-            // Check if the ref's current value is a function before calling
-            if (typeof onImportCompleteRef.current === 'function') {
-                onImportCompleteRef.current();
-            } else {
-                console.warn("CSV Import: onImportComplete callback was not a function when trying to call.");
-            }
+        // Call the optional callback function using the ref
+        if (typeof onImportCompleteRef.current === 'function') {
+            onImportCompleteRef.current();
+        }
 
+        // Optional: Clear the import state after a delay
+        setTimeout(clearImportState, 5000); // Clear after 5 seconds
+    };
 
-            // Optional: Clear the import state after a delay
-            setTimeout(clearImportState, 5000); // Clear after 5 seconds
-        } else {
-            setImportError(`Import failed: No entries were added. ${failedImports} rows had invalid data.`);
-            setImportMessage('');
-            // Do not clear state automatically on complete failure
+    // Function to remove every entry written by a past import
+    const handleUndoImport = async (importRecord) => {
+        if (!userId || !importRecord) {
+            return;
+        }
+        if (!window.confirm(`Remove all ${importRecord.importedCount} entries imported from "${importRecord.fileName}"?`)) {
+            return;
+        }
+
+        setUndoingImportId(importRecord.id);
+        setHistoryError('');
+
+        try {
+            const removedCount = await undoImport(userId, importRecord.id);
+            setImportMessage(`Undid import of "${importRecord.fileName}": ${removedCount} entries removed.`);
+            loadImportHistory();
+        } catch (error) {
+            setHistoryError(error.message);
         }
+        setUndoingImportId(null);
     };
 
 
@@ -221,7 +358,7 @@ const useCsvImport = (userId, onImportComplete) => {
         // Clear previous parsed data, headers, etc.
         setParsedCsvData(null);
         setCsvHeaders([]);
-        setColumnMapping({ date: '', weight: '', bodyFat: '', unit: 'lbs' });
+        setColumnMapping({ date: '', weight: '', bodyFat: '', unit: defaultWeightUnit });
         setImportError('');
         setImportMessage('');
         // isParsing is set by handleFileSelect before calling this
@@ -271,7 +408,8 @@ const useCsvImport = (userId, onImportComplete) => {
         setSelectedFile(null);
         setParsedCsvData(null);
         setCsvHeaders([]);
-        setColumnMapping({ date: '', weight: '', bodyFat: '', unit: 'lbs' });
+        setColumnMapping(getEmptyMapping());
+        setIsMappingConfirmed(false);
         setImportError('');
         setImportMessage('');
         setIsParsing(false);
@@ -283,14 +421,20 @@ const useCsvImport = (userId, onImportComplete) => {
         parsedCsvData,
         csvHeaders,
         columnMapping,
+        isMappingConfirmed,
         importError,
         importMessage,
         isParsing,
         isImporting, // Expose importing loading state
+        importHistory,
+        historyError,
+        undoingImportId,
         setColumnMapping, // Expose setter for the component to update mapping
         handleFileSelect,
         handleConfirmMapping,
+        handleRemapColumns,
         handleImportCsv,
+        handleUndoImport,
         clearImportState,
     };
 };
@@ -0,0 +1,100 @@
+// src/hooks/useIntake.js
+import { useState, useEffect, useCallback } from 'react';
+import {
+    fetchIntakeEntries,
+    saveIntakeEntry,
+    deleteIntakeEntry
+} from '../services/intakeService.js';
+
+/**
+ * Custom React hook for the daily nutrition intake log.
+ * Loads the user's intake records and reloads them after every save or delete.
+ *
+ * @param {string} userId - The ID of the current user.
+ * @returns {Object} An object containing state variables and handler functions for the component to use.
+ */
+const useIntake = (userId) => {
+    const [intakeEntries, setIntakeEntries] = useState([]);
+    const [intakeLoading, setIntakeLoading] = useState(false);
+    const [intakeError, setIntakeError] = useState('');
+    const [intakeMessage, setIntakeMessage] = useState('');
+    const [savingIntake, setSavingIntake] = useState(false);
+
+    // Function to load the intake records
+    const loadIntake = useCallback(async () => {
+        if (!userId) {
+            setIntakeEntries([]);
+            return;
+        }
+
+        setIntakeLoading(true);
+        setIntakeError('');
+
+        try {
+            setIntakeEntries(await fetchIntakeEntries(userId));
+        } catch (error) {
+            console.error('Load Intake Error: ', error);
+            setIntakeError(error.message);
+        }
+        setIntakeLoading(false);
+    }, [userId]);
+
+    // Effect hook to load the intake log when the user changes
+    useEffect(() => {
+        setIntakeMessage('');
+        loadIntake();
+    }, [loadIntake]);
+
+    // Function to save one day's intake; a day that already has intake is replaced
+    // Resolves with true if it was saved, so the form knows whether to clear itself
+    const handleSaveIntake = async (intakeData) => {
+        setSavingIntake(true);
+        setIntakeError('');
+        setIntakeMessage('');
+
+        try {
+            const replaced = intakeEntries.some(intake => intake.date.getTime() === intakeData.date.getTime());
+            await saveIntakeEntry(userId, intakeData);
+            setIntakeMessage(`Intake ${replaced ? 'updated' : 'saved'} for ${intakeData.date.toLocaleDateString()}.`);
+            await loadIntake();
+            setSavingIntake(false);
+            return true;
+        } catch (error) {
+            setIntakeError(error.message);
+            setSavingIntake(false);
+            return false;
+        }
+    };
+
+    // Function to delete one day's intake
+    const handleDeleteIntake = async (intakeId) => {
+        if (!window.confirm('Delete the intake logged for this day?')) {
+            return;
+        }
+
+        setIntakeError('');
+        setIntakeMessage('');
+
+        try {
+            await deleteIntakeEntry(userId, intakeId);
+            setIntakeEntries(prevEntries => prevEntries.filter(intake => intake.id !== intakeId));
+            setIntakeMessage('Intake deleted.');
+        } catch (error) {
+            setIntakeError(error.message);
+        }
+    };
+
+    return {
+        intakeEntries,
+        intakeLoading,
+        intakeError,
+        intakeMessage,
+        savingIntake,
+        setIntakeError,     // Expose setter for local validation messages in component
+        handleSaveIntake,
+        handleDeleteIntake,
+        loadIntake,
+    };
+};
+
+export default useIntake;
@@ -0,0 +1,123 @@
+// src/hooks/useTrash.js
+import { useState, useEffect, useCallback } from 'react';
+import {
+    fetchDeletedBodyMetricsEntries,
+    restoreBodyMetricsEntry,
+    purgeBodyMetricsEntry,
+    purgeExpiredBodyMetricsEntries
+} from '../services/bodyMetricsService.js';
+
+// How long deleted entries stay in the trash when the profile does not say otherwise
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Custom React hook for the trash: entries that were deleted but can still be restored.
+ * Purges entries older than the retention period whenever the user or the retention period changes.
+ *
+ * @param {string} userId - The ID of the current user.
+ * @param {number} [retentionDays] - Days an entry stays in the trash before it is purged for good.
+ * @returns {Object} An object containing state variables and handler functions for the component to use.
+ */
+const useTrash = (userId, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) => {
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+    const [trashedEntries, setTrashedEntries] = useState([]);
+    const [trashLoading, setTrashLoading] = useState(false);
+    const [trashError, setTrashError] = useState('');
+    const [trashMessage, setTrashMessage] = useState('');
+
+    // Function to load the trashed entries
+    const loadTrash = useCallback(async () => {
+        if (!userId) {
+            setTrashedEntries([]);
+            return;
+        }
+
+        setTrashLoading(true);
+        setTrashError('');
+
+        try {
+            setTrashedEntries(await fetchDeletedBodyMetricsEntries(userId));
+        } catch (error) {
+            console.error('Load Trash Error: ', error);
+            setTrashError(error.message);
+        }
+        setTrashLoading(false);
+    }, [userId]);
+
+    // Effect hook to purge expired entries on login and when the retention period changes
+    useEffect(() => {
+        if (!userId || !navigator.onLine) {
+            return;
+        }
+
+        purgeExpiredBodyMetricsEntries(userId, retentionDays)
+            .then((purgedCount) => {
+                if (purgedCount > 0) {
+                    setTrashMessage(`${purgedCount} entries older than ${retentionDays} days were removed from the trash.`);
+                }
+            })
+            .catch((error) => console.error('Purge Expired Entries Error: ', error));
+    }, [userId, retentionDays]);
+
+    // Effect hook to reset the trash view when the user changes
+    useEffect(() => {
+        setIsTrashOpen(false);
+        setTrashedEntries([]);
+        setTrashError('');
+        setTrashMessage('');
+    }, [userId]);
+
+    // Function to open or close the trash view, loading it fresh on open
+    const handleToggleTrash = () => {
+        if (!isTrashOpen) {
+            loadTrash();
+        }
+        setIsTrashOpen(!isTrashOpen);
+    };
+
+    // Function to restore an entry from the trash
+    const handleRestoreEntry = async (entryId) => {
+        setTrashError('');
+        setTrashMessage('');
+
+        try {
+            await restoreBodyMetricsEntry(userId, entryId);
+            setTrashedEntries(prevEntries => prevEntries.filter(entry => entry.id !== entryId));
+            setTrashMessage('Entry restored.');
+        } catch (error) {
+            setTrashError(error.message);
+        }
+    };
+
+    // Function to permanently delete an entry from the trash
+    const handlePurgeEntry = async (entryId) => {
+        if (!window.confirm('Permanently delete this entry? This cannot be undone.')) {
+            return;
+        }
+
+        setTrashError('');
+        setTrashMessage('');
+
+        try {
+            await purgeBodyMetricsEntry(userId, entryId);
+            setTrashedEntries(prevEntries => prevEntries.filter(entry => entry.id !== entryId));
+            setTrashMessage('Entry permanently deleted.');
+        } catch (error) {
+            setTrashError(error.message);
+        }
+    };
+
+    return {
+        isTrashOpen,
+        trashedEntries,
+        trashLoading,
+        trashError,
+        trashMessage,
+        handleToggleTrash,
+        handleRestoreEntry,
+        handlePurgeEntry,
+        loadTrash,
+    };
+};
+
+export default useTrash;
@@ -1,7 +1,6 @@
 // src/hooks/useUserProfile.js
-import { useStage, useEffect, useCallback, useState } from 'react';
-import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
-import { db } from '../firebase';
+import { useEffect, useCallback, useState } from 'react';
+import { getUserProfile, saveUserProfile } from '../services/userProfileService.js';
 
 const useUserProfile = (userId) => {
     // State for user profile data
@@ -25,18 +24,10 @@ const useUserProfile = (userId) => {
         setProfileError('');
 
         try {
-            const userProfileRef = doc(db, 'users', userId, 'profile', 'data'); // Document path for profile data
-            const docSnap = await getDoc(userProfileRef);
+            const profileData = await getUserProfile(userId);
 
-            if (docSnap.exists()) {
-                const profileData = docSnap.data();
-                // Convert Firestore Timestamp to Date object for dateOfBirth
-                const processedDateOfBirth = profileData.dateOfBirth && typeof profileData.dateOfBirth.toDate === 'function' ? profileData.dateOfBirth.toDate() : null;
-
-                setUserProfile({
-                    ...profileData,
-                    dateOfBirth: processedDateOfBirth,  // Use the processed Date object
-                });
+            if (profileData) {
+                setUserProfile(profileData);
                 console.log('Fetch Profile: Profile data found and set.');
             } else {
                 // Profile document doesn't exist yet
@@ -46,7 +37,7 @@ const useUserProfile = (userId) => {
             setProfileLoading(false);
         } catch (error) {
             console.error('Fetch Profile Error:', error);
-            setProfileError('Failed to fetch profile: ' + error.message);
+            setProfileError(error.message);
             setUserProfile(null);
             setProfileLoading(false);
         }
@@ -70,13 +61,8 @@ const useUserProfile = (userId) => {
         setProfileMessage('');
         
         try {
-            const userProfileRef = doc(db, 'users', userId, 'profile', 'data'); // Document path for profile data
-
-            // Use setDoc with merge: true to create or update the document
-            await setDoc(userProfileRef, {
-                ...profileData,
-                updatedAt: serverTimestamp(),   // Add or update timestamp on save
-            }, { merge: true });    // Use merge to avoid overwriting other fields if they exist
+            // The service merges with the existing profile and stamps updatedAt
+            await saveUserProfile(userId, profileData);
 
             setProfileMessage('Profile saved successfully.');
             console.log('Save Profile: Successful.');
@@ -90,7 +76,7 @@ const useUserProfile = (userId) => {
             }, 3000);
         } catch (error) {
             console.error('Save Profile Error:', error);
-            setProfileError('Failed to save profile: ' + error.message);
+            setProfileError(error.message);
             setProfileMessage('');
         }
         setSaveProfileLoading(false);
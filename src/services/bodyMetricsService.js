@@ -1,64 +1,75 @@
 // src/services/bodyMetricsService.js
 
-import { db } from '../firebase';
-import {
-    collection,
-    addDoc,
-    serverTimestamp,
-    query,
-    orderBy,
-    getDocs,
-    deleteDoc,
-    doc,
-    updateDoc
-} from 'firebase/firestore';
+import { getStorageAdapter } from './storage/index.js';
+import { migrateStoredEntry, toStoredEntryData } from './migrationService.js';
+import { toKg, fromKg } from '../utils/units.js';
+import { cleanCircumferences } from '../utils/circumferences.js';
+import { cleanComposition } from '../utils/composition.js';
+import { normalizeTags, cleanNotes } from '../utils/tags.js';
+import { cleanSourceId } from '../utils/measurementSources.js';
+
+// Weight in the entry's display unit, rounded so lbs -> kg -> lbs round trips do not show float noise
+// Four decimals keep stones exact enough to show as whole pounds
+const toDisplayWeight = (weightKg, weightUnit) => Math.round(fromKg(weightKg, weightUnit) * 10000) / 10000;
+
+// Maps a stored entry onto the shape used throughout the app
+// Entries not migrated yet (e.g. read while offline) are upgraded on the fly
+const toEntry = (storedEntry) => {
+    const data = migrateStoredEntry(storedEntry);
+    return {
+        id: data.id,
+        date: data.date instanceof Date ? data.date : null,
+        weightKg: data.weightKg,            // Canonical weight; use this for calculations
+        weight: toDisplayWeight(data.weightKg, data.weightUnit),
+        bodyFat: data.bodyFat,
+        weightUnit: data.weightUnit,        // The unit the entry is displayed and edited in
+        circumferencesCm: data.circumferencesCm ?? {},  // Optional tape measurements in cm, keyed by site
+        composition: data.composition ?? {},            // Optional smart-scale readings, keyed by field
+        notes: data.notes ?? '',                        // Free-text context, e.g. "first day back from vacation"
+        tags: data.tags ?? [],                          // Normalized user-defined tags, see utils/tags.js
+        source: data.source ?? '',                      // ID of the profile's measurement source, '' if unknown
+        importId: data.importId ?? null,    // Set on entries written by a CSV import
+        deletedAt: data.deletedAt instanceof Date ? data.deletedAt : null,  // Set while the entry is in the trash
+        createdAt: data.createdAt,
+        // Entries written before updatedAt existed fall back to their creation time
+        updatedAt: data.updatedAt ?? data.createdAt ?? null,
+    };
+};
+
+const isTrashed = (entry) => entry.deletedAt !== null;
 
 /**
- * Fetches all body metrics for a given user from Firestore.
- * Entries are ordered by date ascending.
+ * Fetches body metrics for a given user from the active storage backend.
+ * Without options, fetches the whole history ordered by date ascending. Entries in the trash are left out.
  * @param {string} userId - The ID of the current user
- * @returns {Promise<Array<Object>>} A promise that resolves with an array of entry objects
+ * @param {Object} [options] - Query options
+ * @param {Date} [options.from] - Only entries dated on or after this date
+ * @param {Date} [options.to] - Only entries dated before this date
+ * @param {number} [options.limit] - Maximum number of entries to return (a page)
+ * @param {Object} [options.cursor] - nextCursor from a previous page, to continue where it stopped
+ * @param {boolean} [options.descending=false] - Newest first instead of oldest first, e.g. for paging back in time
+ * @returns {Promise<Object>} A promise that resolves with { entries, nextCursor }; nextCursor is null when there are no more pages
  * @throws {Error} If fetching fails
  */
-export const fetchBodyMetricsEntries = async (userId) => {
+export const fetchBodyMetricsEntries = async (userId, { from, to, limit, cursor, descending = false } = {}) => {
     if (!userId) {
         console.log('fetchBodyMetricsEntries: No user ID provided.');
-        return [];  // Return empty array if no user ID
+        return { entries: [], nextCursor: null };  // Return no entries if no user ID
     }
 
-    console.log('fetchBodyMetricsEntries: Attempting to fetch for user:', userId);
+    console.log('fetchBodyMetricsEntries: Attempting to fetch for user:', userId, { from, to, limit, cursor, descending });
 
     try {
-        const userMetricsCollectionRef = collection(
-            db,
-            'users',
-            userId, // Use the provided user ID
-            'bodyMetricsEntries'
-        );
-
-        const q = query(userMetricsCollectionRef, orderBy('date', 'asc'));
-
-        const querySnapshot = await getDocs(q);
-
-        const fetchedEntries = [];
-        querySnapshot.forEach((document) => {
-            const data = document.data();
-
-            // Attempt to convert Firestore Timestamp to Date object
-            const processedDate = data.date && typeof data.date.toDate === 'function' ? data.date.toDate() : null;
-
-            fetchedEntries.push({
-                id: document.id, // Include the document ID
-                date: processedDate, // Use the processed Date object
-                weight: data.weight,
-                bodyFat: data.bodyFat,
-                weightUnit: data.weightUnit,
-                createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : data.createdAt // Convert createdAt too if it exists
-            });
-        });
+        const storedEntries = (await getStorageAdapter().fetchEntries(userId, { from, to, limit, cursor, descending })).map(toEntry);
+
+        // A full page means there may be more; the cursor is the last entry's sort key.
+        // Trashed entries are dropped after paging, so a page can hold fewer than `limit` entries.
+        const lastEntry = storedEntries[storedEntries.length - 1];
+        const nextCursor = limit && storedEntries.length === limit ? { date: lastEntry.date, id: lastEntry.id } : null;
+        const fetchedEntries = storedEntries.filter(entry => !isTrashed(entry));
 
         console.log('fetchBodyMetricsEntries: Fetched successfully. Number of entries:', fetchedEntries.length);
-        return fetchedEntries;
+        return { entries: fetchedEntries, nextCursor };
     } catch (error) {
         console.error('fetchBodyMetricsEntries Error: ', error);
         throw new Error('Failed to fetch entries: ' + error.message); // Re-throw to be caught by the component
@@ -66,13 +77,94 @@ export const fetchBodyMetricsEntries = async (userId) => {
 };
 
 /**
- * Adds a new body metrics entry for a given user to Firestore
+ * Subscribes to live changes of a user's body metrics entries.
+ * The first callback lists every existing entry as 'added'; later callbacks carry only what changed,
+ * including changes made in other tabs or on other devices. Moving an entry to the trash reads as
+ * 'removed' and restoring it as 'modified'.
  * @param {string} userId - The ID of the current user
- * @param {Object} entryData - The data for the new entry (date, weight, bodyFat, weightUnit)
- * @returns {Promise<void>} A promise that resolves when the entry is added
+ * @param {function} onChanges - Called with an array of { type: 'added' | 'modified' | 'removed', entry }
+ * @param {function} onError - Called with an Error if the subscription fails
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Only listen to entries dated on or after this date
+ * @returns {function} A function that cancels the subscription
+ */
+export const subscribeToBodyMetricsEntries = (userId, onChanges, onError, { from } = {}) => {
+    if (!userId) {
+        console.log('subscribeToBodyMetricsEntries: No user ID provided.');
+        onChanges([]);
+        return () => {};
+    }
+
+    console.log('subscribeToBodyMetricsEntries: Subscribing for user:', userId);
+
+    const unsubscribe = getStorageAdapter().subscribeToEntries(
+        userId,
+        (changes) => onChanges(changes
+            .map(change => ({ type: change.type, entry: toEntry(change.entry) }))
+            .filter(change => !(change.type === 'added' && isTrashed(change.entry)))
+            .map(change => (change.type === 'modified' && isTrashed(change.entry) ? { ...change, type: 'removed' } : change))),
+        (error) => {
+            console.error('subscribeToBodyMetricsEntries Error: ', error);
+            onError(new Error('Failed to listen for entry changes: ' + error.message));
+        },
+        { from }
+    );
+
+    return () => {
+        console.log('subscribeToBodyMetricsEntries: Unsubscribing for user:', userId);
+        unsubscribe();
+    };
+};
+
+/**
+ * Applies incremental entry changes to a list of entries.
+ * @param {Array<Object>} entries - The current entries, ordered by date ascending
+ * @param {Array<Object>} changes - Changes from subscribeToBodyMetricsEntries
+ * @returns {Array<Object>} A new array with the changes applied, ordered by date ascending
+ */
+export const applyEntryChanges = (entries, changes) => {
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+    for (const { type, entry } of changes) {
+        if (type === 'removed') {
+            entriesById.delete(entry.id);
+        } else {
+            entriesById.set(entry.id, entry);
+        }
+    }
+    return [...entriesById.values()].sort((a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0));
+};
+
+/**
+ * Fetches a single body metrics entry for a given user, including one in the trash.
+ * @param {string} userId - The ID of the current user
+ * @param {string} entryId - The ID of the entry to fetch
+ * @returns {Promise<Object|null>} A promise that resolves with the entry, or null if it does not exist
+ * @throws {Error} If fetching fails
+ */
+export const fetchBodyMetricsEntry = async (userId, entryId) => {
+    if (!userId || !entryId) {
+        throw new Error('fetchBodyMetricsEntry: User ID or Entry ID missing.');
+    }
+
+    try {
+        const storedEntry = await getStorageAdapter().getEntry(userId, entryId);
+        return storedEntry ? toEntry(storedEntry) : null;
+    } catch (error) {
+        console.error('fetchBodyMetricsEntry Error: ', error);
+        throw new Error('Failed to fetch entry: ' + error.message);
+    }
+};
+
+/**
+ * Adds a new body metrics entry for a given user
+ * @param {string} userId - The ID of the current user
+ * @param {Object} entryData - The data for the new entry (date, weight, bodyFat, weightUnit,
+ *   optional circumferencesCm, composition, notes, tags, source and updatedAt)
+ * @param {string} [entryId] - Optional client-generated ID; re-adding the same ID overwrites instead of duplicating
+ * @returns {Promise<string>} A promise that resolves with the new entry's ID
  * @throws {Error} If adding fails
  */
-export const addBodyMetricsEntry = async (userId, entryData) => {
+export const addBodyMetricsEntry = async (userId, entryData, entryId) => {
     if (!userId) {
         throw new Error('addBodyMetricsEntry: No user ID provided.');
     }
@@ -83,34 +175,55 @@ export const addBodyMetricsEntry = async (userId, entryData) => {
     console.log('addBodyMetricsEntry: Attempting to add entry for user:', userId, 'Data:', entryData);
 
     try {
-        const userMetricsCollectionRef = collection(
-            db,
-            'users',
-            userId,
-            'bodyMetricsEntries'
-        );
-
-        await addDoc(userMetricsCollectionRef, {
-            ...entryData, // Spread the provided entry data
-            createdAt: serverTimestamp(), // Add server timestamp
-        });
+        const newEntryId = await getStorageAdapter().addEntry(userId, {
+            ...toStoredEntryData(entryData),
+            circumferencesCm: cleanCircumferences(entryData.circumferencesCm),
+            composition: cleanComposition(entryData.composition),
+            notes: cleanNotes(entryData.notes),
+            tags: normalizeTags(entryData.tags),
+            source: cleanSourceId(entryData.source),
+            updatedAt: entryData.updatedAt ?? new Date(), // Used for last-writer-wins conflict resolution
+        }, entryId);
 
         console.log('addBodyMetricsEntry: Entry added successfully.');
+        return newEntryId;
     } catch (error) {
         console.error('addBodyMetricsEntry Error: ', error);
         throw new Error('Failed to save entry: ' + error.message); // Re-throw
     }
 };
 
+// Maps a stored revision onto the shape used throughout the app
+const toRevision = (data) => ({
+    id: data.id,
+    entryId: data.entryId,
+    date: data.date instanceof Date ? data.date : null,
+    weightKg: data.weightKg ?? toKg(data.weight, data.weightUnit),
+    weight: data.weightKg !== undefined ? toDisplayWeight(data.weightKg, data.weightUnit) : data.weight,
+    bodyFat: data.bodyFat,
+    weightUnit: data.weightUnit,
+    circumferencesCm: data.circumferencesCm ?? {},
+    composition: data.composition ?? {},
+    notes: data.notes ?? '',
+    tags: data.tags ?? [],
+    source: data.source ?? '',
+    editor: data.editor ?? null,        // { uid, name } of whoever replaced this version
+    revisedAt: data.revisedAt instanceof Date ? data.revisedAt : null,
+});
+
 /**
- * Updates an existing body metrics entry for a given user in Firestore.
+ * Updates an existing body metrics entry for a given user.
+ * The entry's previous values are kept in its revision history, so the update can be reverted later.
  * @param {string} userId - The ID of the current user.
  * @param {string} entryId - The ID of the entry to update.
- * @param {Object} updatedData - The updated data for the entry (date, weight, bodyFat).
+ * @param {Object} updatedData - The updated data for the entry (date, weight, bodyFat, optional weightUnit, circumferencesCm,
+ *   composition, notes, tags, source and updatedAt). Without weightUnit, weight is taken to be in the entry's current unit; the other
+ *   optional fields keep the entry's current values when left out.
+ * @param {Object} [editor] - Who is making the change ({ uid, name }), recorded with the revision.
  * @returns {Promise<void>} A promise that resolves when the entry is updated.
  * @throws {Error} If updating fails.
  */
-export const updateBodyMetricsEntry = async (userId, entryId, updatedData) => {
+export const updateBodyMetricsEntry = async (userId, entryId, updatedData, editor = null) => {
     if (!userId || !entryId) {
         throw new Error('updateBodyMetricsEntry: User ID or Entry ID missing.');
     }
@@ -121,15 +234,32 @@ export const updateBodyMetricsEntry = async (userId, entryId, updatedData) => {
     console.log('updateBodyMetricsEntry: Attempting to update entry:', entryId, 'for user:', userId, 'Data:', updatedData);
 
     try {
-        const entryRef = doc(
-            db,
-            'users',
-            userId,
-            'bodyMetricsEntries',
-            entryId
-        );
+        const adapter = getStorageAdapter();
+        const storedEntry = await adapter.getEntry(userId, entryId);
+        const previousEntry = storedEntry ? migrateStoredEntry(storedEntry) : null;
+        const revision = previousEntry ? {
+            date: previousEntry.date,
+            weightKg: previousEntry.weightKg,
+            bodyFat: previousEntry.bodyFat,
+            weightUnit: previousEntry.weightUnit,
+            circumferencesCm: previousEntry.circumferencesCm ?? {},
+            composition: previousEntry.composition ?? {},
+            notes: previousEntry.notes ?? '',
+            tags: previousEntry.tags ?? [],
+            source: previousEntry.source ?? '',
+            editor,
+            revisedAt: new Date(),
+        } : undefined;
 
-        await updateDoc(entryRef, updatedData);
+        await adapter.updateEntry(userId, entryId, {
+            ...toStoredEntryData({ ...updatedData, weightUnit: updatedData.weightUnit ?? previousEntry?.weightUnit }),
+            ...(updatedData.circumferencesCm && { circumferencesCm: cleanCircumferences(updatedData.circumferencesCm) }),
+            ...(updatedData.composition && { composition: cleanComposition(updatedData.composition) }),
+            ...(updatedData.notes !== undefined && { notes: cleanNotes(updatedData.notes) }),
+            ...(updatedData.tags && { tags: normalizeTags(updatedData.tags) }),
+            ...(updatedData.source !== undefined && { source: cleanSourceId(updatedData.source) }),
+            updatedAt: updatedData.updatedAt ?? new Date(),
+        }, revision);
 
         console.log(`updateBodyMetricsEntry: Successfully updated entry with ID: ${entryId}`);
     } catch (error) {
@@ -139,10 +269,33 @@ export const updateBodyMetricsEntry = async (userId, entryId, updatedData) => {
 };
 
 /**
- * Deletes a body metrics entry for a given user from Firestore.
+ * Fetches the revision history of a body metrics entry, newest first.
+ * Each revision holds the values the entry had before an update replaced them.
+ * @param {string} userId - The ID of the current user.
+ * @param {string} entryId - The ID of the entry.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the entry's revisions.
+ * @throws {Error} If fetching fails.
+ */
+export const fetchBodyMetricsEntryRevisions = async (userId, entryId) => {
+    if (!userId || !entryId) {
+        throw new Error('fetchBodyMetricsEntryRevisions: User ID or Entry ID missing.');
+    }
+
+    try {
+        const storedRevisions = await getStorageAdapter().fetchRevisions(userId, entryId);
+        return storedRevisions.map(toRevision);
+    } catch (error) {
+        console.error('fetchBodyMetricsEntryRevisions Error: ', error);
+        throw new Error('Failed to fetch entry history: ' + error.message);
+    }
+};
+
+/**
+ * Moves a body metrics entry to the trash by setting its deletedAt marker.
+ * Trashed entries are hidden from normal queries until restored or purged.
  * @param {string} userId - The ID of the current user.
  * @param {string} entryId - The ID of the entry to delete.
- * @returns {Promise<void>} A promise that resolves when the entry is deleted.
+ * @returns {Promise<void>} A promise that resolves when the entry is in the trash.
  * @throws {Error} If deletion fails.
  */
 export const deleteBodyMetricsEntry = async (userId, entryId) => {
@@ -150,22 +303,104 @@ export const deleteBodyMetricsEntry = async (userId, entryId) => {
         throw new Error('deleteBodyMetricsEntry: User ID or Entry ID missing.');
     }
 
-    console.log('deleteBodyMetricsEntry: Attempting to delete entry:', entryId, 'for user:', userId);
+    console.log('deleteBodyMetricsEntry: Attempting to trash entry:', entryId, 'for user:', userId);
 
     try {
-        const entryRef = doc(
-            db,
-            'users',
-            userId,
-            'bodyMetricsEntries',
-            entryId
-        );
-
-        await deleteDoc(entryRef);
+        const deletedAt = new Date();
+        await getStorageAdapter().updateEntry(userId, entryId, { deletedAt, updatedAt: deletedAt });
 
-        console.log(`deleteBodyMetricsEntry: Successfully deleted entry with ID: ${entryId}`);
+        console.log(`deleteBodyMetricsEntry: Successfully moved entry with ID: ${entryId} to the trash`);
     } catch (error) {
         console.error('deleteBodyMetricsEntry Error: ', error);
         throw new Error('Failed to delete entry: ' + error.message); // Re-throw
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Fetches the entries in a user's trash, most recently deleted first.
+ * @param {string} userId - The ID of the current user.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the trashed entries.
+ * @throws {Error} If fetching fails.
+ */
+export const fetchDeletedBodyMetricsEntries = async (userId) => {
+    if (!userId) {
+        console.log('fetchDeletedBodyMetricsEntries: No user ID provided.');
+        return [];
+    }
+
+    try {
+        const storedEntries = await getStorageAdapter().fetchDeletedEntries(userId);
+        return storedEntries.map(toEntry);
+    } catch (error) {
+        console.error('fetchDeletedBodyMetricsEntries Error: ', error);
+        throw new Error('Failed to fetch deleted entries: ' + error.message);
+    }
+};
+
+/**
+ * Restores a body metrics entry from the trash.
+ * @param {string} userId - The ID of the current user.
+ * @param {string} entryId - The ID of the entry to restore.
+ * @returns {Promise<void>} A promise that resolves when the entry is restored.
+ * @throws {Error} If restoring fails.
+ */
+export const restoreBodyMetricsEntry = async (userId, entryId) => {
+    if (!userId || !entryId) {
+        throw new Error('restoreBodyMetricsEntry: User ID or Entry ID missing.');
+    }
+
+    try {
+        await getStorageAdapter().updateEntry(userId, entryId, { deletedAt: null, updatedAt: new Date() });
+        console.log(`restoreBodyMetricsEntry: Successfully restored entry with ID: ${entryId}`);
+    } catch (error) {
+        console.error('restoreBodyMetricsEntry Error: ', error);
+        throw new Error('Failed to restore entry: ' + error.message);
+    }
+};
+
+/**
+ * Permanently deletes a body metrics entry. This cannot be undone.
+ * @param {string} userId - The ID of the current user.
+ * @param {string} entryId - The ID of the entry to purge.
+ * @returns {Promise<void>} A promise that resolves when the entry is gone.
+ * @throws {Error} If purging fails.
+ */
+export const purgeBodyMetricsEntry = async (userId, entryId) => {
+    if (!userId || !entryId) {
+        throw new Error('purgeBodyMetricsEntry: User ID or Entry ID missing.');
+    }
+
+    try {
+        await getStorageAdapter().deleteEntry(userId, entryId);
+        console.log(`purgeBodyMetricsEntry: Permanently deleted entry with ID: ${entryId}`);
+    } catch (error) {
+        console.error('purgeBodyMetricsEntry Error: ', error);
+        throw new Error('Failed to permanently delete entry: ' + error.message);
+    }
+};
+
+/**
+ * Permanently deletes trashed entries that have been in the trash longer than the retention period.
+ * @param {string} userId - The ID of the current user.
+ * @param {number} retentionDays - How many days entries stay in the trash.
+ * @returns {Promise<number>} A promise that resolves with the number of entries purged.
+ * @throws {Error} If purging fails.
+ */
+export const purgeExpiredBodyMetricsEntries = async (userId, retentionDays) => {
+    if (!userId || typeof retentionDays !== 'number' || isNaN(retentionDays) || retentionDays <= 0) {
+        throw new Error('purgeExpiredBodyMetricsEntries: User ID missing or invalid retention period.');
+    }
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredEntries = (await fetchDeletedBodyMetricsEntries(userId))
+        .filter(entry => entry.deletedAt.getTime() < cutoff);
+
+    for (const entry of expiredEntries) {
+        await purgeBodyMetricsEntry(userId, entry.id);
+    }
+
+    if (expiredEntries.length > 0) {
+        console.log('purgeExpiredBodyMetricsEntries: Purged', expiredEntries.length, 'entries older than', retentionDays, 'days.');
+    }
+    return expiredEntries.length;
+};
@@ -0,0 +1,103 @@
+// src/services/importService.js
+
+import { getStorageAdapter } from './storage/index.js';
+import { toStoredEntryData } from './migrationService.js';
+import { cleanCircumferences } from '../utils/circumferences.js';
+import { cleanComposition } from '../utils/composition.js';
+import { normalizeTags, cleanNotes } from '../utils/tags.js';
+import { cleanSourceId } from '../utils/measurementSources.js';
+
+/**
+ * Imports a set of body metrics entries as one unit.
+ * Every entry is tagged with the new import's ID, and the import is recorded in the user's import history.
+ * Either all entries are written or none are.
+ * @param {string} userId - The ID of the current user
+ * @param {Array<Object>} entries - Validated entry data (date, weight, bodyFat, weightUnit, optional circumferencesCm, composition, notes, tags and source)
+ * @param {Object} details - Import details for the history: { fileName, rowCount, skippedCount, mapping }
+ * @returns {Promise<string>} A promise that resolves with the import ID
+ * @throws {Error} If the import fails; no entries are left behind
+ */
+export const importBodyMetricsEntries = async (userId, entries, { fileName, rowCount, skippedCount, mapping }) => {
+    if (!userId) {
+        throw new Error('importBodyMetricsEntries: No user ID provided.');
+    }
+    if (!entries || entries.length === 0) {
+        throw new Error('importBodyMetricsEntries: No entries to import.');
+    }
+
+    console.log('importBodyMetricsEntries: Importing', entries.length, 'entries for user:', userId, 'from', fileName);
+
+    try {
+        const updatedAt = new Date();
+        const importId = await getStorageAdapter().importEntries(
+            userId,
+            {
+                fileName,
+                rowCount,
+                importedCount: entries.length,
+                skippedCount,
+                mapping,
+            },
+            entries.map(entryData => ({
+                ...toStoredEntryData(entryData),
+                circumferencesCm: cleanCircumferences(entryData.circumferencesCm),
+                composition: cleanComposition(entryData.composition),
+                notes: cleanNotes(entryData.notes),
+                tags: normalizeTags(entryData.tags),
+                source: cleanSourceId(entryData.source),
+                updatedAt,
+            }))
+        );
+
+        console.log('importBodyMetricsEntries: Import complete. Import ID:', importId);
+        return importId;
+    } catch (error) {
+        console.error('importBodyMetricsEntries Error: ', error);
+        throw new Error('Failed to import entries: ' + error.message);
+    }
+};
+
+/**
+ * Fetches a user's import history, newest first.
+ * @param {string} userId - The ID of the current user
+ * @returns {Promise<Array<Object>>} A promise that resolves with import records
+ *   ({ id, fileName, rowCount, importedCount, skippedCount, mapping, importedAt, status })
+ * @throws {Error} If fetching fails
+ */
+export const fetchImportHistory = async (userId) => {
+    if (!userId) {
+        console.log('fetchImportHistory: No user ID provided.');
+        return [];
+    }
+
+    try {
+        return await getStorageAdapter().fetchImports(userId);
+    } catch (error) {
+        console.error('fetchImportHistory Error: ', error);
+        throw new Error('Failed to fetch import history: ' + error.message);
+    }
+};
+
+/**
+ * Removes exactly the entries written by one import and marks the import as undone.
+ * @param {string} userId - The ID of the current user
+ * @param {string} importId - The ID of the import to undo
+ * @returns {Promise<number>} A promise that resolves with the number of entries removed
+ * @throws {Error} If undoing fails
+ */
+export const undoImport = async (userId, importId) => {
+    if (!userId || !importId) {
+        throw new Error('undoImport: User ID or Import ID missing.');
+    }
+
+    console.log('undoImport: Undoing import:', importId, 'for user:', userId);
+
+    try {
+        const removedCount = await getStorageAdapter().undoImport(userId, importId);
+        console.log('undoImport: Removed', removedCount, 'entries.');
+        return removedCount;
+    } catch (error) {
+        console.error('undoImport Error: ', error);
+        throw new Error('Failed to undo import: ' + error.message);
+    }
+};
@@ -0,0 +1,94 @@
+// src/services/intakeService.js
+
+import { getStorageAdapter } from './storage/index.js';
+import { formatDateKey, parseDateTimeInput } from '../utils/dates.js';
+import { cleanNutrients } from '../utils/nutrition.js';
+
+// Maps a stored intake record onto the shape used throughout the app
+// Records are keyed by their day (YYYY-MM-DD), so a day has at most one
+const toIntakeEntry = (data) => ({
+    id: data.id,
+    date: parseDateTimeInput(data.id),  // Midnight of the day, in local time
+    caloriesKcal: data.caloriesKcal,
+    ...cleanNutrients(data),
+    updatedAt: data.updatedAt instanceof Date ? data.updatedAt : null,
+});
+
+/**
+ * Fetches the daily intake records of a given user, oldest first.
+ * @param {string} userId - The ID of the current user
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Only records from this day on
+ * @param {Date} [options.to] - Only records before this day
+ * @returns {Promise<Array<Object>>} A promise that resolves with the records ({ id, date, caloriesKcal, proteinG, ... })
+ * @throws {Error} If fetching fails
+ */
+export const fetchIntakeEntries = async (userId, { from, to } = {}) => {
+    if (!userId) {
+        console.log('fetchIntakeEntries: No user ID provided.');
+        return [];
+    }
+
+    try {
+        const records = await getStorageAdapter().fetchIntakeEntries(userId, {
+            from: from ? formatDateKey(from) : undefined,
+            to: to ? formatDateKey(to) : undefined,
+        });
+        return records.map(toIntakeEntry);
+    } catch (error) {
+        console.error('fetchIntakeEntries Error: ', error);
+        throw new Error('Failed to fetch intake: ' + error.message);
+    }
+};
+
+/**
+ * Saves the intake of one day for a given user, replacing whatever was logged for that day before.
+ * @param {string} userId - The ID of the current user
+ * @param {Object} intakeData - { date, caloriesKcal, optional proteinG, carbsG, fatG, fiberG }
+ * @returns {Promise<string>} A promise that resolves with the record's ID, its day as YYYY-MM-DD
+ * @throws {Error} If the data is invalid or saving fails
+ */
+export const saveIntakeEntry = async (userId, intakeData) => {
+    if (!userId) {
+        throw new Error('saveIntakeEntry: No user ID provided.');
+    }
+    const dayKey = formatDateKey(intakeData?.date);
+    if (!dayKey || typeof intakeData.caloriesKcal !== 'number' || isNaN(intakeData.caloriesKcal) || intakeData.caloriesKcal < 0) {
+        throw new Error('saveIntakeEntry: Invalid intake data provided.');
+    }
+
+    console.log('saveIntakeEntry: Saving intake for user:', userId, 'Day:', dayKey);
+
+    try {
+        await getStorageAdapter().saveIntakeEntry(userId, dayKey, {
+            caloriesKcal: intakeData.caloriesKcal,
+            ...cleanNutrients(intakeData),
+            updatedAt: new Date(),
+        });
+        return dayKey;
+    } catch (error) {
+        console.error('saveIntakeEntry Error: ', error);
+        throw new Error('Failed to save intake: ' + error.message);
+    }
+};
+
+/**
+ * Deletes the intake of one day for a given user.
+ * @param {string} userId - The ID of the current user
+ * @param {string} intakeId - The record's ID (its day as YYYY-MM-DD)
+ * @returns {Promise<void>} A promise that resolves when the record is deleted
+ * @throws {Error} If deleting fails
+ */
+export const deleteIntakeEntry = async (userId, intakeId) => {
+    if (!userId || !intakeId) {
+        throw new Error('deleteIntakeEntry: User ID or intake ID missing.');
+    }
+
+    try {
+        await getStorageAdapter().deleteIntakeEntry(userId, intakeId);
+        console.log('deleteIntakeEntry: Deleted intake for day:', intakeId);
+    } catch (error) {
+        console.error('deleteIntakeEntry Error: ', error);
+        throw new Error('Failed to delete intake: ' + error.message);
+    }
+};
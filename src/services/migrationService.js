@@ -0,0 +1,79 @@
+// src/services/migrationService.js
+
+import { getStorageAdapter } from './storage/index.js';
+import { toKg } from '../utils/units.js';
+
+/**
+ * Version of the stored entry schema written by this build.
+ *   1: weight in the unit it was entered in (weightUnit), no schemaVersion field
+ *   2: canonical weightKg; weightUnit is kept as the entry's display unit
+ */
+export const ENTRY_SCHEMA_VERSION = 2;
+
+// Upgrades a stored entry from the keyed version to the next one
+const entryMigrations = {
+    1: ({ weight, ...rest }) => ({
+        ...rest,
+        weightKg: toKg(weight, rest.weightUnit),
+        schemaVersion: 2,
+    }),
+};
+
+const getSchemaVersion = (storedEntry) => storedEntry.schemaVersion ?? 1;
+
+/**
+ * Brings a stored entry up to the current schema version, applying each migration in turn.
+ * Entries already at the current version are returned unchanged.
+ * @param {Object} storedEntry - An entry as read from the storage backend
+ * @returns {Object} The entry in the current schema
+ */
+export const migrateStoredEntry = (storedEntry) => {
+    let migrated = storedEntry;
+    while (getSchemaVersion(migrated) < ENTRY_SCHEMA_VERSION) {
+        migrated = entryMigrations[getSchemaVersion(migrated)](migrated);
+    }
+    return migrated;
+};
+
+/**
+ * Converts entry data as used in the app ({ weight, weightUnit, ... }) into the stored schema.
+ * @param {Object} entryData - Entry data with weight in weightUnit
+ * @returns {Object} The data to store, with weightKg and schemaVersion instead of weight
+ */
+export const toStoredEntryData = ({ weight, ...rest }) => ({
+    ...rest,
+    weightKg: toKg(weight, rest.weightUnit),
+    schemaVersion: ENTRY_SCHEMA_VERSION,
+});
+
+/**
+ * Upgrades every stored entry of a user, including trashed ones, to the current schema version in place.
+ * Safe to run repeatedly: entries already at the current version are skipped.
+ * @param {string} userId - The ID of the current user
+ * @returns {Promise<number>} A promise that resolves with the number of entries migrated
+ * @throws {Error} If reading or writing entries fails
+ */
+export const runEntryMigrations = async (userId) => {
+    if (!userId) {
+        throw new Error('runEntryMigrations: No user ID provided.');
+    }
+
+    try {
+        const adapter = getStorageAdapter();
+        const outdatedEntries = (await adapter.fetchEntries(userId))
+            .filter(storedEntry => getSchemaVersion(storedEntry) < ENTRY_SCHEMA_VERSION);
+
+        if (outdatedEntries.length === 0) {
+            return 0;
+        }
+
+        console.log('runEntryMigrations: Migrating', outdatedEntries.length, 'entries to schema version', ENTRY_SCHEMA_VERSION);
+        await adapter.replaceEntries(userId, outdatedEntries.map(migrateStoredEntry));
+
+        console.log('runEntryMigrations: Migration complete.');
+        return outdatedEntries.length;
+    } catch (error) {
+        console.error('runEntryMigrations Error: ', error);
+        throw new Error('Failed to migrate entries: ' + error.message);
+    }
+};
@@ -0,0 +1,267 @@
+// src/services/offlineQueue.js
+
+import {
+    fetchBodyMetricsEntry,
+    addBodyMetricsEntry,
+    updateBodyMetricsEntry,
+    deleteBodyMetricsEntry
+} from './bodyMetricsService.js';
+import { toKg } from '../utils/units.js';
+
+// Writes that take longer than this are treated as failed and stay queued for the next sync
+const SYNC_TIMEOUT_MS = 15000;
+
+const storageKey = (userId) => `bodyMetrics.pendingWrites.${userId}`;
+
+// JSON replacer/reviver pair that round-trips Date objects through localStorage
+function dateReplacer(key, value) {
+    return this[key] instanceof Date ? { __date: this[key].toISOString() } : value;
+}
+const dateReviver = (key, value) =>
+    value && typeof value === 'object' && typeof value.__date === 'string' ? new Date(value.__date) : value;
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Request timed out.')), ms)),
+]);
+
+const getTime = (date) => (date instanceof Date ? date.getTime() : 0);
+
+// Keeps the canonical weight of an entry shown from the queue in step with its display weight
+const withWeightKg = (entry) => ({ ...entry, weightKg: toKg(entry.weight, entry.weightUnit) });
+
+/**
+ * Reads the durable queue of writes that have not reached the storage backend yet.
+ * @param {string} userId - The ID of the current user
+ * @returns {Array<Object>} Pending writes in the order they were made
+ */
+export const getPendingWrites = (userId) => {
+    if (!userId) {
+        return [];
+    }
+    try {
+        const stored = localStorage.getItem(storageKey(userId));
+        return stored ? JSON.parse(stored, dateReviver) : [];
+    } catch (error) {
+        console.error('getPendingWrites Error: ', error);
+        return [];
+    }
+};
+
+const savePendingWrites = (userId, writes) => {
+    if (writes.length === 0) {
+        localStorage.removeItem(storageKey(userId));
+    } else {
+        localStorage.setItem(storageKey(userId), JSON.stringify(writes, dateReplacer));
+    }
+};
+
+/**
+ * Saves a write to the durable queue before it is sent anywhere.
+ * Updates to an entry that has not been synced yet are folded into its pending add.
+ * @param {string} userId - The ID of the current user
+ * @param {Object} write - { type: 'add' | 'update' | 'delete', entryId, data, baseUpdatedAt, editor }
+ *   entryId may be omitted for adds; a client-generated ID is assigned so replays are idempotent.
+ *   baseUpdatedAt is the entry's updatedAt when the user started editing it, used to detect conflicts.
+ *   editor ({ uid, name }) is recorded in the entry's revision history when an update is replayed.
+ * @returns {Array<Object>} The pending writes after queueing
+ */
+export const enqueueWrite = (userId, write) => {
+    if (!userId) {
+        throw new Error('enqueueWrite: No user ID provided.');
+    }
+
+    const queuedAt = new Date();
+    const queuedWrite = {
+        ...write,
+        opId: crypto.randomUUID(),
+        entryId: write.entryId || crypto.randomUUID(),
+        data: write.data ? { ...write.data, updatedAt: queuedAt } : null,
+        queuedAt,
+    };
+
+    let writes = getPendingWrites(userId);
+    const pendingAdd = writes.find(w => w.type === 'add' && w.entryId === queuedWrite.entryId);
+
+    if (pendingAdd && queuedWrite.type === 'update') {
+        // A fresh opId makes a sync that is already sending the old add keep the merged one queued
+        pendingAdd.data = { ...pendingAdd.data, ...queuedWrite.data };
+        pendingAdd.opId = queuedWrite.opId;
+    } else if (pendingAdd && queuedWrite.type === 'delete') {
+        // Drop the unsynced add, but still queue the delete in case that add is already in flight
+        writes = writes.filter(w => w.entryId !== queuedWrite.entryId);
+        writes.push(queuedWrite);
+    } else {
+        writes.push(queuedWrite);
+    }
+
+    savePendingWrites(userId, writes);
+    console.log('enqueueWrite: Queued', queuedWrite.type, 'for entry', queuedWrite.entryId, 'Pending:', writes.length);
+    return writes;
+};
+
+/**
+ * Overlays pending writes on top of the entries last read from the backend,
+ * so queued changes show up immediately.
+ * @param {Array<Object>} entries - Entries from the backend, ordered by date
+ * @param {Array<Object>} pendingWrites - Pending writes from getPendingWrites
+ * @returns {Array<Object>} Entries with pending writes applied and a `pending` flag on changed entries
+ */
+export const applyPendingWrites = (entries, pendingWrites) => {
+    if (pendingWrites.length === 0) {
+        return entries;
+    }
+
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+    for (const write of pendingWrites) {
+        if (write.type === 'delete') {
+            entriesById.delete(write.entryId);
+        } else if (write.type === 'update' && entriesById.has(write.entryId)) {
+            entriesById.set(write.entryId, withWeightKg({ ...entriesById.get(write.entryId), ...write.data, pending: true }));
+        } else if (write.type === 'add') {
+            entriesById.set(write.entryId, withWeightKg({ ...write.data, id: write.entryId, createdAt: write.queuedAt, pending: true }));
+        }
+    }
+
+    return [...entriesById.values()].sort((a, b) => getTime(a.date) - getTime(b.date));
+};
+
+/**
+ * Decides a conflict between a queued write and the backend's current copy of the entry.
+ * Policy: last writer wins, comparing the queued write's updatedAt with the backend's updatedAt.
+ * @returns {Object|null} A conflict record, or null if the entry was not changed elsewhere
+ */
+const detectConflict = (write, remoteEntry) => {
+    if (!remoteEntry || remoteEntry.deletedAt) {
+        // Deleted on another device while this device was editing it
+        return write.type === 'update'
+            ? { entryId: write.entryId, type: write.type, local: write.data, remote: null, winner: 'remote' }
+            : null;
+    }
+    if (getTime(remoteEntry.updatedAt) <= getTime(write.baseUpdatedAt)) {
+        return null;
+    }
+
+    const localTime = write.type === 'delete' ? getTime(write.queuedAt) : getTime(write.data.updatedAt);
+    return {
+        entryId: write.entryId,
+        type: write.type,
+        local: write.data,
+        remote: remoteEntry,
+        winner: localTime >= getTime(remoteEntry.updatedAt) ? 'local' : 'remote',
+    };
+};
+
+const replayWrite = async (userId, write) => {
+    if (write.type === 'add') {
+        await addBodyMetricsEntry(userId, write.data, write.entryId);
+    } else if (write.type === 'update') {
+        await updateBodyMetricsEntry(userId, write.entryId, write.data, write.editor ?? null);
+    } else if (write.type === 'delete') {
+        await deleteBodyMetricsEntry(userId, write.entryId);
+    }
+};
+
+/**
+ * Replays pending writes against the storage backend in order.
+ * Stops at the first write that fails (e.g. still offline) and keeps it and everything after it queued.
+ * A delete whose entry is missing from the backend counts as synced, since there is nothing to move to the trash.
+ * Conflicting updates and deletes are resolved last-writer-wins and reported back for the user to review.
+ * @param {string} userId - The ID of the current user
+ * @returns {Promise<Object>} { synced: number, remaining: number, conflicts: Array<Object>, error: string }
+ */
+export const flushPendingWrites = async (userId) => {
+    const conflicts = [];
+    let synced = 0;
+
+    console.log('flushPendingWrites: Replaying', getPendingWrites(userId).length, 'writes for user:', userId);
+
+    // Re-read the queue on every step so writes queued while syncing are picked up, not overwritten
+    let write = getPendingWrites(userId)[0];
+    while (write) {
+        try {
+            let conflict = null;
+            let isAlreadyGone = false;
+            if (write.type !== 'add') {
+                const remoteEntry = await withTimeout(fetchBodyMetricsEntry(userId, write.entryId), SYNC_TIMEOUT_MS);
+                conflict = detectConflict(write, remoteEntry);
+                // A delete of an entry the backend never got (its add was dropped from the queue) has nothing left to do
+                isAlreadyGone = write.type === 'delete' && !remoteEntry;
+            }
+
+            if (isAlreadyGone) {
+                console.log('flushPendingWrites: Entry', write.entryId, 'is not on the backend; dropping its delete');
+            } else if (!conflict || conflict.winner === 'local') {
+                await withTimeout(replayWrite(userId, write), SYNC_TIMEOUT_MS);
+            }
+            if (conflict) {
+                console.warn('flushPendingWrites: Conflict on entry', write.entryId, 'resolved in favor of', conflict.winner);
+                conflicts.push(conflict);
+            }
+        } catch (error) {
+            console.error('flushPendingWrites Error: ', error);
+            return { synced, remaining: getPendingWrites(userId).length, conflicts, error: error.message };
+        }
+
+        const sentOpId = write.opId;
+        savePendingWrites(userId, getPendingWrites(userId).filter(w => w.opId !== sentOpId));
+        synced++;
+        write = getPendingWrites(userId)[0];
+    }
+
+    return { synced, remaining: 0, conflicts, error: '' };
+};
+
+// Entry fields a user can edit, used when restoring one side of a conflict
+const pickEntryFields = ({ date, weight, bodyFat, weightUnit, circumferencesCm, composition, notes, tags, source }) => ({
+    date,
+    weight,
+    bodyFat,
+    weightUnit,
+    circumferencesCm: circumferencesCm ?? {},
+    composition: composition ?? {},
+    notes: notes ?? '',
+    tags: tags ?? [],
+    source: source ?? '',
+});
+
+/**
+ * Queues whatever write is needed to make the user's chosen side of a conflict stick.
+ * Does nothing if the chosen side already won under last-writer-wins.
+ * @param {string} userId - The ID of the current user
+ * @param {Object} conflict - A conflict record returned by flushPendingWrites
+ * @param {string} choice - 'local' to keep this device's change, 'remote' to keep the other device's
+ * @param {Object} [editor] - Who is resolving the conflict ({ uid, name }), recorded in the revision history
+ * @returns {Array<Object>} The pending writes after queueing
+ */
+export const enqueueConflictResolution = (userId, conflict, choice, editor = null) => {
+    if (choice === conflict.winner) {
+        return getPendingWrites(userId);
+    }
+
+    if (choice === 'local') {
+        if (!conflict.remote) {
+            // The entry was deleted elsewhere; re-create it under the same ID, which also takes it out of the trash
+            return enqueueWrite(userId, { type: 'add', entryId: conflict.entryId, data: pickEntryFields(conflict.local) });
+        }
+        return enqueueWrite(userId, {
+            type: conflict.type,
+            entryId: conflict.entryId,
+            data: conflict.type === 'update' ? pickEntryFields(conflict.local) : null,
+            baseUpdatedAt: conflict.remote.updatedAt,
+            editor,
+        });
+    }
+
+    // choice === 'remote': undo this device's winning write
+    if (conflict.type === 'delete') {
+        return enqueueWrite(userId, { type: 'add', entryId: conflict.entryId, data: pickEntryFields(conflict.remote) });
+    }
+    return enqueueWrite(userId, {
+        type: 'update',
+        entryId: conflict.entryId,
+        data: pickEntryFields(conflict.remote),
+        baseUpdatedAt: conflict.local.updatedAt,
+        editor,
+    });
+};
@@ -0,0 +1,251 @@
+// src/services/storage/firestoreAdapter.js
+
+import {
+    collection,
+    serverTimestamp,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    getDocs,
+    getDoc,
+    onSnapshot,
+    setDoc,
+    doc,
+    updateDoc,
+    deleteDoc,
+    writeBatch
+} from 'firebase/firestore';
+
+// Firestore rejects write batches with more than 500 operations
+const BATCH_LIMIT = 500;
+
+// Converts any Firestore Timestamp fields of a document into Date objects
+const convertTimestamps = (data) => {
+    const converted = {};
+    for (const [key, value] of Object.entries(data)) {
+        converted[key] = value && typeof value.toDate === 'function' ? value.toDate() : value;
+    }
+    return converted;
+};
+
+/**
+ * Creates a storage adapter backed by Cloud Firestore.
+ * Entries live in users/{userId}/bodyMetricsEntries, with earlier versions of each entry in its revisions
+ * subcollection, daily intake in users/{userId}/intakeEntries keyed by day (YYYY-MM-DD), and the profile in users/{userId}/profile/data.
+ * @param {Object} db - The Firestore instance to read from and write to
+ * @returns {Object} A storage adapter
+ */
+export const createFirestoreAdapter = (db) => {
+    const entriesCollectionRef = (userId) => collection(db, 'users', userId, 'bodyMetricsEntries');
+    const entryRef = (userId, entryId) => doc(db, 'users', userId, 'bodyMetricsEntries', entryId);
+    const profileRef = (userId) => doc(db, 'users', userId, 'profile', 'data');
+    const importsCollectionRef = (userId) => collection(db, 'users', userId, 'imports');
+    const intakeCollectionRef = (userId) => collection(db, 'users', userId, 'intakeEntries');
+    const revisionsCollectionRef = (userId, entryId) => collection(db, 'users', userId, 'bodyMetricsEntries', entryId, 'revisions');
+
+    // Firestore does not delete subcollections with their parent, so revisions are looked up and deleted explicitly
+    const getRevisionRefs = async (userId, entryIds) => {
+        const snapshots = await Promise.all(entryIds.map(entryId => getDocs(revisionsCollectionRef(userId, entryId))));
+        return snapshots.flatMap(querySnapshot => querySnapshot.docs.map(document => document.ref));
+    };
+
+    // Deletes documents in as few write batches as possible
+    const deleteInBatches = async (refs) => {
+        for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+            await batch.commit();
+        }
+    };
+
+    // Builds an entries query ordered by date (then document ID, so cursors are unambiguous)
+    const entriesQuery = (userId, { from, to, limit: maxEntries, cursor, descending = false } = {}) => {
+        const direction = descending ? 'desc' : 'asc';
+        const constraints = [];
+        if (from) {
+            constraints.push(where('date', '>=', from));
+        }
+        if (to) {
+            constraints.push(where('date', '<', to));
+        }
+        constraints.push(orderBy('date', direction), orderBy(documentId(), direction));
+        if (cursor) {
+            constraints.push(startAfter(cursor.date, cursor.id));
+        }
+        if (maxEntries) {
+            constraints.push(limit(maxEntries));
+        }
+        return query(entriesCollectionRef(userId), ...constraints);
+    };
+
+    return {
+        name: 'firestore',
+
+        fetchEntries: async (userId, options) => {
+            const querySnapshot = await getDocs(entriesQuery(userId, options));
+
+            const entries = [];
+            querySnapshot.forEach((document) => {
+                entries.push({ id: document.id, ...convertTimestamps(document.data()) });
+            });
+            return entries;
+        },
+
+        getEntry: async (userId, entryId) => {
+            const docSnap = await getDoc(entryRef(userId, entryId));
+            return docSnap.exists() ? { id: docSnap.id, ...convertTimestamps(docSnap.data()) } : null;
+        },
+
+        addEntry: async (userId, entryData, entryId) => {
+            // setDoc with a client-chosen ID makes replaying the same add idempotent
+            const docRef = entryId ? entryRef(userId, entryId) : doc(entriesCollectionRef(userId));
+            await setDoc(docRef, {
+                ...entryData,
+                createdAt: serverTimestamp(),
+            });
+            return docRef.id;
+        },
+
+        updateEntry: async (userId, entryId, updatedData, revision) => {
+            if (!revision) {
+                await updateDoc(entryRef(userId, entryId), updatedData);
+                return;
+            }
+            // Write the revision in the same batch, so an update is never saved without its history
+            const batch = writeBatch(db);
+            batch.update(entryRef(userId, entryId), updatedData);
+            batch.set(doc(revisionsCollectionRef(userId, entryId)), revision);
+            await batch.commit();
+        },
+
+        deleteEntry: async (userId, entryId) => {
+            await deleteInBatches([...await getRevisionRefs(userId, [entryId]), entryRef(userId, entryId)]);
+        },
+
+        replaceEntries: async (userId, entries) => {
+            for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+                const batch = writeBatch(db);
+                for (const { id, ...entryData } of entries.slice(i, i + BATCH_LIMIT)) {
+                    batch.set(entryRef(userId, id), entryData);
+                }
+                await batch.commit();
+            }
+        },
+
+        fetchDeletedEntries: async (userId) => {
+            const q = query(entriesCollectionRef(userId), where('deletedAt', '>', new Date(0)), orderBy('deletedAt', 'desc'));
+            const querySnapshot = await getDocs(q);
+
+            const entries = [];
+            querySnapshot.forEach((document) => {
+                entries.push({ id: document.id, ...convertTimestamps(document.data()) });
+            });
+            return entries;
+        },
+
+        fetchRevisions: async (userId, entryId) => {
+            const querySnapshot = await getDocs(query(revisionsCollectionRef(userId, entryId), orderBy('revisedAt', 'desc')));
+            const revisions = [];
+            querySnapshot.forEach((document) => {
+                revisions.push({ id: document.id, ...convertTimestamps(document.data()) });
+            });
+            return revisions;
+        },
+
+        subscribeToEntries: (userId, onChanges, onError, { from } = {}) => {
+            // The first snapshot reports every existing entry as 'added'
+            return onSnapshot(entriesQuery(userId, { from }), (querySnapshot) => {
+                const changes = querySnapshot.docChanges().map((change) => ({
+                    type: change.type,
+                    entry: { id: change.doc.id, ...convertTimestamps(change.doc.data()) },
+                }));
+                onChanges(changes);
+            }, onError);
+        },
+
+        importEntries: async (userId, importRecord, entries) => {
+            const importRef = doc(importsCollectionRef(userId));
+            const importId = importRef.id;
+            await setDoc(importRef, { ...importRecord, status: 'pending', importedAt: serverTimestamp() });
+
+            // Each batch is atomic; if a later batch fails, the earlier ones are rolled back below
+            const entryRefs = [];
+            try {
+                for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+                    const batch = writeBatch(db);
+                    for (const entryData of entries.slice(i, i + BATCH_LIMIT)) {
+                        const newEntryRef = doc(entriesCollectionRef(userId));
+                        batch.set(newEntryRef, { ...entryData, importId, createdAt: serverTimestamp() });
+                        entryRefs.push(newEntryRef);
+                    }
+                    await batch.commit();
+                }
+            } catch (error) {
+                await deleteInBatches(entryRefs);
+                await updateDoc(importRef, { status: 'failed', error: error.message });
+                throw error;
+            }
+
+            await updateDoc(importRef, { status: 'complete' });
+            return importId;
+        },
+
+        fetchImports: async (userId) => {
+            const querySnapshot = await getDocs(query(importsCollectionRef(userId), orderBy('importedAt', 'desc')));
+            const imports = [];
+            querySnapshot.forEach((document) => {
+                imports.push({ id: document.id, ...convertTimestamps(document.data()) });
+            });
+            return imports;
+        },
+
+        undoImport: async (userId, importId) => {
+            const querySnapshot = await getDocs(query(entriesCollectionRef(userId), where('importId', '==', importId)));
+            const refs = querySnapshot.docs.map(document => document.ref);
+            await deleteInBatches([...await getRevisionRefs(userId, refs.map(ref => ref.id)), ...refs]);
+            await updateDoc(doc(importsCollectionRef(userId), importId), { status: 'undone', undoneAt: serverTimestamp() });
+            return refs.length;
+        },
+
+        fetchIntakeEntries: async (userId, { from, to } = {}) => {
+            // Day keys sort chronologically, so the range and order go by document ID
+            const constraints = [];
+            if (from) {
+                constraints.push(where(documentId(), '>=', from));
+            }
+            if (to) {
+                constraints.push(where(documentId(), '<', to));
+            }
+            const querySnapshot = await getDocs(query(intakeCollectionRef(userId), ...constraints, orderBy(documentId())));
+            const records = [];
+            querySnapshot.forEach((document) => {
+                records.push({ id: document.id, ...convertTimestamps(document.data()) });
+            });
+            return records;
+        },
+
+        saveIntakeEntry: async (userId, dayKey, intakeData) => {
+            await setDoc(doc(intakeCollectionRef(userId), dayKey), intakeData);
+        },
+
+        deleteIntakeEntry: async (userId, dayKey) => {
+            await deleteDoc(doc(intakeCollectionRef(userId), dayKey));
+        },
+
+        getProfile: async (userId) => {
+            const docSnap = await getDoc(profileRef(userId));
+            return docSnap.exists() ? convertTimestamps(docSnap.data()) : null;
+        },
+
+        saveProfile: async (userId, profileData) => {
+            // Merge so fields not present in profileData are kept
+            await setDoc(profileRef(userId), {
+                ...profileData,
+                updatedAt: serverTimestamp(),
+            }, { merge: true });
+        },
+    };
+};
@@ -0,0 +1,148 @@
+// src/services/storage/index.js
+
+import { createIndexedDbAdapter } from './indexedDbAdapter.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+
+export { createIndexedDbAdapter, createMemoryAdapter };
+
+/**
+ * Storage adapter interface implemented by every backend:
+ *   fetchEntries(userId, [options]) -> Promise<Array<Object>>   entries with `id` and Date fields
+ *     options: { from, to, limit, cursor, descending }. `from` is inclusive, `to` exclusive. Entries are ordered
+ *     by date then ID, ascending unless `descending`; `cursor` ({ date, id } of the last entry already read)
+ *     continues after that entry in the same order.
+ *   getEntry(userId, entryId) -> Promise<Object|null>
+ *   addEntry(userId, entryData, [entryId]) -> Promise<string>   resolves with the new entry ID; writing an existing ID overwrites it
+ *   updateEntry(userId, entryId, updatedData, [revision]) -> Promise<void>   also stores `revision` (the entry's previous
+ *     version) in the entry's revision history when given
+ *   deleteEntry(userId, entryId) -> Promise<void>   permanent, including the entry's revisions; the services soft-delete
+ *     with updateEntry({ deletedAt })
+ *   fetchRevisions(userId, entryId) -> Promise<Array<Object>>   an entry's earlier versions with `id`, newest revisedAt first
+ *   replaceEntries(userId, entries) -> Promise<void>   overwrites whole entries (with `id`) as given, e.g. for schema migrations
+ *   fetchDeletedEntries(userId) -> Promise<Array<Object>>   entries with a deletedAt date, most recently deleted first
+ *   subscribeToEntries(userId, onChanges, onError, [{ from }]) -> unsubscribe function, optionally limited to entries dated from `from` on
+ *     onChanges receives [{ type: 'added' | 'modified' | 'removed', entry }]; the first call (possibly empty) lists every existing entry as 'added'
+ *   importEntries(userId, importRecord, entries) -> Promise<string>   writes all entries tagged with a new importId, or none
+ *     of them, and records the import in the user's import history; resolves with the importId
+ *   fetchImports(userId) -> Promise<Array<Object>>   import history, newest first
+ *   undoImport(userId, importId) -> Promise<number>   removes every entry tagged with importId (and their revisions);
+ *     resolves with the count
+ *   fetchIntakeEntries(userId, [{ from, to }]) -> Promise<Array<Object>>   daily intake records with `id` (the day as YYYY-MM-DD),
+ *     oldest first; `from` (inclusive) and `to` (exclusive) are days as YYYY-MM-DD
+ *   saveIntakeEntry(userId, dayKey, intakeData) -> Promise<void>   writes the record for a day, replacing any earlier one
+ *   deleteIntakeEntry(userId, dayKey) -> Promise<void>
+ *   getProfile(userId) -> Promise<Object|null>
+ *   saveProfile(userId, profileData) -> Promise<void>   merges into the existing profile
+ */
+
+// Every adapter method except subscribeToEntries, which is the only one that does not return a promise
+const ASYNC_ADAPTER_METHODS = [
+    'fetchEntries', 'getEntry', 'addEntry', 'updateEntry', 'deleteEntry', 'fetchRevisions', 'replaceEntries',
+    'fetchDeletedEntries', 'importEntries', 'fetchImports', 'undoImport', 'fetchIntakeEntries', 'saveIntakeEntry',
+    'deleteIntakeEntry', 'getProfile', 'saveProfile',
+];
+
+// Wraps an adapter that is only loaded on first use, so a backend's SDK and configuration are never loaded
+// unless that backend is selected; subscribeToEntries subscribes once the adapter has loaded
+const createLazyAdapter = (name, loadAdapter) => {
+    let adapterPromise = null;
+    const getAdapter = () => {
+        if (!adapterPromise) {
+            adapterPromise = loadAdapter().catch((error) => {
+                adapterPromise = null;  // Let the next call try again
+                throw error;
+            });
+        }
+        return adapterPromise;
+    };
+
+    const adapter = { name };
+    for (const method of ASYNC_ADAPTER_METHODS) {
+        adapter[method] = async (...args) => (await getAdapter())[method](...args);
+    }
+    adapter.subscribeToEntries = (userId, onChanges, onError, options) => {
+        let unsubscribe = null;
+        let cancelled = false;
+        getAdapter()
+            .then((loadedAdapter) => {
+                if (!cancelled) {
+                    unsubscribe = loadedAdapter.subscribeToEntries(userId, onChanges, onError, options);
+                }
+            })
+            .catch((error) => {
+                if (!cancelled) {
+                    onError(error);
+                }
+            });
+        return () => {
+            cancelled = true;
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    };
+    return adapter;
+};
+
+// Factories for each backend that can be selected with VITE_STORAGE_BACKEND
+// Firestore and the Firebase app are loaded on first use, so the local backends run without a Firebase project
+const adapterFactories = {
+    firestore: () => createLazyAdapter('firestore', async () => {
+        const [{ db }, { createFirestoreAdapter }] = await Promise.all([import('../../firebase'), import('./firestoreAdapter.js')]);
+        return createFirestoreAdapter(db);
+    }),
+    indexeddb: () => createIndexedDbAdapter(),
+    memory: () => createMemoryAdapter(),
+};
+
+// Backends that keep everything on this device; with these the app signs in a local user instead of using Firebase Auth
+const LOCAL_BACKENDS = ['indexeddb', 'memory'];
+
+let activeAdapter = null;
+
+/**
+ * Names the storage backend selected with VITE_STORAGE_BACKEND.
+ * @returns {string} 'firestore' (the default), 'indexeddb' or 'memory'
+ */
+export const getStorageBackend = () => import.meta.env.VITE_STORAGE_BACKEND || 'firestore';
+
+/**
+ * Tells whether the selected backend keeps everything on this device, so no Firebase project is needed.
+ * @returns {boolean} True for the indexeddb and memory backends
+ */
+export const isLocalStorageBackend = () => LOCAL_BACKENDS.includes(getStorageBackend());
+
+/**
+ * Creates a storage adapter for the named backend.
+ * @param {string} backend - 'firestore', 'indexeddb' or 'memory'
+ * @returns {Object} A storage adapter
+ * @throws {Error} If the backend name is unknown
+ */
+export const createStorageAdapter = (backend) => {
+    const factory = adapterFactories[backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    return factory();
+};
+
+/**
+ * Returns the storage adapter used by the services.
+ * Chosen once at startup from VITE_STORAGE_BACKEND, defaulting to Firestore.
+ * @returns {Object} The active storage adapter
+ */
+export const getStorageAdapter = () => {
+    if (!activeAdapter) {
+        activeAdapter = createStorageAdapter(getStorageBackend());
+        console.log('Storage: Using backend:', activeAdapter.name);
+    }
+    return activeAdapter;
+};
+
+/**
+ * Replaces the active storage adapter, e.g. with an in-memory adapter in tests.
+ * @param {Object} adapter - A storage adapter
+ */
+export const setStorageAdapter = (adapter) => {
+    activeAdapter = adapter;
+};
@@ -0,0 +1,100 @@
+// src/services/storage/indexedDbAdapter.js
+
+import { createLocalAdapter, STORE_KEY_PATHS } from './localAdapter.js';
+
+const DB_VERSION = 4;
+
+// Wraps an IDBRequest in a promise
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Resolves when a transaction commits, and rejects if it fails or is aborted
+const transactionToPromise = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+// Opens (and creates or upgrades, if needed) the database
+const openDatabase = (dbName) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+
+    // Creates whichever object stores are missing, so each version bump only needs STORE_KEY_PATHS updated
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        for (const [storeName, keyPath] of Object.entries(STORE_KEY_PATHS)) {
+            if (!database.objectStoreNames.contains(storeName)) {
+                const store = database.createObjectStore(storeName, { keyPath });
+                if (keyPath !== 'userId') {
+                    store.createIndex('userId', 'userId', { unique: false });
+                }
+            }
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates a storage adapter that persists to the browser's IndexedDB.
+ * Lets the app run fully locally, with data surviving reloads, without a Firebase project.
+ * @param {Object} [options]
+ * @param {string} [options.dbName='body-metrics'] - The IndexedDB database name
+ * @returns {Object} A storage adapter
+ */
+export const createIndexedDbAdapter = ({ dbName = 'body-metrics' } = {}) => {
+    let databasePromise = null;
+
+    // Lazily open the database on first use and reuse the connection afterwards
+    const getDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = openDatabase(dbName);
+        }
+        return databasePromise;
+    };
+
+    const withStore = async (storeName, mode, operation) => {
+        const database = await getDatabase();
+        const transaction = database.transaction(storeName, mode);
+        return requestToPromise(operation(transaction.objectStore(storeName)));
+    };
+
+    // Runs several writes in one transaction, so they all commit or none do
+    const withStoreTransaction = async (storeName, operation) => {
+        const database = await getDatabase();
+        const transaction = database.transaction(storeName, 'readwrite');
+        operation(transaction.objectStore(storeName));
+        return transactionToPromise(transaction);
+    };
+
+    // Runs writes to several stores in one transaction
+    const withStoresTransaction = async (storeNames, operation) => {
+        const database = await getDatabase();
+        const transaction = database.transaction(storeNames, 'readwrite');
+        operation(transaction);
+        return transactionToPromise(transaction);
+    };
+
+    const recordStore = {
+        getAllByUser: (storeName, userId) =>
+            withStore(storeName, 'readonly', store => store.index('userId').getAll(userId)),
+        get: (storeName, key) =>
+            withStore(storeName, 'readonly', store => store.get(key)),
+        put: (storeName, record) =>
+            withStore(storeName, 'readwrite', store => store.put(record)),
+        remove: (storeName, key) =>
+            withStore(storeName, 'readwrite', store => store.delete(key)),
+        putMany: (storeName, records) =>
+            withStoreTransaction(storeName, store => records.forEach(record => store.put(record))),
+        removeMany: (storeName, keys) =>
+            withStoreTransaction(storeName, store => keys.forEach(key => store.delete(key))),
+        putInStores: (writes) =>
+            withStoresTransaction([...new Set(writes.map(write => write.storeName))], transaction =>
+                writes.forEach(({ storeName, record }) => transaction.objectStore(storeName).put(record))),
+    };
+
+    // Other tabs open on the same database hear about entry changes through the channel
+    return createLocalAdapter('indexeddb', recordStore, { channelName: `${dbName}-changes` });
+};
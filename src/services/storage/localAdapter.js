@@ -0,0 +1,306 @@
+// src/services/storage/localAdapter.js
+
+// Object store names shared by the local record stores
+export const ENTRIES_STORE = 'bodyMetricsEntries';
+export const PROFILES_STORE = 'profiles';
+export const IMPORTS_STORE = 'imports';
+export const REVISIONS_STORE = 'entryRevisions';
+export const INTAKE_STORE = 'intakeEntries';
+
+// Key field of each object store
+export const STORE_KEY_PATHS = {
+    [ENTRIES_STORE]: 'id',
+    [PROFILES_STORE]: 'userId',
+    [IMPORTS_STORE]: 'id',
+    [REVISIONS_STORE]: 'id',
+    [INTAKE_STORE]: 'id',
+};
+
+const generateId = () => crypto.randomUUID();
+
+// Strips the bookkeeping userId field from a stored record
+const withoutUserId = (record) => {
+    const { userId: _userId, ...rest } = record;
+    return rest;
+};
+
+// Intake records are kept once per user and day; their store key combines both, and the day is the ID the app sees
+const intakeKey = (userId, dayKey) => `${userId}:${dayKey}`;
+const toIntakeRecord = (record) => {
+    const { userId: _userId, dayKey, ...rest } = record;
+    return { ...rest, id: dayKey };
+};
+
+// Orders entries by date, then ID, matching the Firestore adapter's query order
+const compareEntries = (a, b) =>
+    ((a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0)) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+const isInRange = (entry, { from, to }) => {
+    const time = entry.date?.getTime() ?? 0;
+    return (!from || time >= from.getTime()) && (!to || time < to.getTime());
+};
+
+// Applies the fetchEntries query options to an unordered list of entries
+const queryEntries = (entries, { from, to, limit, cursor, descending = false } = {}) => {
+    const direction = descending ? -1 : 1;
+    let results = entries
+        .filter(entry => isInRange(entry, { from, to }))
+        .sort((a, b) => direction * compareEntries(a, b));
+    if (cursor) {
+        results = results.filter(entry => direction * compareEntries(entry, cursor) > 0);
+    }
+    return limit ? results.slice(0, limit) : results;
+};
+
+/**
+ * Creates a storage adapter on top of a local record store.
+ * The record store is a minimal async key/value API shared by the in-memory and IndexedDB backends:
+ *   getAllByUser(storeName, userId), get(storeName, key), put(storeName, record), remove(storeName, key),
+ *   putMany(storeName, records), removeMany(storeName, keys)   (all-or-nothing)
+ *   putInStores(writes)   writes [{ storeName, record }] across stores, all-or-nothing
+ * Entry, import and revision records are keyed by `id` and carry a `userId`; profile records are keyed by `userId`.
+ * Revision records also carry the `entryId` they belong to, and intake records the `dayKey` they are for.
+ * @param {string} name - The backend name reported by the adapter
+ * @param {Object} recordStore - The record store to persist to
+ * @param {Object} [options]
+ * @param {string} [options.channelName] - BroadcastChannel name used to push entry changes to other tabs
+ *   sharing the same persistent store. Omit for stores that are private to this tab.
+ * @returns {Object} A storage adapter
+ */
+export const createLocalAdapter = (name, recordStore, { channelName } = {}) => {
+    // Entry change listeners per user, notified after every local write
+    const listeners = new Map();
+
+    const notifyListeners = (userId, changes) => {
+        for (const listener of listeners.get(userId) ?? []) {
+            listener(changes);
+        }
+    };
+
+    const channel = channelName && typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+    if (channel) {
+        channel.onmessage = (event) => notifyListeners(event.data.userId, event.data.changes);
+    }
+
+    const emitChanges = (userId, changes) => {
+        notifyListeners(userId, changes);
+        channel?.postMessage({ userId, changes });
+    };
+
+    const fetchEntries = async (userId, options) => {
+        const records = await recordStore.getAllByUser(ENTRIES_STORE, userId);
+        return queryEntries(records.map(withoutUserId), options);
+    };
+
+    // Removes the revision history of entries that are being removed for good
+    const removeRevisions = async (userId, entryIds) => {
+        const ids = new Set(entryIds);
+        const revisions = (await recordStore.getAllByUser(REVISIONS_STORE, userId))
+            .filter(record => ids.has(record.entryId));
+        if (revisions.length > 0) {
+            await recordStore.removeMany(REVISIONS_STORE, revisions.map(record => record.id));
+        }
+    };
+
+    return {
+        name,
+
+        fetchEntries,
+
+        getEntry: async (userId, entryId) => {
+            const record = await recordStore.get(ENTRIES_STORE, entryId);
+            return record && record.userId === userId ? withoutUserId(record) : null;
+        },
+
+        addEntry: async (userId, entryData, entryId) => {
+            const id = entryId || generateId();
+            const existing = entryId ? await recordStore.get(ENTRIES_STORE, id) : undefined;
+            const record = {
+                ...entryData,
+                id,
+                userId,
+                createdAt: new Date(),
+            };
+            await recordStore.put(ENTRIES_STORE, record);
+            emitChanges(userId, [{ type: existing ? 'modified' : 'added', entry: withoutUserId(record) }]);
+            return id;
+        },
+
+        updateEntry: async (userId, entryId, updatedData, revision) => {
+            const existing = await recordStore.get(ENTRIES_STORE, entryId);
+            if (!existing || existing.userId !== userId) {
+                throw new Error(`No entry found with ID: ${entryId}`);
+            }
+            const record = { ...existing, ...updatedData, id: entryId, userId };
+            if (revision) {
+                // The revision and the new version are written together, so the history never misses or invents a change
+                await recordStore.putInStores([
+                    { storeName: REVISIONS_STORE, record: { ...revision, id: generateId(), entryId, userId } },
+                    { storeName: ENTRIES_STORE, record },
+                ]);
+            } else {
+                await recordStore.put(ENTRIES_STORE, record);
+            }
+            emitChanges(userId, [{ type: 'modified', entry: withoutUserId(record) }]);
+        },
+
+        deleteEntry: async (userId, entryId) => {
+            const existing = await recordStore.get(ENTRIES_STORE, entryId);
+            if (existing && existing.userId === userId) {
+                await recordStore.remove(ENTRIES_STORE, entryId);
+                await removeRevisions(userId, [entryId]);
+                emitChanges(userId, [{ type: 'removed', entry: withoutUserId(existing) }]);
+            }
+        },
+
+        replaceEntries: async (userId, entries) => {
+            const records = entries.map(entry => ({ ...entry, userId }));
+            await recordStore.putMany(ENTRIES_STORE, records);
+            emitChanges(userId, records.map(record => ({ type: 'modified', entry: withoutUserId(record) })));
+        },
+
+        fetchDeletedEntries: async (userId) => {
+            const records = await recordStore.getAllByUser(ENTRIES_STORE, userId);
+            return records
+                .filter(record => record.deletedAt instanceof Date)
+                .map(withoutUserId)
+                .sort((a, b) => b.deletedAt.getTime() - a.deletedAt.getTime());
+        },
+
+        fetchRevisions: async (userId, entryId) => {
+            const records = await recordStore.getAllByUser(REVISIONS_STORE, userId);
+            return records
+                .filter(record => record.entryId === entryId)
+                .map(withoutUserId)
+                .sort((a, b) => (b.revisedAt?.getTime() ?? 0) - (a.revisedAt?.getTime() ?? 0));
+        },
+
+        subscribeToEntries: (userId, onChanges, onError, { from } = {}) => {
+            let active = true;
+            // Entries dated before `from` are outside the subscription; one moved out of it reads as removed
+            const toWindowChange = (change) => {
+                if (change.type === 'removed' || isInRange(change.entry, { from })) {
+                    return change;
+                }
+                return change.type === 'modified' ? { ...change, type: 'removed' } : null;
+            };
+            // Changes that arrive while the initial read is in flight are held back until it is delivered
+            let bufferedChanges = [];
+            const listener = (allChanges) => {
+                const changes = allChanges.map(toWindowChange).filter(Boolean);
+                if (!active || changes.length === 0) {
+                    return;
+                }
+                if (bufferedChanges) {
+                    bufferedChanges.push(...changes);
+                } else {
+                    onChanges(changes);
+                }
+            };
+
+            if (!listeners.has(userId)) {
+                listeners.set(userId, new Set());
+            }
+            listeners.get(userId).add(listener);
+
+            // Deliver the current entries as 'added' first, like a Firestore snapshot listener does
+            fetchEntries(userId, { from })
+                .then((entries) => {
+                    if (!active) {
+                        return;
+                    }
+                    const initialIds = new Set(entries.map(entry => entry.id));
+                    const laterChanges = bufferedChanges.filter(change => !(change.type === 'added' && initialIds.has(change.entry.id)));
+                    bufferedChanges = null;
+                    onChanges(entries.map(entry => ({ type: 'added', entry })));
+                    if (laterChanges.length > 0) {
+                        onChanges(laterChanges);
+                    }
+                })
+                .catch((error) => active && onError?.(error));
+
+            return () => {
+                active = false;
+                listeners.get(userId)?.delete(listener);
+            };
+        },
+
+        importEntries: async (userId, importRecord, entries) => {
+            const importId = generateId();
+            const importedAt = new Date();
+            const records = entries.map(entryData => ({
+                ...entryData,
+                id: generateId(),
+                userId,
+                importId,
+                createdAt: importedAt,
+            }));
+
+            // putMany writes every entry or none of them
+            await recordStore.putMany(ENTRIES_STORE, records);
+            await recordStore.put(IMPORTS_STORE, {
+                ...importRecord,
+                id: importId,
+                userId,
+                status: 'complete',
+                importedAt,
+            });
+            emitChanges(userId, records.map(record => ({ type: 'added', entry: withoutUserId(record) })));
+            return importId;
+        },
+
+        fetchImports: async (userId) => {
+            const records = await recordStore.getAllByUser(IMPORTS_STORE, userId);
+            return records
+                .map(withoutUserId)
+                .sort((a, b) => (b.importedAt?.getTime() ?? 0) - (a.importedAt?.getTime() ?? 0));
+        },
+
+        undoImport: async (userId, importId) => {
+            const importRecord = await recordStore.get(IMPORTS_STORE, importId);
+            if (!importRecord || importRecord.userId !== userId) {
+                throw new Error(`No import found with ID: ${importId}`);
+            }
+
+            const records = (await recordStore.getAllByUser(ENTRIES_STORE, userId))
+                .filter(record => record.importId === importId);
+            await recordStore.removeMany(ENTRIES_STORE, records.map(record => record.id));
+            await removeRevisions(userId, records.map(record => record.id));
+            await recordStore.put(IMPORTS_STORE, { ...importRecord, status: 'undone', undoneAt: new Date() });
+            emitChanges(userId, records.map(record => ({ type: 'removed', entry: withoutUserId(record) })));
+            return records.length;
+        },
+
+        fetchIntakeEntries: async (userId, { from, to } = {}) => {
+            const records = await recordStore.getAllByUser(INTAKE_STORE, userId);
+            return records
+                .filter(record => (!from || record.dayKey >= from) && (!to || record.dayKey < to))
+                .sort((a, b) => (a.dayKey < b.dayKey ? -1 : a.dayKey > b.dayKey ? 1 : 0))
+                .map(toIntakeRecord);
+        },
+
+        saveIntakeEntry: async (userId, dayKey, intakeData) => {
+            await recordStore.put(INTAKE_STORE, { ...intakeData, id: intakeKey(userId, dayKey), userId, dayKey });
+        },
+
+        deleteIntakeEntry: async (userId, dayKey) => {
+            await recordStore.remove(INTAKE_STORE, intakeKey(userId, dayKey));
+        },
+
+        getProfile: async (userId) => {
+            const record = await recordStore.get(PROFILES_STORE, userId);
+            return record ? withoutUserId(record) : null;
+        },
+
+        saveProfile: async (userId, profileData) => {
+            // Merge with the existing record, matching Firestore's setDoc(..., { merge: true })
+            const existing = await recordStore.get(PROFILES_STORE, userId);
+            await recordStore.put(PROFILES_STORE, {
+                ...existing,
+                ...profileData,
+                userId,
+                updatedAt: new Date(),
+            });
+        },
+    };
+};
@@ -0,0 +1,63 @@
+// src/services/storage/memoryAdapter.js
+
+import { createLocalAdapter, STORE_KEY_PATHS } from './localAdapter.js';
+
+/**
+ * Creates a storage adapter that keeps everything in memory.
+ * Data is lost on reload, which makes it suitable for tests and throwaway local sessions.
+ * Records are cloned on the way in and out so callers can never mutate stored state.
+ * @param {Object} [seed] - Optional initial records keyed by store name, e.g. { bodyMetricsEntries: [...] }
+ * @returns {Object} A storage adapter
+ */
+export const createMemoryAdapter = (seed = {}) => {
+    const stores = new Map();
+
+    const getStore = (storeName) => {
+        if (!stores.has(storeName)) {
+            stores.set(storeName, new Map());
+        }
+        return stores.get(storeName);
+    };
+
+    for (const [storeName, records] of Object.entries(seed)) {
+        for (const record of records) {
+            getStore(storeName).set(record[STORE_KEY_PATHS[storeName]], structuredClone(record));
+        }
+    }
+
+    const recordStore = {
+        getAllByUser: async (storeName, userId) =>
+            [...getStore(storeName).values()]
+                .filter(record => record.userId === userId)
+                .map(record => structuredClone(record)),
+        get: async (storeName, key) => {
+            const record = getStore(storeName).get(key);
+            return record ? structuredClone(record) : undefined;
+        },
+        put: async (storeName, record) => {
+            getStore(storeName).set(record[STORE_KEY_PATHS[storeName]], structuredClone(record));
+        },
+        remove: async (storeName, key) => {
+            getStore(storeName).delete(key);
+        },
+        putMany: async (storeName, records) => {
+            for (const record of records) {
+                getStore(storeName).set(record[STORE_KEY_PATHS[storeName]], structuredClone(record));
+            }
+        },
+        removeMany: async (storeName, keys) => {
+            for (const key of keys) {
+                getStore(storeName).delete(key);
+            }
+        },
+        putInStores: async (writes) => {
+            // Clone everything before storing anything, so a record that cannot be stored leaves no partial write
+            const clones = writes.map(({ storeName, record }) => ({ storeName, record: structuredClone(record) }));
+            for (const { storeName, record } of clones) {
+                getStore(storeName).set(record[STORE_KEY_PATHS[storeName]], record);
+            }
+        },
+    };
+
+    return createLocalAdapter('memory', recordStore);
+};
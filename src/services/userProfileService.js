@@ -0,0 +1,79 @@
+// src/services/userProfileService.js
+
+import { getStorageAdapter } from './storage/index.js';
+import { toKg, toCm, DEFAULT_UNIT_SYSTEM } from '../utils/units.js';
+import { cleanMeasurementSources } from '../utils/measurementSources.js';
+import { parseDateTimeInput } from '../utils/dates.js';
+import { toDietPhases } from '../utils/dietPhases.js';
+
+// Dated activity-level changes are stored with their first day as YYYY-MM-DD; startDate (local midnight) is added for calculations
+const toActivityHistory = (history) => (Array.isArray(history) ? history : [])
+    .map(item => ({ ...item, startDate: parseDateTimeInput(item.startDay) }))
+    .filter(item => !isNaN(item.startDate.getTime()))
+    .sort((a, b) => a.startDate - b.startDate);
+
+// Reads a number in a legacy unit, for profiles saved before canonical kg/cm fields existed
+const legacyValue = (value, convert, unit) => (typeof value === 'number' && !isNaN(value) ? convert(value, unit) : null);
+
+/**
+ * Fetches the profile for a given user from the active storage backend.
+ * Height, target weight and target rate are returned in cm and kg (heightCm, targetWeightKg, targetRateKg per week),
+ * converted from the older inches and weightUnit fields if the profile predates them.
+ * measurementSources is always a list, and useCalibratedValues a boolean.
+ * activityHistory and dietPhases are always lists, ordered by startDate.
+ * @param {string} userId - The ID of the current user
+ * @returns {Promise<Object|null>} A promise that resolves with the profile, or null if none has been saved yet
+ * @throws {Error} If fetching fails
+ */
+export const getUserProfile = async (userId) => {
+    if (!userId) {
+        console.log('getUserProfile: No user ID provided.');
+        return null;
+    }
+
+    try {
+        const profileData = await getStorageAdapter().getProfile(userId);
+        if (!profileData) {
+            return null;
+        }
+
+        const legacyWeightUnit = profileData.weightUnit ?? 'lbs';
+        return {
+            ...profileData,
+            dateOfBirth: profileData.dateOfBirth instanceof Date ? profileData.dateOfBirth : null,
+            unitSystem: profileData.unitSystem ?? (legacyWeightUnit === 'kg' ? 'metric' : DEFAULT_UNIT_SYSTEM),
+            // A saved null (e.g. no target while maintaining) must not fall back to the legacy field
+            heightCm: 'heightCm' in profileData ? profileData.heightCm : legacyValue(profileData.height, toCm, 'in'),
+            targetWeightKg: 'targetWeightKg' in profileData ? profileData.targetWeightKg : legacyValue(profileData.targetWeight, toKg, legacyWeightUnit),
+            targetRateKg: 'targetRateKg' in profileData ? profileData.targetRateKg : legacyValue(profileData.targetRate, toKg, legacyWeightUnit),
+            measurementSources: cleanMeasurementSources(profileData.measurementSources),
+            useCalibratedValues: profileData.useCalibratedValues === true,
+            activityHistory: toActivityHistory(profileData.activityHistory),
+            dietPhases: toDietPhases(profileData.dietPhases),
+        };
+    } catch (error) {
+        console.error('getUserProfile Error: ', error);
+        throw new Error('Failed to fetch profile: ' + error.message);
+    }
+};
+
+/**
+ * Creates or updates the profile for a given user. Fields not in profileData are kept.
+ * @param {string} userId - The ID of the current user
+ * @param {Object} profileData - The profile fields to save
+ * @returns {Promise<void>} A promise that resolves when the profile is saved
+ * @throws {Error} If saving fails
+ */
+export const saveUserProfile = async (userId, profileData) => {
+    if (!userId) {
+        throw new Error('saveUserProfile: No user ID provided.');
+    }
+
+    try {
+        await getStorageAdapter().saveProfile(userId, profileData);
+        console.log('saveUserProfile: Profile saved successfully.');
+    } catch (error) {
+        console.error('saveUserProfile Error: ', error);
+        throw new Error('Failed to save profile: ' + error.message);
+    }
+};
@@ -1,6 +1,8 @@
 // src/utils/calculations.js
 
-import { addDays } from 'date-fns'; // Import addDays for prediction
+import { addDays, startOfDay, differenceInCalendarDays } from 'date-fns'; // addDays for prediction, startOfDay for daily aggregation
+import { KG_PER_LB } from './units.js';
+import { findDietPhase } from './dietPhases.js';
 
 /**
  * Helper function to calculate age from date of birth.
@@ -21,33 +23,86 @@ export const calculateAge = (dateOfBirth) => {
 };
 
 
+// BMR equations a user can pick in their profile
+// Lean-mass equations use body fat instead of height, age and sex, and suit lean, muscular users better
+export const BMR_EQUATIONS = {
+    mifflin_st_jeor: { label: 'Mifflin-St Jeor', usesLeanMass: false },
+    harris_benedict_revised: { label: 'Harris-Benedict (revised)', usesLeanMass: false },
+    katch_mcardle: { label: 'Katch-McArdle', usesLeanMass: true },
+    cunningham: { label: 'Cunningham', usesLeanMass: true },
+    owen: { label: 'Owen', usesLeanMass: false },
+};
+
+export const DEFAULT_BMR_EQUATION = 'mifflin_st_jeor';
+
+/**
+ * Writes a BMR equation as a straight line in body weight, BMR = weightCoefficient * weight + constant,
+ * which is how the prediction model applies it to each predicted weight.
+ * Lean-mass equations hold body fat at the given percentage, so lean mass is a fixed share of weight.
+ * @param {Object} params
+ * @param {string} params.sex - 'male' or 'female'.
+ * @param {number} params.height - Height in centimeters.
+ * @param {number} params.age - Age in years.
+ * @param {number} [params.bodyFat] - Body fat percentage; required by the lean-mass equations.
+ * @param {string} [params.equation='mifflin_st_jeor'] - A key of BMR_EQUATIONS.
+ * @returns {Object|null} { weightCoefficient, constant }, or null if the equation is unknown or its inputs are invalid.
+ */
+export const getBmrCoefficients = ({ sex, height, age, bodyFat, equation = DEFAULT_BMR_EQUATION }) => {
+    if (sex !== 'male' && sex !== 'female') {
+        return null;
+    }
+    const isMale = sex === 'male';
+
+    if (BMR_EQUATIONS[equation]?.usesLeanMass) {
+        if (typeof bodyFat !== 'number' || isNaN(bodyFat) || bodyFat < 0 || bodyFat >= 100) {
+            return null;
+        }
+        const leanShare = 1 - bodyFat / 100;
+        return equation === 'katch_mcardle'
+            ? { weightCoefficient: 21.6 * leanShare, constant: 370 }
+            : { weightCoefficient: 22 * leanShare, constant: 500 };
+    }
+    if (equation === 'owen') {
+        return isMale ? { weightCoefficient: 10.2, constant: 879 } : { weightCoefficient: 7.18, constant: 795 };
+    }
+
+    if (typeof height !== 'number' || isNaN(height) || height <= 0 ||
+        typeof age !== 'number' || isNaN(age) || age <= 0) {
+        return null;
+    }
+    if (equation === 'harris_benedict_revised') {
+        // Roza and Shizgal (1984)
+        return isMale
+            ? { weightCoefficient: 13.397, constant: 88.362 + (4.799 * height) - (5.677 * age) }
+            : { weightCoefficient: 9.247, constant: 447.593 + (3.098 * height) - (4.330 * age) };
+    }
+    if (equation === DEFAULT_BMR_EQUATION) {
+        return { weightCoefficient: 10, constant: (6.25 * height) - (5 * age) + (isMale ? 5 : -161) };
+    }
+    return null;
+};
+
 /**
- * Calculates Basal Metabolic Rate (BMR) using the Mifflin-St Jeor equation.
+ * Calculates Basal Metabolic Rate (BMR) using the chosen equation (Mifflin-St Jeor by default).
  * @param {Object} params - Parameters for BMR calculation.
  * @param {string} params.sex - 'male' or 'female'.
  * @param {number} params.weight - Weight in kilograms.
  * @param {number} params.height - Height in centimeters.
  * @param {number} params.age - Age in years.
+ * @param {number} [params.bodyFat] - Body fat percentage; required by the lean-mass equations.
+ * @param {string} [params.equation='mifflin_st_jeor'] - A key of BMR_EQUATIONS.
  * @returns {number} Calculated BMR in calories per day, or NaN if inputs are invalid.
  */
-export const calculateBmr = ({ sex, weight, height, age }) => {
+export const calculateBmr = ({ sex, weight, height, age, bodyFat, equation = DEFAULT_BMR_EQUATION }) => {
+    const coefficients = getBmrCoefficients({ sex, height, age, bodyFat, equation });
+
     // Validate inputs
-    if (typeof sex !== 'string' || (sex !== 'male' && sex !== 'female') ||
-        typeof weight !== 'number' || isNaN(weight) || weight <= 0 ||
-        typeof height !== 'number' || isNaN(height) || height <= 0 ||
-        typeof age !== 'number' || isNaN(age) || age <= 0) {
-        console.error('Invalid inputs for BMR calculation:', { sex, weight, height, age });
+    if (!coefficients || typeof weight !== 'number' || isNaN(weight) || weight <= 0) {
+        console.error('Invalid inputs for BMR calculation:', { sex, weight, height, age, bodyFat, equation });
         return NaN; // Return NaN for invalid inputs
     }
 
-    let bmr = 0;
-    if (sex === 'male') {
-        bmr = (10 * weight) + (6.25 * height) - (5 * age) + 5;
-    } else { // female
-        bmr = (10 * weight) + (6.25 * height) - (5 * age) - 161;
-    }
-
-    return bmr;
+    return (coefficients.weightCoefficient * weight) + coefficients.constant;
 };
 
 // Activity Level Multipliers (Harris-Benedict standard, commonly used with Mifflin-St Jeor)
@@ -59,23 +114,239 @@ const activityMultipliers = {
     super_active: 1.9,
 };
 
+// Activity levels a user can pick; 'custom' uses a physical activity level (PAL) the user enters
+export const ACTIVITY_LEVELS = {
+    sedentary: 'Sedentary (little to no exercise)',
+    lightly_active: 'Lightly active (exercise 1-3 days/week)',
+    moderately_active: 'Moderately active (exercise 3-5 days/week)',
+    very_active: 'Very active (exercise 6-7 days/week)',
+    super_active: 'Super active (very intense exercise daily, or physical job)',
+    custom: 'Custom activity multiplier (PAL)',
+};
+
+// Range of custom activity multipliers accepted, from bed rest to elite endurance training
+export const MIN_ACTIVITY_MULTIPLIER = 1.0;
+export const MAX_ACTIVITY_MULTIPLIER = 2.5;
+
+/**
+ * Looks up the multiplier of an activity level.
+ * @param {string} activityLevel - A key of ACTIVITY_LEVELS.
+ * @param {number} [customMultiplier] - The multiplier to use for 'custom'.
+ * @returns {number} The multiplier, or NaN if the level is unknown or the custom multiplier is out of range.
+ */
+export const getActivityMultiplier = (activityLevel, customMultiplier) => {
+    if (activityLevel === 'custom') {
+        return typeof customMultiplier === 'number' && customMultiplier >= MIN_ACTIVITY_MULTIPLIER && customMultiplier <= MAX_ACTIVITY_MULTIPLIER
+            ? customMultiplier
+            : NaN;
+    }
+    return activityMultipliers[activityLevel] ?? NaN;
+};
+
+/**
+ * Finds the activity level in effect on a date: that of the diet phase the date falls in, if the phase sets one;
+ * otherwise the latest change in the profile's activityHistory that started on or before it, or the profile's
+ * own activityLevel before the first change.
+ * @param {Object} userProfile - The profile, with activityLevel, customActivityMultiplier, activityHistory
+ *   ([{ startDate, activityLevel, customMultiplier, label }]) and dietPhases (see toDietPhases).
+ * @param {Date} date - The date to look up.
+ * @returns {Object} { activityLevel, customMultiplier, label }
+ */
+export const getActivityOnDate = (userProfile, date) => {
+    const phase = findDietPhase(userProfile.dietPhases, date);
+    if (phase?.activityLevel) {
+        return { activityLevel: phase.activityLevel, customMultiplier: phase.customMultiplier, label: phase.name ?? '' };
+    }
+
+    const time = date.getTime();
+    const change = (userProfile.activityHistory ?? [])
+        .filter(item => item.startDate instanceof Date && item.startDate.getTime() <= time)
+        .reduce((latest, item) => (!latest || item.startDate > latest.startDate ? item : latest), null);
+    return change ?? { activityLevel: userProfile.activityLevel, customMultiplier: userProfile.customActivityMultiplier, label: '' };
+};
+
+/**
+ * Looks up the activity multiplier in effect on a date (see getActivityOnDate).
+ * @param {Object} userProfile - The profile.
+ * @param {Date} date - The date to look up.
+ * @returns {number} The multiplier, or NaN if the level in effect is invalid.
+ */
+export const getActivityMultiplierOnDate = (userProfile, date) => {
+    const { activityLevel, customMultiplier } = getActivityOnDate(userProfile, date);
+    return getActivityMultiplier(activityLevel, customMultiplier);
+};
+
 /**
  * Calculates Total Daily Energy Expenditure (TDEE) based on BMR and activity level.
  * @param {number} bmr - Basal Metabolic Rate in calories per day.
- * @param {string} activityLevel - Activity level ('sedentary', 'lightly_active', 'moderately_active', 'very_active', 'super_active').
+ * @param {string} activityLevel - A key of ACTIVITY_LEVELS ('sedentary', 'lightly_active', ..., 'custom').
+ * @param {number} [customMultiplier] - The multiplier to use for 'custom'.
  * @returns {number} Calculated TDEE in calories per day, or NaN if inputs are invalid.
  */
-export const calculateTdee = (bmr, activityLevel) => {
+export const calculateTdee = (bmr, activityLevel, customMultiplier) => {
     if (typeof bmr !== 'number' || isNaN(bmr) || bmr <= 0) {
         console.error("calculateTdee: Invalid BMR value.");
         return NaN;
     }
-    if (!activityMultipliers[activityLevel]) {
+    const multiplier = getActivityMultiplier(activityLevel, customMultiplier);
+    if (isNaN(multiplier)) {
         console.error("calculateTdee: Invalid activity level specified.");
         return NaN;
     }
 
-    return bmr * activityMultipliers[activityLevel];
+    return bmr * multiplier;
+};
+
+// --- Body fat estimation ---
+
+// Skinfold sites (in mm) used by the Jackson-Pollock formulas
+export const SKINFOLD_SITES = {
+    chest: 'Chest',
+    midaxillary: 'Midaxillary',
+    triceps: 'Triceps',
+    subscapular: 'Subscapular',
+    abdomen: 'Abdomen',
+    suprailiac: 'Suprailiac',
+    thigh: 'Thigh',
+};
+
+// Skinfold sites measured for the 3-site formula differ by sex; the 7-site formula uses all of them
+const jacksonPollock3Sites = {
+    male: ['chest', 'abdomen', 'thigh'],
+    female: ['triceps', 'suprailiac', 'thigh'],
+};
+
+/**
+ * Lists the skinfold sites a Jackson-Pollock formula needs.
+ * @param {string} method - 'jackson_pollock_3' or 'jackson_pollock_7'.
+ * @param {string} sex - 'male' or 'female'.
+ * @returns {Array<string>} Keys of SKINFOLD_SITES, or an empty array for other methods.
+ */
+export const getSkinfoldSites = (method, sex) => {
+    if (method === 'jackson_pollock_3') {
+        return jacksonPollock3Sites[sex] ?? [];
+    }
+    if (method === 'jackson_pollock_7') {
+        return Object.keys(SKINFOLD_SITES);
+    }
+    return [];
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && !isNaN(value) && value > 0;
+
+// Siri equation: body fat percentage from body density (g/cm³)
+const siriBodyFat = (bodyDensity) => (495 / bodyDensity) - 450;
+
+/**
+ * Estimates body fat percentage with the US Navy circumference method (Hodgdon & Beckett).
+ * @param {Object} params - Parameters for the estimate.
+ * @param {string} params.sex - 'male' or 'female'.
+ * @param {number} params.height - Height in centimeters.
+ * @param {number} params.neck - Neck circumference in centimeters.
+ * @param {number} params.waist - Waist circumference in centimeters, at the navel.
+ * @param {number} [params.hips] - Hip circumference in centimeters; required for women.
+ * @returns {number} Estimated body fat percentage, or NaN if inputs are invalid.
+ */
+export const estimateBodyFatNavy = ({ sex, height, neck, waist, hips }) => {
+    if ((sex !== 'male' && sex !== 'female') || !isPositiveNumber(height) || !isPositiveNumber(neck) ||
+        !isPositiveNumber(waist) || (sex === 'female' && !isPositiveNumber(hips))) {
+        console.error('Invalid inputs for US Navy body fat estimate:', { sex, height, neck, waist, hips });
+        return NaN;
+    }
+
+    // The logarithms are undefined once the neck is as wide as the waist (plus hips for women)
+    const girth = sex === 'male' ? waist - neck : waist + hips - neck;
+    if (girth <= 0) {
+        console.error('estimateBodyFatNavy: Waist must be larger than neck.');
+        return NaN;
+    }
+
+    if (sex === 'male') {
+        return 495 / (1.0324 - 0.19077 * Math.log10(girth) + 0.15456 * Math.log10(height)) - 450;
+    }
+    return 495 / (1.29579 - 0.35004 * Math.log10(girth) + 0.22100 * Math.log10(height)) - 450;
+};
+
+/**
+ * Estimates body fat percentage from BMI, age and sex with the Deurenberg equation.
+ * @param {Object} params - Parameters for the estimate.
+ * @param {string} params.sex - 'male' or 'female'.
+ * @param {number} params.weight - Weight in kilograms.
+ * @param {number} params.height - Height in centimeters.
+ * @param {number} params.age - Age in years.
+ * @returns {number} Estimated body fat percentage, or NaN if inputs are invalid.
+ */
+export const estimateBodyFatDeurenberg = ({ sex, weight, height, age }) => {
+    if ((sex !== 'male' && sex !== 'female') || !isPositiveNumber(weight) || !isPositiveNumber(height) || !isPositiveNumber(age)) {
+        console.error('Invalid inputs for Deurenberg body fat estimate:', { sex, weight, height, age });
+        return NaN;
+    }
+
+    const heightM = height / 100;
+    const bmi = weight / (heightM * heightM);
+    return (1.20 * bmi) + (0.23 * age) - (10.8 * (sex === 'male' ? 1 : 0)) - 5.4;
+};
+
+/**
+ * Estimates body fat percentage from skinfolds with the Jackson-Pollock 3- or 7-site formula and the Siri equation.
+ * @param {Object} params - Parameters for the estimate.
+ * @param {string} params.method - 'jackson_pollock_3' or 'jackson_pollock_7'.
+ * @param {string} params.sex - 'male' or 'female'.
+ * @param {number} params.age - Age in years.
+ * @param {Object} params.skinfolds - Skinfold thicknesses in millimeters, keyed by site (see getSkinfoldSites).
+ * @returns {number} Estimated body fat percentage, or NaN if inputs are invalid.
+ */
+export const estimateBodyFatJacksonPollock = ({ method, sex, age, skinfolds }) => {
+    const sites = getSkinfoldSites(method, sex);
+    if (sites.length === 0 || !isPositiveNumber(age) || !sites.every(site => isPositiveNumber(skinfolds?.[site]))) {
+        console.error('Invalid inputs for Jackson-Pollock body fat estimate:', { method, sex, age, skinfolds });
+        return NaN;
+    }
+
+    const sum = sites.reduce((total, site) => total + skinfolds[site], 0);
+    let bodyDensity;
+    if (method === 'jackson_pollock_3') {
+        bodyDensity = sex === 'male'
+            ? 1.10938 - (0.0008267 * sum) + (0.0000016 * sum * sum) - (0.0002574 * age)
+            : 1.0994921 - (0.0009929 * sum) + (0.0000023 * sum * sum) - (0.0001392 * age);
+    } else {
+        bodyDensity = sex === 'male'
+            ? 1.112 - (0.00043499 * sum) + (0.00000055 * sum * sum) - (0.00028826 * age)
+            : 1.097 - (0.00046971 * sum) + (0.00000056 * sum * sum) - (0.00012828 * age);
+    }
+
+    return siriBodyFat(bodyDensity);
+};
+
+// Body fat estimation methods offered in the entry form
+export const BODY_FAT_METHODS = {
+    navy: 'US Navy (neck, waist, hips and height)',
+    deurenberg: 'Deurenberg (BMI and age)',
+    jackson_pollock_3: 'Jackson-Pollock 3-site skinfolds',
+    jackson_pollock_7: 'Jackson-Pollock 7-site skinfolds',
+};
+
+/**
+ * Estimates body fat percentage with one of the BODY_FAT_METHODS.
+ * @param {string} method - A key of BODY_FAT_METHODS.
+ * @param {Object} params - { sex, age, weight (kg), height (cm), circumferences ({ neck, waist, hips } in cm), skinfolds (mm) };
+ *   only the values the method needs have to be set.
+ * @returns {number} Estimated body fat percentage, or NaN if the method is unknown, inputs are invalid,
+ *   or the result falls outside 0-100%.
+ */
+export const estimateBodyFat = (method, { sex, age, weight, height, circumferences, skinfolds }) => {
+    let bodyFat = NaN;
+    if (method === 'navy') {
+        bodyFat = estimateBodyFatNavy({ sex, height, neck: circumferences?.neck, waist: circumferences?.waist, hips: circumferences?.hips });
+    } else if (method === 'deurenberg') {
+        bodyFat = estimateBodyFatDeurenberg({ sex, weight, height, age });
+    } else if (method === 'jackson_pollock_3' || method === 'jackson_pollock_7') {
+        bodyFat = estimateBodyFatJacksonPollock({ method, sex, age, skinfolds });
+    } else {
+        console.error('estimateBodyFat: Unknown method:', method);
+    }
+
+    return bodyFat > 0 && bodyFat < 100 ? bodyFat : NaN;
 };
 
 
@@ -135,26 +406,294 @@ export const calculateLinearRegression = (dataPoints) => {
     return trendLinePoints;
 };
 
+// --- Daily aggregation ---
+
+// Ways to reduce several weigh-ins on one day to a single daily value for trends and predictions
+export const DAILY_AGGREGATIONS = {
+    first: 'First weigh-in of the day',
+    min: 'Lowest weigh-in of the day',
+    mean: 'Average of the day',
+};
+
+export const DEFAULT_DAILY_AGGREGATION = 'first';
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Reduces entries to one per calendar day (local time), so several weigh-ins on a day do not distort trends.
+ * Each daily entry is dated at the start of its day and takes its other fields from the day's first weigh-in
+ * ('first', 'mean') or its lowest one ('min'). With 'mean', weightKg and bodyFat are averaged over the day.
+ * Daily entries carry weightKg but no display weight, and readingCount (the number of weigh-ins that day).
+ * @param {Array<Object>} entries - Entries with date (Date), weightKg and bodyFat.
+ * @param {string} [method='first'] - A key of DAILY_AGGREGATIONS; unknown methods fall back to 'first'.
+ * @returns {Array<Object>} One entry per day, ordered by date ascending. Entries without a valid date are left out.
+ */
+export const aggregateDailyEntries = (entries, method = DEFAULT_DAILY_AGGREGATION) => {
+    const entriesByDay = new Map();
+    const datedEntries = entries
+        .filter(entry => entry.date instanceof Date && !isNaN(entry.date.getTime()))
+        .sort((a, b) => a.date.getTime() - b.date.getTime());
+
+    for (const entry of datedEntries) {
+        const dayStart = startOfDay(entry.date).getTime();
+        if (!entriesByDay.has(dayStart)) {
+            entriesByDay.set(dayStart, []);
+        }
+        entriesByDay.get(dayStart).push(entry);
+    }
+
+    return [...entriesByDay.entries()].map(([dayStart, dayEntries]) => {
+        const representative = method === 'min'
+            ? dayEntries.reduce((lowest, entry) => (entry.weightKg < lowest.weightKg ? entry : lowest))
+            : dayEntries[0];
+        const { weight: _weight, ...dailyEntry } = representative;
+
+        if (method === 'mean') {
+            const bodyFats = dayEntries.map(entry => entry.bodyFat).filter(bodyFat => typeof bodyFat === 'number' && !isNaN(bodyFat));
+            dailyEntry.weightKg = average(dayEntries.map(entry => entry.weightKg));
+            dailyEntry.bodyFat = bodyFats.length > 0 ? average(bodyFats) : representative.bodyFat;
+        }
+
+        return { ...dailyEntry, date: new Date(dayStart), readingCount: dayEntries.length };
+    });
+};
+
+// --- Trend weight ---
+
+// Smoothing factor of the exponentially weighted moving average (Hacker's Diet style): the share of each
+// new day's reading that goes into the trend; smaller is smoother but slower to follow real changes
+export const DEFAULT_TREND_SMOOTHING = 0.1;
+export const MIN_TREND_SMOOTHING = 0.01;
+export const MAX_TREND_SMOOTHING = 1;
+
+// Days back the trend's rate of change is measured over
+export const DEFAULT_TREND_RATE_DAYS = 14;
+
+const isValidNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Smooths daily weights, and fat and lean mass where body fat was measured, with an exponentially weighted
+ * moving average. After a gap of d days a reading counts as much as d days of readings would have,
+ * i.e. with weight 1 - (1 - smoothing)^d, so missed weigh-ins neither freeze nor jolt the trend.
+ * Fat and lean mass are smoothed separately, over the days with body fat only.
+ * @param {Array<Object>} dailyEntries - One entry per day with date, weightKg and bodyFat, oldest first (see aggregateDailyEntries).
+ * @param {number} [smoothing=0.1] - Smoothing factor, from MIN_TREND_SMOOTHING to MAX_TREND_SMOOTHING (1 follows the readings exactly).
+ * @returns {Array<Object>} The entries with trendWeightKg, and trendFatMassKg and trendLeanMassKg (NaN until body fat is measured).
+ */
+export const calculateTrend = (dailyEntries, smoothing = DEFAULT_TREND_SMOOTHING) => {
+    const alpha = isValidNumber(smoothing) ? Math.min(MAX_TREND_SMOOTHING, Math.max(MIN_TREND_SMOOTHING, smoothing)) : DEFAULT_TREND_SMOOTHING;
+    const smoothers = {};
+
+    // Moves the named trend towards a reading taken on the given date
+    const smooth = (name, value, date) => {
+        const previous = smoothers[name];
+        if (!previous) {
+            smoothers[name] = { value, date };
+            return value;
+        }
+        const days = Math.max(1, differenceInCalendarDays(date, previous.date));
+        const weight = 1 - (1 - alpha) ** days;
+        smoothers[name] = { value: previous.value + weight * (value - previous.value), date };
+        return smoothers[name].value;
+    };
+
+    return dailyEntries.map((entry) => {
+        const trendWeightKg = isValidNumber(entry.weightKg) ? smooth('weight', entry.weightKg, entry.date) : smoothers.weight?.value ?? NaN;
+        let trendFatMassKg = smoothers.fat?.value ?? NaN;
+        let trendLeanMassKg = smoothers.lean?.value ?? NaN;
+        if (isValidNumber(entry.weightKg) && isValidNumber(entry.bodyFat)) {
+            const fatMassKg = entry.weightKg * (entry.bodyFat / 100);
+            trendFatMassKg = smooth('fat', fatMassKg, entry.date);
+            trendLeanMassKg = smooth('lean', entry.weightKg - fatMassKg, entry.date);
+        }
+        return { ...entry, trendWeightKg, trendFatMassKg, trendLeanMassKg };
+    });
+};
+
+/**
+ * Measures how fast the trend weight, fat mass and lean mass are changing, from the trend a given number
+ * of days before the latest day (or its first value, if the history is shorter) to the latest day.
+ * @param {Array<Object>} trendEntries - Entries from calculateTrend, oldest first.
+ * @param {number} [days=14] - How far back to measure from.
+ * @returns {Object} { weightKgPerWeek, fatMassKgPerWeek, leanMassKgPerWeek, fromDate, toDate }; a rate is NaN
+ *   when there is not enough data for it. fromDate is where the weight rate is measured from.
+ */
+export const calculateTrendRates = (trendEntries, days = DEFAULT_TREND_RATE_DAYS) => {
+    const latest = trendEntries[trendEntries.length - 1];
+    const since = latest ? addDays(latest.date, -days) : null;
+
+    const rateOf = (key) => {
+        const valued = trendEntries.filter(entry => isValidNumber(entry[key]));
+        if (valued.length < 2) {
+            return { rate: NaN, fromDate: null };
+        }
+        const end = valued[valued.length - 1];
+        const start = valued.filter(entry => entry.date <= since).pop() ?? valued[0];
+        const elapsedDays = differenceInCalendarDays(end.date, start.date);
+        return elapsedDays > 0 ? { rate: (end[key] - start[key]) / elapsedDays * 7, fromDate: start.date } : { rate: NaN, fromDate: null };
+    };
+
+    const weightRate = rateOf('trendWeightKg');
+    return {
+        weightKgPerWeek: weightRate.rate,
+        fatMassKgPerWeek: rateOf('trendFatMassKg').rate,
+        leanMassKgPerWeek: rateOf('trendLeanMassKg').rate,
+        fromDate: weightRate.fromDate,
+        toDate: latest?.date ?? null,
+    };
+};
+
+// --- Adaptive TDEE ---
+
+// Energy stored or released per kg of body weight change: the 3500 kcal/lb rule, about 7700 kcal/kg
+// Shared by the adaptive TDEE, the linear difference prediction and the target intake, so they agree on a weight change
+export const KCAL_PER_KG = 3500 / KG_PER_LB;
+
+export const DEFAULT_ADAPTIVE_TDEE_WINDOW_DAYS = 28;
+
+// Where the maintenance calories for the target intake and prediction come from
+export const TDEE_SOURCES = {
+    formula: 'Formula (BMR × activity level)',
+    adaptive: 'Adaptive (from logged intake and weight trend)',
+};
+
+// Least fraction of the window with logged intake, and least weigh-ins, for an estimate at all
+const MIN_INTAKE_COVERAGE = 0.5;
+const MIN_WEIGH_INS = 4;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Least-squares line through { x, y } points, with the standard error of its slope (NaN with fewer than 3 points)
+const fitLine = (points) => {
+    const n = points.length;
+    const meanX = average(points.map(point => point.x));
+    const meanY = average(points.map(point => point.y));
+    const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    if (n < 2 || sxx === 0) {
+        return null;
+    }
+    const slope = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / sxx;
+    const intercept = meanY - slope * meanX;
+    const residualSumOfSquares = points.reduce((sum, point) => sum + (point.y - (intercept + slope * point.x)) ** 2, 0);
+    const slopeStdError = n > 2 ? Math.sqrt(residualSumOfSquares / (n - 2) / sxx) : NaN;
+    return { slope, intercept, slopeStdError };
+};
+
+/**
+ * Back-calculates the user's real maintenance calories (TDEE) from logged intake and the weight trend:
+ * over a rolling window, TDEE = average daily intake - daily trend weight change × KCAL_PER_KG.
+ * The daily change is the slope of a least-squares line through the smoothed trend weight (see calculateTrend)
+ * on the window's weigh-in days, so day-to-day water swings do not move it. Its standard error comes from the
+ * raw weights, since the smoothed values follow each other too closely to show how noisy the weigh-ins are.
+ * Days without logged intake are left out of the average rather than counted as zero.
+ * @param {Object} params
+ * @param {Array<Object>} params.dailyEntries - One entry per day with date and weightKg (see aggregateDailyEntries).
+ * @param {Array<Object>} params.intakeEntries - Daily intake records with date and caloriesKcal.
+ * @param {Array<Object>} [params.trendEntries] - calculateTrend's output for dailyEntries; computed with the default smoothing if omitted.
+ * @param {number} [params.windowDays=28] - Length of the window, ending on the latest day with intake or a weigh-in.
+ * @returns {Object} { tdee, uncertainty, confidence, windowStart, windowEnd, windowDays, intakeDays, weighInDays,
+ *   averageIntake, weightChangeKgPerWeek, reason }. tdee is NaN, and reason says why, when there is too little data.
+ *   uncertainty is one standard error in kcal/day; confidence is 'high', 'medium' or 'low'.
+ */
+export const estimateAdaptiveTdee = ({ dailyEntries, intakeEntries, trendEntries = calculateTrend(dailyEntries), windowDays = DEFAULT_ADAPTIVE_TDEE_WINDOW_DAYS }) => {
+    const lastDates = [...dailyEntries, ...intakeEntries]
+        .map(record => record.date)
+        .filter(date => date instanceof Date && !isNaN(date.getTime()));
+    const result = {
+        tdee: NaN,
+        uncertainty: NaN,
+        confidence: 'low',
+        windowStart: null,
+        windowEnd: null,
+        windowDays,
+        intakeDays: 0,
+        weighInDays: 0,
+        averageIntake: NaN,
+        weightChangeKgPerWeek: NaN,
+        reason: '',
+    };
+    if (lastDates.length === 0 || !(windowDays >= 7)) {
+        return { ...result, reason: 'Log weigh-ins and intake to estimate your maintenance calories.' };
+    }
+
+    const windowEnd = startOfDay(new Date(Math.max(...lastDates.map(date => date.getTime()))));
+    const windowStart = addDays(windowEnd, -(windowDays - 1));
+    const isInWindow = (record) => record.date instanceof Date && record.date >= windowStart && record.date < addDays(windowEnd, 1);
+
+    const intakes = intakeEntries.filter(intake => isInWindow(intake) && typeof intake.caloriesKcal === 'number' && !isNaN(intake.caloriesKcal));
+    const weighIns = dailyEntries.filter(entry => isInWindow(entry) && typeof entry.weightKg === 'number' && !isNaN(entry.weightKg));
+    const windowResult = { ...result, windowStart, windowEnd, intakeDays: intakes.length, weighInDays: weighIns.length };
+
+    if (intakes.length < windowDays * MIN_INTAKE_COVERAGE) {
+        return { ...windowResult, reason: `Log intake on at least ${Math.ceil(windowDays * MIN_INTAKE_COVERAGE)} of the last ${windowDays} days.` };
+    }
+    // The trend carries over from before the window, so it is already settled at the window's start
+    const trendPoints = trendEntries
+        .filter(entry => isInWindow(entry) && isValidNumber(entry.weightKg) && isValidNumber(entry.trendWeightKg))
+        .map(entry => ({ x: differenceInCalendarDays(entry.date, windowStart), y: entry.trendWeightKg }));
+    const line = weighIns.length >= MIN_WEIGH_INS ? fitLine(trendPoints) : null;
+    const rawLine = line ? fitLine(weighIns.map(entry => ({ x: differenceInCalendarDays(entry.date, windowStart), y: entry.weightKg }))) : null;
+    if (!line || !rawLine) {
+        return { ...windowResult, reason: `Weigh in on at least ${MIN_WEIGH_INS} different days in the last ${windowDays} days.` };
+    }
+
+    const intakeValues = intakes.map(intake => intake.caloriesKcal);
+    const averageIntake = average(intakeValues);
+    const tdee = averageIntake - line.slope * KCAL_PER_KG;
+
+    // Standard error from the weight trend's slope and from the spread of daily intake
+    const intakeVariance = intakes.length > 1
+        ? intakeValues.reduce((sum, value) => sum + (value - averageIntake) ** 2, 0) / (intakes.length - 1)
+        : 0;
+    const slopeError = isNaN(rawLine.slopeStdError) ? 0 : rawLine.slopeStdError * KCAL_PER_KG;
+    const uncertainty = Math.sqrt(slopeError ** 2 + intakeVariance / intakes.length);
+
+    const coverage = intakes.length / windowDays;
+    let confidence = 'low';
+    if (uncertainty < 150 && coverage >= 0.8) {
+        confidence = 'high';
+    } else if (uncertainty < 300) {
+        confidence = 'medium';
+    }
+
+    return {
+        ...windowResult,
+        tdee,
+        uncertainty,
+        confidence,
+        averageIntake,
+        weightChangeKgPerWeek: line.slope * 7,
+    };
+};
+
 // Function to predict weight using a first-order linear difference equation
 // based on the provided formula: W(t+1) = r*W(t) + b
 // W(t) is weight in kg on day t
-// r = 1 - m * (10 * 0.453592) / 3500
-// b = (I - m * c) / 3500
-// m is activity factor (from activityMultipliers)
-// I is fixed daily intake (approx 0.8 * TDEE_0, where TDEE_0 is TDEE at initial weight)
-// c = 6.25 * H_cm - 5 * A + 5 (non-weight part of Mifflin-St Jeor)
-export const predictWeightLinearDifference = ({ lastEntry, targetCaloricIntake, userProfile, predictionDays }) => {
-    console.log('predictWeightLinearDifference: Inputs:', { lastEntry, targetCaloricIntake, userProfile, predictionDays });
-
-    if (!lastEntry || typeof lastEntry.weight !== 'number' || isNaN(lastEntry.weight) || !lastEntry.date || !(lastEntry.date instanceof Date) || isNaN(lastEntry.date.getTime())) {
+// r = 1 - m * a / KCAL_PER_KG
+// b = (I - m * c) / KCAL_PER_KG
+// i.e. each day's surplus or deficit, I - m * BMR(W), changes the weight at KCAL_PER_KG (the 3500 kcal/lb rule)
+// m is activity factor on day t (the level in effect that day, see getActivityMultiplierOnDate)
+// I is daily intake on day t (approx 0.8 * TDEE_0, where TDEE_0 is TDEE at initial weight); targetCaloricIntake
+// is either a fixed number or a function of the date, for intake that follows activity changes
+// a and c are the weight coefficient and constant of the profile's BMR equation (see getBmrCoefficients),
+// e.g. a = 10 and c = 6.25 * H_cm - 5 * A + 5 for Mifflin-St Jeor
+// Uses lastEntry.weightKg and returns predicted weights (y) in kg
+// tdeeScale scales the modelled expenditure (m), e.g. adaptive TDEE / formula TDEE, so the model starts from a measured maintenance
+// quiet skips the progress logging, for callers that run the model many times (simulations, solvers)
+export const predictWeightLinearDifference = ({ lastEntry, targetCaloricIntake, userProfile, predictionDays, tdeeScale = 1, quiet = false }) => {
+    if (!quiet) {
+        console.log('predictWeightLinearDifference: Inputs:', { lastEntry, targetCaloricIntake, userProfile, predictionDays, tdeeScale });
+    }
+
+    if (!lastEntry || typeof lastEntry.weightKg !== 'number' || isNaN(lastEntry.weightKg) || !lastEntry.date || !(lastEntry.date instanceof Date) || isNaN(lastEntry.date.getTime())) {
         console.error("predictWeightLinearDifference: Invalid last entry data.");
         return [];
     }
-    if (!userProfile || typeof userProfile.sex !== 'string' || !userProfile.dateOfBirth || !(userProfile.dateOfBirth instanceof Date) || isNaN(userProfile.dateOfBirth.getTime()) || typeof userProfile.height !== 'number' || isNaN(userProfile.height) || userProfile.height <= 0 || typeof userProfile.activityLevel !== 'string') {
+    if (!userProfile || typeof userProfile.sex !== 'string' || !userProfile.dateOfBirth || !(userProfile.dateOfBirth instanceof Date) || isNaN(userProfile.dateOfBirth.getTime()) || typeof userProfile.heightCm !== 'number' || isNaN(userProfile.heightCm) || userProfile.heightCm <= 0 || typeof userProfile.activityLevel !== 'string') {
          console.error("predictWeightLinearDifference: Invalid user profile data.");
          return [];
     }
-     if (typeof targetCaloricIntake !== 'number' || isNaN(targetCaloricIntake) || targetCaloricIntake < 0) {
+     if (typeof targetCaloricIntake !== 'function' && (typeof targetCaloricIntake !== 'number' || isNaN(targetCaloricIntake) || targetCaloricIntake < 0)) {
          console.warn("predictWeightLinearDifference: Invalid target caloric intake. Prediction may be inaccurate or empty.");
          // We might still attempt prediction if other data is valid, but log a warning
      }
@@ -163,44 +702,31 @@ export const predictWeightLinearDifference = ({ lastEntry, targetCaloricIntake,
         return [];
     }
 
-    // Convert last entry weight to kg if necessary
-    let W0_kg = lastEntry.weight;
-    if (lastEntry.weightUnit === 'lbs') {
-        W0_kg = lastEntry.weight * 0.453592;
-    }
+    const W0_kg = lastEntry.weightKg;
 
     const age = calculateAge(userProfile.dateOfBirth);
-    const heightInCm = userProfile.height * 2.54;
-    const activityFactor = activityMultipliers[userProfile.activityLevel];
-
-    // Calculate the constant 'c' (non-weight part of Mifflin-St Jeor)
-    let c = (6.25 * heightInCm) - (5 * age);
-    if (userProfile.sex === 'male') {
-        c += 5;
-    } else if (userProfile.sex === 'female') {
-        c -= 161;
-    } else {
-        console.error("predictWeightLinearDifference: Cannot calculate constant 'c' due to invalid sex.");
+    const heightInCm = userProfile.heightCm;
+    const expenditureScale = tdeeScale > 0 ? tdeeScale : 1;
+    const intakeOnDate = typeof targetCaloricIntake === 'function' ? targetCaloricIntake : () => targetCaloricIntake;
+
+    // Calculate 'a' and 'c' (weight coefficient and non-weight part of the BMR equation)
+    const bmrCoefficients = getBmrCoefficients({
+        sex: userProfile.sex,
+        height: heightInCm,
+        age: age,
+        bodyFat: lastEntry.bodyFat,
+        equation: userProfile.bmrEquation ?? DEFAULT_BMR_EQUATION,
+    });
+    if (!bmrCoefficients) {
+        console.error("predictWeightLinearDifference: Cannot calculate BMR coefficients for the profile's equation.");
         return [];
     }
+    const a = bmrCoefficients.weightCoefficient;
+    const c = bmrCoefficients.constant;
 
-    // Calculate the constant 'r'
-    // r = 1 - m * (10 * 0.453592) / 3500
-    const r = 1 - (activityFactor * (10 * 0.453592) / 3500);
-
-    // Calculate the constant 'b'
-    // b = (I - m * c) / 3500
-    const I = targetCaloricIntake;  // Use the calculated target caloric intake
-    const b = (I - (activityFactor * c)) / 3500;
-
-    console.log('predictWeightLinearDifference: Calculated constants:', { r, b, c, I, activityFactor, W0_kg });
-
-    // Calculate the equilibrium weight W_infinity = b / (1 - r)
-    let W_infinity_kg = NaN;
-    if (1 - r !== 0) {
-        W_infinity_kg = b / (1 - r);
+    if (!quiet) {
+        console.log('predictWeightLinearDifference: Calculated constants:', { a, c, expenditureScale, W0_kg });
     }
-    console.log('predictWeightLinearDifference: Calculated equilibrium weight (kg):', W_infinity_kg);
 
     // Calculate the last recorded lean body mass in kg
     const lastWeightKg = W0_kg; // Last weight in kg
@@ -208,16 +734,19 @@ export const predictWeightLinearDifference = ({ lastEntry, targetCaloricIntake,
     const lastFatMassKg = lastWeightKg * (lastBodyFatPercentage / 100);
     const lastLeanBodyMassKg = lastWeightKg - lastFatMassKg;
 
-    console.log('predictWeightLinearDifference: Last Lean Body Mass (kg):', lastLeanBodyMassKg);
+    if (!quiet) {
+        console.log('predictWeightLinearDifference: Last Lean Body Mass (kg):', lastLeanBodyMassKg);
+    }
     
-    // Calculate prediction points using the explicit solution: W(t) = W_infinity + (W0 - W_infinity) * r^t
+    // Calculate prediction points by stepping the recurrence one day at a time, since m and I can change from day to day
     // t represents the number of days *after* the last entry date
     const predictionPoints = [];
+    let Wt_kg = W0_kg;
     const lastEntryTimestamp = lastEntry.date.getTime();
 
     predictionPoints.push({
         x: lastEntryTimestamp,
-        y: lastEntry.weight,
+        y: W0_kg,
         bodyFat: lastEntry.bodyFat
     });
 
@@ -225,17 +754,12 @@ export const predictWeightLinearDifference = ({ lastEntry, targetCaloricIntake,
         const futureDate = addDays(lastEntry.date, t);
         const futureTimestamp = futureDate.getTime();
 
-        // Calculate the predicted weight in kg for day t
-        let Wt_kg;
-        if (!isNaN(W_infinity_kg)) {
-            Wt_kg = W_infinity_kg + (W0_kg - W_infinity_kg) * Math.pow(r, t);
-        }
-
-        // Convert the predicted weight back to the last entry's original unit for consistency with other chart data
-        let Wt_display = Wt_kg;
-        if (lastEntry.weightUnit === 'lbs') {
-            Wt_display = Wt_kg * 2.20462;
-        }
+        // Calculate the predicted weight in kg for day t from day t - 1, with that day's activity factor and intake
+        const previousDate = addDays(lastEntry.date, t - 1);
+        const activityFactor = getActivityMultiplierOnDate(userProfile, previousDate) * expenditureScale;
+        const r = 1 - (activityFactor * a / KCAL_PER_KG);
+        const b = (intakeOnDate(previousDate) - (activityFactor * c)) / KCAL_PER_KG;
+        Wt_kg = r * Wt_kg + b;
 
         // Simple linear interpolation for body fat percentage change over time
         // This is a simplification; a more complex model would be needed for accurate BF% prediction
@@ -256,19 +780,170 @@ export const predictWeightLinearDifference = ({ lastEntry, targetCaloricIntake,
             predictedBodyFat = Math.max(5, Math.min(40, predictedBodyFat));
         }
 
-        if (!isNaN(Wt_display)) {
+        if (!isNaN(Wt_kg)) {
             predictionPoints.push({
                 x: futureTimestamp,
-                y: Wt_display,
+                y: Wt_kg,
                 bodyFat: predictedBodyFat
             });
         }
     }
 
-    console.log('predictWeightLinearDifference: Generated predictionPoints:', predictionPoints);
+    if (!quiet) {
+        console.log('predictWeightLinearDifference: Generated predictionPoints:', predictionPoints);
+    }
     return predictionPoints;
 }
 
+// --- Hall dynamic energy-balance model ---
+
+// Models the prediction can use
+export const PREDICTION_MODELS = {
+    linear_difference: 'Linear difference (3500 kcal/lb)',
+    hall: 'Hall dynamic model (NIH)',
+};
+
+export const DEFAULT_PREDICTION_MODEL = 'linear_difference';
+
+// Parameters of the Hall/NIH model (Hall et al., Lancet 2011), in kcal, kg and days
+const HALL_PARAMS = {
+    fatEnergyDensity: 9440,     // rho_F, kcal per kg of fat mass
+    leanEnergyDensity: 1816,    // rho_L, kcal per kg of lean mass
+    fatMaintenanceCost: 3.2,    // gamma_F, kcal/kg/day to maintain fat mass
+    leanMaintenanceCost: 22,    // gamma_L, kcal/kg/day to maintain lean mass
+    fatDepositionCost: 180,     // eta_F, kcal to deposit 1 kg of fat
+    leanDepositionCost: 230,    // eta_L, kcal to deposit 1 kg of lean mass
+    thermicEffectOfFood: 0.1,   // beta_TEF, share of intake spent digesting it
+    adaptiveThermogenesis: 0.14,    // beta_AT, share of an intake change offset by adaptation
+    adaptationDays: 14,         // tau_AT, time constant of adaptive thermogenesis
+    forbesConstant: 10.4,       // Forbes' C in kg: dL/dF = C / F
+};
+
+/**
+ * Estimates body fat from BMI, age and sex (Deurenberg et al., 1991), for when none has been measured.
+ * @param {Object} params
+ * @param {string} params.sex - 'male' or 'female'.
+ * @param {number} params.weight - Weight in kg.
+ * @param {number} params.height - Height in cm.
+ * @param {number} params.age - Age in years.
+ * @returns {number} Body fat percentage.
+ */
+const estimateBodyFatFromBmi = ({ sex, weight, height, age }) => {
+    const bmi = weight / (height / 100) ** 2;
+    return 1.2 * bmi + 0.23 * age - 10.8 * (sex === 'male' ? 1 : 0) - 5.4;
+};
+
+/**
+ * Predicts weight and body fat with the Hall/NIH dynamic energy-balance model, a two-compartment
+ * (fat and lean mass) model stepped one day at a time:
+ * - An energy imbalance is split between fat and lean mass with the Forbes relationship, so a lean person
+ *   loses relatively more lean mass, and each kg of fat or lean mass carries its own energy (rho_F, rho_L).
+ * - Expenditure falls as fat and lean mass are lost, and adaptive thermogenesis offsets part of an intake
+ *   change over a couple of weeks, so large deficits lose weight more and more slowly.
+ * Expenditure at the start equals the maintenance the linear model uses (the BMR equation × the activity level
+ * on the day, × tdeeScale); activity changes alter the physical activity term from the day they start.
+ * Takes the same inputs and returns the same points as predictWeightLinearDifference.
+ * @param {Object} params
+ * @param {Object} params.lastEntry - { date, weightKg, bodyFat }; body fat is estimated from BMI if missing.
+ * @param {number|Function} params.targetCaloricIntake - Daily intake in kcal, or a function of the date returning it.
+ * @param {Object} params.userProfile - The profile (sex, dateOfBirth, heightCm, activity level and history, bmrEquation).
+ * @param {number} params.predictionDays - Days to predict after the last entry.
+ * @param {number} [params.tdeeScale=1] - Scales the modelled maintenance, e.g. adaptive TDEE / formula TDEE.
+ * @param {boolean} [params.quiet=false] - Skips the progress logging, for callers that run the model many times.
+ * @returns {Array<Object>} [{ x: timestamp, y: weight in kg, bodyFat }], starting with the last entry; empty if inputs are invalid.
+ */
+export const predictWeightHall = ({ lastEntry, targetCaloricIntake, userProfile, predictionDays, tdeeScale = 1, quiet = false }) => {
+    if (!lastEntry || typeof lastEntry.weightKg !== 'number' || isNaN(lastEntry.weightKg) || lastEntry.weightKg <= 0 || !(lastEntry.date instanceof Date) || isNaN(lastEntry.date.getTime())) {
+        console.error("predictWeightHall: Invalid last entry data.");
+        return [];
+    }
+    if (!userProfile || typeof userProfile.sex !== 'string' || !(userProfile.dateOfBirth instanceof Date) || isNaN(userProfile.dateOfBirth.getTime()) || typeof userProfile.heightCm !== 'number' || isNaN(userProfile.heightCm) || userProfile.heightCm <= 0) {
+        console.error("predictWeightHall: Invalid user profile data.");
+        return [];
+    }
+    if (typeof predictionDays !== 'number' || isNaN(predictionDays) || predictionDays <= 0) {
+        console.warn("predictWeightHall: Invalid prediction days. Returning empty prediction.");
+        return [];
+    }
+
+    const age = calculateAge(userProfile.dateOfBirth);
+    const weightKg = lastEntry.weightKg;
+    const bodyFat = typeof lastEntry.bodyFat === 'number' && !isNaN(lastEntry.bodyFat)
+        ? lastEntry.bodyFat
+        : estimateBodyFatFromBmi({ sex: userProfile.sex, weight: weightKg, height: userProfile.heightCm, age });
+    const bmrCoefficients = getBmrCoefficients({
+        sex: userProfile.sex,
+        height: userProfile.heightCm,
+        age,
+        bodyFat,
+        equation: userProfile.bmrEquation ?? DEFAULT_BMR_EQUATION,
+    });
+    if (!bmrCoefficients || isNaN(bodyFat) || bodyFat <= 0 || bodyFat >= 100) {
+        console.error("predictWeightHall: Cannot calculate the starting body composition or BMR.");
+        return [];
+    }
+
+    const {
+        fatEnergyDensity, leanEnergyDensity, fatMaintenanceCost, leanMaintenanceCost, fatDepositionCost, leanDepositionCost,
+        thermicEffectOfFood, adaptiveThermogenesis, adaptationDays, forbesConstant,
+    } = HALL_PARAMS;
+    const expenditureScale = tdeeScale > 0 ? tdeeScale : 1;
+    const intakeOnDate = typeof targetCaloricIntake === 'function' ? targetCaloricIntake : () => targetCaloricIntake;
+    const palOnDate = (date) => getActivityMultiplierOnDate(userProfile, date) * expenditureScale;
+
+    // Starting state, assumed to be in energy balance at maintenance
+    let fatKg = weightKg * (bodyFat / 100);
+    let leanKg = weightKg - fatKg;
+    const restingKcal = bmrCoefficients.weightCoefficient * weightKg + bmrCoefficients.constant;
+    const baselineIntake = palOnDate(lastEntry.date) * restingKcal;
+    // K makes the resting part of expenditure match the BMR equation at the start
+    const restingConstant = restingKcal - fatMaintenanceCost * fatKg - leanMaintenanceCost * leanKg;
+    let adaptationKcal = 0;
+
+    if (!quiet) {
+        console.log('predictWeightHall: Starting state:', { fatKg, leanKg, restingKcal, baselineIntake });
+    }
+
+    const predictionPoints = [{ x: lastEntry.date.getTime(), y: weightKg, bodyFat }];
+    for (let t = 1; t <= predictionDays; t++) {
+        const previousDate = addDays(lastEntry.date, t - 1);
+        const intake = intakeOnDate(previousDate);
+        const bodyWeightKg = fatKg + leanKg;
+
+        // Physical activity expenditure per kg of body weight, from the PAL in effect: delta = ((1 - beta_TEF) * PAL - 1) * RMR_0 / BW_0
+        const activityPerKg = ((1 - thermicEffectOfFood) * palOnDate(previousDate) - 1) * restingKcal / weightKg;
+
+        // Share of the energy imbalance that goes to lean mass (Forbes)
+        const forbes = forbesConstant * leanEnergyDensity / fatEnergyDensity;
+        const leanShare = forbes / (forbes + fatKg);
+
+        // Expenditure without the cost of depositing tissue, then with it, solved for the imbalance it depends on
+        const baseExpenditure = restingConstant + fatMaintenanceCost * fatKg + leanMaintenanceCost * leanKg
+            + activityPerKg * bodyWeightKg + thermicEffectOfFood * intake + adaptationKcal;
+        const depositionFactor = fatDepositionCost * (1 - leanShare) / fatEnergyDensity + leanDepositionCost * leanShare / leanEnergyDensity;
+        const expenditure = (baseExpenditure + depositionFactor * intake) / (1 + depositionFactor);
+        const imbalance = intake - expenditure;
+
+        fatKg += (1 - leanShare) * imbalance / fatEnergyDensity;
+        leanKg += leanShare * imbalance / leanEnergyDensity;
+        adaptationKcal += (adaptiveThermogenesis * (intake - baselineIntake) - adaptationKcal) / adaptationDays;
+
+        if (isNaN(fatKg) || isNaN(leanKg) || fatKg <= 0) {
+            break;
+        }
+        predictionPoints.push({
+            x: addDays(lastEntry.date, t).getTime(),
+            y: fatKg + leanKg,
+            bodyFat: fatKg / (fatKg + leanKg) * 100,
+        });
+    }
+
+    if (!quiet) {
+        console.log('predictWeightHall: Generated predictionPoints:', predictionPoints.length);
+    }
+    return predictionPoints;
+};
+
 // Placeholder for predictWeightCalorieModel (will be replaced by linear difference model)
 // Keeping it here for now to avoid breaking the BodyMetricsDashboard component before the update
 export const predictWeightCalorieModel = ({ lastEntry, targetCaloricIntake, userProfile, predictionDays = 90 }) => {
@@ -0,0 +1,78 @@
+// src/utils/circumferences.js
+// Tape-measure circumferences logged with an entry.
+// Entries store them in centimetres as circumferencesCm: { [site]: number }, holding only the sites that were measured.
+
+import { parseLength, formatLength, formatLengthInput } from './units.js';
+
+// Body sites that can be measured, in display order
+export const CIRCUMFERENCE_SITES = [
+    { key: 'neck', label: 'Neck' },
+    { key: 'chest', label: 'Chest' },
+    { key: 'waist', label: 'Waist' },
+    { key: 'hips', label: 'Hips' },
+    { key: 'thigh', label: 'Thigh' },
+    { key: 'arm', label: 'Arm' },
+    { key: 'calf', label: 'Calf' },
+];
+
+/**
+ * Keeps only known sites with a positive measurement, dropping anything else.
+ * @param {Object} [circumferencesCm] - Measurements in centimetres keyed by site.
+ * @returns {Object} The valid measurements, possibly empty.
+ */
+export const cleanCircumferences = (circumferencesCm) => {
+    const cleaned = {};
+    for (const { key } of CIRCUMFERENCE_SITES) {
+        const value = circumferencesCm?.[key];
+        if (typeof value === 'number' && isFinite(value) && value > 0) {
+            cleaned[key] = value;
+        }
+    }
+    return cleaned;
+};
+
+/**
+ * Parses measurements typed by the user (or read from a CSV) in the given length unit.
+ * Blank sites are left out; sites that are not a positive length are reported as invalid.
+ * @param {Object} inputs - Raw values keyed by site.
+ * @param {string} unit - 'cm' or 'in'.
+ * @returns {Object} { circumferencesCm, invalidSites } where invalidSites lists the labels of unparseable sites.
+ */
+export const parseCircumferences = (inputs, unit) => {
+    const circumferencesCm = {};
+    const invalidSites = [];
+    for (const { key, label } of CIRCUMFERENCE_SITES) {
+        const text = String(inputs?.[key] ?? '').trim();
+        if (text === '') {
+            continue;
+        }
+        const cm = parseLength(text, unit);
+        if (isNaN(cm) || cm <= 0) {
+            invalidSites.push(label);
+        } else {
+            circumferencesCm[key] = cm;
+        }
+    }
+    return { circumferencesCm, invalidSites };
+};
+
+/**
+ * Formats stored measurements as form input values in the given length unit.
+ * @param {Object} [circumferencesCm] - Measurements in centimetres keyed by site.
+ * @param {string} unit - 'cm' or 'in'.
+ * @returns {Object} Input values keyed by site, '' for sites that were not measured.
+ */
+export const formatCircumferenceInputs = (circumferencesCm, unit) => Object.fromEntries(
+    CIRCUMFERENCE_SITES.map(({ key }) => [key, formatLengthInput(circumferencesCm?.[key], unit)])
+);
+
+/**
+ * Summarizes the measured sites of an entry for display, e.g. "Waist 81.0 cm, Hips 96.5 cm".
+ * @param {Object} [circumferencesCm] - Measurements in centimetres keyed by site.
+ * @param {string} unit - 'cm' or 'in'.
+ * @returns {string} The summary, or '' if nothing was measured.
+ */
+export const formatCircumferences = (circumferencesCm, unit) => CIRCUMFERENCE_SITES
+    .filter(({ key }) => typeof circumferencesCm?.[key] === 'number')
+    .map(({ key, label }) => `${label} ${formatLength(circumferencesCm[key], unit)}`)
+    .join(', ');
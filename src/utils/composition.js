@@ -0,0 +1,153 @@
+// src/utils/composition.js
+// Optional body composition readings exported by smart scales, logged with an entry.
+// Entries store them as composition: { [field]: number }, holding only the fields that were recorded.
+// Masses are stored in kg and the scale's BMR in kcal, like the rest of the entry.
+
+import { parseMass, parseEnergy, fromKg, fromKcal, formatMass, formatEnergy, formatMassInput, MASS_UNITS, ENERGY_UNITS } from './units.js';
+
+/**
+ * Composition fields in display order.
+ * kind decides how a value is converted and shown: 'mass' (kg), 'percent', 'rating', 'energy' (kcal) or 'years'.
+ */
+export const COMPOSITION_FIELDS = [
+    { key: 'muscleMassKg', label: 'Skeletal Muscle Mass', kind: 'mass' },
+    { key: 'bodyWaterPercent', label: 'Body Water', kind: 'percent' },
+    { key: 'boneMassKg', label: 'Bone Mass', kind: 'mass' },
+    { key: 'visceralFatRating', label: 'Visceral Fat Rating', kind: 'rating' },
+    { key: 'scaleBmrKcal', label: 'BMR (scale)', kind: 'energy' },
+    { key: 'metabolicAge', label: 'Metabolic Age', kind: 'years' },
+];
+
+const isValidValue = (kind, value) =>
+    typeof value === 'number' && isFinite(value) && value > 0 && (kind !== 'percent' || value <= 100);
+
+/**
+ * Keeps only known fields with a valid value, dropping anything else.
+ * @param {Object} [composition] - Readings keyed by field, masses in kg and energy in kcal.
+ * @returns {Object} The valid readings, possibly empty.
+ */
+export const cleanComposition = (composition) => {
+    const cleaned = {};
+    for (const { key, kind } of COMPOSITION_FIELDS) {
+        if (isValidValue(kind, composition?.[key])) {
+            cleaned[key] = composition[key];
+        }
+    }
+    return cleaned;
+};
+
+/**
+ * The unit label a field is entered and shown in.
+ * @param {Object} field - One of COMPOSITION_FIELDS.
+ * @param {Object} units - { mass, energy } unit ids, e.g. the user's unit system.
+ * @returns {string} The label, e.g. 'kg', '%' or 'years'; '' for ratings.
+ */
+export const getCompositionUnitLabel = ({ kind }, units) => ({
+    mass: MASS_UNITS[units.mass],
+    percent: '%',
+    rating: '',
+    energy: ENERGY_UNITS[units.energy],
+    years: 'years',
+})[kind];
+
+/**
+ * Parses readings typed by the user (or read from a CSV).
+ * Blank fields are left out; fields that are not a valid value are reported as invalid.
+ * @param {Object} inputs - Raw values keyed by field.
+ * @param {Object} units - { mass, energy } unit ids the values are in.
+ * @returns {Object} { composition, invalidFields } where invalidFields lists the labels of unparseable fields.
+ */
+export const parseComposition = (inputs, units) => {
+    const composition = {};
+    const invalidFields = [];
+    for (const { key, label, kind } of COMPOSITION_FIELDS) {
+        const text = String(inputs?.[key] ?? '').trim();
+        if (text === '') {
+            continue;
+        }
+        let value = NaN;
+        if (kind === 'mass') {
+            value = parseMass(text, units.mass);
+        } else if (kind === 'energy') {
+            value = parseEnergy(text, units.energy);
+        } else {
+            value = parseFloat(text);
+        }
+        if (isValidValue(kind, value)) {
+            composition[key] = value;
+        } else {
+            invalidFields.push(label);
+        }
+    }
+    return { composition, invalidFields };
+};
+
+/**
+ * Converts a stored reading to the number shown for it, e.g. on a chart.
+ * @param {Object} field - One of COMPOSITION_FIELDS.
+ * @param {number} value - The stored value.
+ * @param {Object} units - { mass, energy } unit ids to convert to.
+ * @returns {number} The value in display units.
+ */
+export const toCompositionDisplayValue = ({ kind }, value, units) => {
+    if (kind === 'mass') {
+        return fromKg(value, units.mass);
+    }
+    if (kind === 'energy') {
+        return fromKcal(value, units.energy);
+    }
+    return value;
+};
+
+/**
+ * Formats a stored reading for display, e.g. "35.2 kg", "55.0 %", "9" or "1650 kcal".
+ * @param {Object} field - One of COMPOSITION_FIELDS.
+ * @param {number} value - The stored value.
+ * @param {Object} units - { mass, energy } unit ids to show the value in.
+ * @returns {string} The formatted value, or 'N/A' if value is not a number.
+ */
+export const formatCompositionValue = (field, value, units) => {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        return 'N/A';
+    }
+    if (field.kind === 'mass') {
+        return formatMass(value, units.mass);
+    }
+    if (field.kind === 'energy') {
+        return formatEnergy(value, units.energy);
+    }
+    if (field.kind === 'percent') {
+        return `${value.toFixed(1)} %`;
+    }
+    return field.kind === 'years' ? `${value} years` : String(value);
+};
+
+/**
+ * Formats stored readings as form input values.
+ * @param {Object} [composition] - Readings keyed by field.
+ * @param {Object} units - { mass, energy } unit ids to show the values in.
+ * @returns {Object} Input values keyed by field, '' for fields that were not recorded.
+ */
+export const formatCompositionInputs = (composition, units) => Object.fromEntries(
+    COMPOSITION_FIELDS.map((field) => {
+        const value = composition?.[field.key];
+        if (typeof value !== 'number') {
+            return [field.key, ''];
+        }
+        if (field.kind === 'mass') {
+            return [field.key, formatMassInput(value, units.mass)];
+        }
+        return [field.key, String(Number(toCompositionDisplayValue(field, value, units).toFixed(1)))];
+    })
+);
+
+/**
+ * Summarizes the recorded readings of an entry for display, e.g. "Skeletal Muscle Mass 35.2 kg, Body Water 55.0 %".
+ * @param {Object} [composition] - Readings keyed by field.
+ * @param {Object} units - { mass, energy } unit ids to show the values in.
+ * @returns {string} The summary, or '' if nothing was recorded.
+ */
+export const formatComposition = (composition, units) => COMPOSITION_FIELDS
+    .filter(({ key }) => typeof composition?.[key] === 'number')
+    .map(field => `${field.label} ${formatCompositionValue(field, composition[field.key], units)}`)
+    .join(', ');
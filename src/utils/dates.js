@@ -0,0 +1,80 @@
+// src/utils/dates.js
+// Helpers for entry timestamps. Entries carry the full date and time of the weigh-in, in local time.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Formats a date as the value of a datetime-local input (YYYY-MM-DDTHH:mm, local time).
+ * @param {Date} date - The date to format.
+ * @returns {string} The input value, or '' if date is not a valid Date.
+ */
+export const formatDateTimeInput = (date) => {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        return '';
+    }
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Formats the local calendar day of a date as YYYY-MM-DD, the value of a date input.
+ * Also used as the key of records kept once per day, such as intake.
+ * @param {Date} date - The date to format.
+ * @returns {string} The day, or '' if date is not a valid Date.
+ */
+export const formatDateKey = (date) => formatDateTimeInput(date).slice(0, 10);
+
+/**
+ * Parses the value of a datetime-local input (YYYY-MM-DDTHH:mm[:ss]) or a date input (YYYY-MM-DD, midnight) as local time.
+ * @param {string} value - The input value.
+ * @returns {Date} The parsed date, or an invalid Date if the value is malformed.
+ */
+export const parseDateTimeInput = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value ?? '');
+    if (!match) {
+        return new Date('Invalid Date');
+    }
+    const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part ?? 0));
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * Parses a time of day such as "07:30", "7:30:15" or "7:30 PM".
+ * @param {string} text - The time to parse.
+ * @returns {Object|null} { hours, minutes, seconds } on a 24-hour clock, or null if text is not a valid time.
+ */
+export const parseTimeOfDay = (text) => {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(String(text ?? '').trim());
+    if (!match) {
+        return null;
+    }
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const seconds = match[3] ? Number(match[3]) : 0;
+    const meridiem = match[4]?.toLowerCase();
+    if (meridiem) {
+        if (hours < 1 || hours > 12) {
+            return null;
+        }
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+        return null;
+    }
+    return { hours, minutes, seconds };
+};
+
+/**
+ * Formats an entry's timestamp for tables, e.g. "3/14/2025 07:30".
+ * Entries logged before times were recorded sit at midnight and are shown without a time.
+ * @param {Date} date - The entry's date.
+ * @returns {string} The formatted date and time, or 'Invalid Date'.
+ */
+export const formatEntryDateTime = (date) => {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        return 'Invalid Date';
+    }
+    if (date.getHours() === 0 && date.getMinutes() === 0) {
+        return date.toLocaleDateString();
+    }
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
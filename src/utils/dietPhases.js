@@ -0,0 +1,43 @@
+// src/utils/dietPhases.js
+// Diet periodization: a dated sequence of phases (a cut, a diet break, a bulk, ...), each with its own goal,
+// rate or fixed intake and, optionally, activity level. Outside every phase the profile's own goal applies.
+
+import { addDays } from 'date-fns';
+import { parseDateTimeInput } from './dates.js';
+
+// Goals a phase can have
+export const DIET_PHASE_GOALS = {
+    lose: 'Cut (lose weight)',
+    maintain: 'Maintenance / diet break',
+    gain: 'Bulk (gain weight)',
+};
+
+/**
+ * Reads the diet phases stored on a profile, which hold their first and last day as YYYY-MM-DD,
+ * and adds startDate (midnight of the first day) and endDate (midnight after the last day) for calculations.
+ * Phases with invalid days or an unknown goal are dropped.
+ * @param {Array<Object>} [phases] - Stored phases: { id, name, startDay, endDay, goalType, rateKg, intakeKcal, activityLevel, customMultiplier }.
+ * @returns {Array<Object>} The phases in date order.
+ */
+export const toDietPhases = (phases) => (Array.isArray(phases) ? phases : [])
+    .map(phase => ({ ...phase, startDate: parseDateTimeInput(phase.startDay), endDate: addDays(parseDateTimeInput(phase.endDay), 1) }))
+    .filter(phase => !isNaN(phase.startDate.getTime()) && !isNaN(phase.endDate.getTime()) && phase.startDate < phase.endDate && phase.goalType in DIET_PHASE_GOALS)
+    .sort((a, b) => a.startDate - b.startDate);
+
+/**
+ * Finds the diet phase a date falls in.
+ * @param {Array<Object>} [phases] - Phases from toDietPhases.
+ * @param {Date} date - The date to look up.
+ * @returns {Object|null} The phase, or null if the date is outside every phase.
+ */
+export const findDietPhase = (phases, date) => {
+    const time = date.getTime();
+    return (phases ?? []).find(phase => phase.startDate.getTime() <= time && time < phase.endDate.getTime()) ?? null;
+};
+
+/**
+ * Checks that no two phases overlap.
+ * @param {Array<Object>} phases - Phases with startDate and endDate, in date order.
+ * @returns {boolean} True if every phase ends before the next one starts.
+ */
+export const havePhasesNoOverlap = (phases) => phases.every((phase, index) => index === 0 || phases[index - 1].endDate <= phase.startDate);
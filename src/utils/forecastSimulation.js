@@ -0,0 +1,167 @@
+// src/utils/forecastSimulation.js
+// Monte Carlo forecasts: runs a prediction model many times with sampled errors in intake adherence,
+// maintenance (TDEE) and day-to-day weight fluctuation, and summarizes the spread of the outcomes.
+
+import { addDays, differenceInCalendarDays } from 'date-fns';
+
+// Trajectories simulated per forecast
+export const DEFAULT_SIMULATION_RUNS = 200;
+
+// Default sizes (one standard deviation) of the sampled errors
+export const DEFAULT_SIMULATION_UNCERTAINTY = {
+    adherenceBias: 0.1,         // Lasting over- or under-eating, as a share of the target intake
+    adherenceDaily: 0.15,       // Day-to-day variation of intake around that, as a share of the target intake
+    tdeeError: 0.1,             // Error of the maintenance estimate, as a share of it
+    dailyFluctuationKg: 0.5,    // Water and gut-content swings of the scale reading, in kg
+};
+
+// Percentiles the forecast fan is drawn between, and its middle
+export const LOWER_PERCENTILE = 10;
+export const UPPER_PERCENTILE = 90;
+
+// Fixed seed, so the fan does not jump around every time the dashboard re-renders
+const DEFAULT_SEED = 20240601;
+
+// Small seeded random number generator (mulberry32), returning numbers in [0, 1)
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Standard normal sample (Box-Muller)
+const createGaussian = (random) => () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Value below which the given percentage of the sorted values fall, interpolating between neighbours
+const percentile = (sortedValues, percent) => {
+    if (sortedValues.length === 0) {
+        return NaN;
+    }
+    const position = (sortedValues.length - 1) * (percent / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+};
+
+/**
+ * Finds the first point at which a trajectory crosses a threshold.
+ * @param {Array<Object>} points - Predicted points ({ x, y, bodyFat }), oldest first.
+ * @param {Object} milestone - { key: 'y' or 'bodyFat', threshold, direction: 'down' or 'up' }.
+ * @returns {Object|null} The first point at or past the threshold after having been short of it, or null if it never crosses.
+ */
+export const findMilestoneCrossing = (points, { key, threshold, direction }) => {
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1][key];
+        const current = points[i][key];
+        const crossed = direction === 'down'
+            ? current <= threshold && previous > threshold
+            : current >= threshold && previous < threshold;
+        if (crossed) {
+            return points[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Runs a prediction model many times with sampled errors and summarizes the outcomes.
+ * Each run samples a lasting adherence bias and a maintenance error once, and an adherence error for every day;
+ * the scale's daily fluctuation is added to the run's weights afterwards, since it does not accumulate.
+ * The model is run in its quiet mode, so the runs do not flood the console.
+ * Milestones are looked up on the runs without the fluctuation, as a trend crossing rather than one lucky weigh-in.
+ * @param {Object} params
+ * @param {Function} params.predict - A prediction model, e.g. predictWeightLinearDifference or predictWeightHall; it must accept quiet.
+ * @param {Object} params.lastEntry - The entry the forecast starts from.
+ * @param {Function} params.targetCaloricIntake - The planned intake in kcal as a function of the date.
+ * @param {Object} params.userProfile - The user's profile.
+ * @param {number} params.predictionDays - Days to forecast.
+ * @param {number} [params.tdeeScale=1] - The model's maintenance scale, before the sampled error.
+ * @param {Array<Object>} [params.milestones=[]] - Milestones to date: { label, key, threshold, direction } (see findMilestoneCrossing).
+ * @param {Object} [params.uncertainty] - Overrides of DEFAULT_SIMULATION_UNCERTAINTY.
+ * @param {number} [params.runs=200] - Number of runs.
+ * @param {number} [params.seed] - Seed of the random numbers; the same seed gives the same forecast.
+ * @returns {Object} { bands, milestones, runs } where bands is one { x, lowerKg, medianKg, upperKg } per day, and
+ *   milestones is one { label, earliest, likeliest, latest, reachedShare } per milestone: timestamps of the
+ *   10th, 50th and 90th percentile crossing (null where that percentile falls after the forecast ends),
+ *   and the share of runs that reached it within the forecast.
+ */
+export const simulateForecast = ({
+    predict,
+    lastEntry,
+    targetCaloricIntake,
+    userProfile,
+    predictionDays,
+    tdeeScale = 1,
+    milestones = [],
+    uncertainty = {},
+    runs = DEFAULT_SIMULATION_RUNS,
+    seed = DEFAULT_SEED,
+}) => {
+    const { adherenceBias, adherenceDaily, tdeeError, dailyFluctuationKg } = { ...DEFAULT_SIMULATION_UNCERTAINTY, ...uncertainty };
+    const gaussian = createGaussian(createRandom(seed));
+
+    const trajectories = [];
+    const crossings = milestones.map(() => []);
+    for (let run = 0; run < runs; run++) {
+        const bias = adherenceBias * gaussian();
+        const dailyErrors = Array.from({ length: predictionDays + 1 }, () => adherenceDaily * gaussian());
+        const runTdeeScale = tdeeScale * Math.max(0.5, 1 + tdeeError * gaussian());
+        const runIntake = (date) => {
+            const dayIndex = Math.min(predictionDays, Math.max(0, differenceInCalendarDays(date, lastEntry.date)));
+            return Math.max(0, targetCaloricIntake(date) * (1 + bias + dailyErrors[dayIndex]));
+        };
+
+        const points = predict({ lastEntry, targetCaloricIntake: runIntake, userProfile, predictionDays, tdeeScale: runTdeeScale, quiet: true });
+        if (points.length === 0) {
+            continue;
+        }
+        milestones.forEach((milestone, index) => {
+            const crossing = findMilestoneCrossing(points, milestone);
+            if (crossing) {
+                crossings[index].push(crossing.x);
+            }
+        });
+        // The first point is the last weigh-in itself, so it gets no fluctuation
+        trajectories.push(points.map((point, index) => (index === 0 ? point.y : point.y + dailyFluctuationKg * gaussian())));
+    }
+
+    if (trajectories.length === 0) {
+        return { bands: [], milestones: [], runs: 0 };
+    }
+
+    // Runs can stop early (e.g. a model running out of fat mass), so each day uses the runs that got that far
+    const dayCount = Math.max(...trajectories.map(trajectory => trajectory.length));
+    const bands = [];
+    for (let day = 0; day < dayCount; day++) {
+        const weights = trajectories.filter(trajectory => day < trajectory.length).map(trajectory => trajectory[day]).sort((a, b) => a - b);
+        bands.push({
+            x: addDays(lastEntry.date, day).getTime(),
+            lowerKg: percentile(weights, LOWER_PERCENTILE),
+            medianKg: percentile(weights, 50),
+            upperKg: percentile(weights, UPPER_PERCENTILE),
+        });
+    }
+
+    // Runs that never reach a milestone count as reaching it after the forecast ends
+    const milestoneRanges = milestones.map(({ label }, index) => {
+        const times = [...crossings[index].sort((a, b) => a - b), ...new Array(trajectories.length - crossings[index].length).fill(Infinity)];
+        const dateAt = (percent) => {
+            const time = percentile(times, percent);
+            return isFinite(time) ? time : null;
+        };
+        return {
+            label,
+            earliest: dateAt(LOWER_PERCENTILE),
+            likeliest: dateAt(50),
+            latest: dateAt(UPPER_PERCENTILE),
+            reachedShare: crossings[index].length / trajectories.length,
+        };
+    });
+
+    return { bands, milestones: milestoneRanges, runs: trajectories.length };
+};
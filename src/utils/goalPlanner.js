@@ -0,0 +1,159 @@
+// src/utils/goalPlanner.js
+// Works a prediction model backwards: the daily intake that reaches a target weight or body fat by a deadline,
+// or the date a given intake reaches it, and whether the plan is safe to follow.
+// The models are run in their quiet mode, since the solvers call them many times.
+
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { findMilestoneCrossing } from './forecastSimulation.js';
+
+// What a goal can target, and the field of a predicted point it is read from
+export const GOAL_TARGETS = {
+    weight: { label: 'Weight', key: 'y' },
+    bodyFat: { label: 'Body fat (%)', key: 'bodyFat' },
+};
+
+// Longest a plan may run when solving for the date it reaches its target
+export const MAX_PLAN_DAYS = 730;
+
+// Limits beyond which a plan is flagged
+const MAX_SAFE_DEFICIT_KCAL = 1000;             // Daily deficit
+const MAX_SAFE_DEFICIT_SHARE = 0.25;            // Daily deficit as a share of maintenance
+const MAX_SAFE_LOSS_SHARE_PER_WEEK = 0.01;      // Weekly loss as a share of body weight
+const MIN_INTAKE_KCAL = { male: 1500, female: 1200 };
+
+// Highest intake tried when solving for one, as a multiple of maintenance
+const MAX_INTAKE_FACTOR = 2.5;
+// Bisection steps; enough to pin the intake down to well under 1 kcal
+const SOLVER_ITERATIONS = 40;
+
+/**
+ * Computes the constant daily intake that reaches a target by a deadline.
+ * Solved by bisection, since every prediction model ends lower the less is eaten.
+ * @param {Object} params
+ * @param {Function} params.predict - A prediction model, e.g. predictWeightLinearDifference or predictWeightHall; it must accept quiet.
+ * @param {Object} params.lastEntry - The entry the plan starts from.
+ * @param {Object} params.userProfile - The user's profile.
+ * @param {number} params.maintenanceKcal - Today's maintenance calories, which bound the intakes tried.
+ * @param {number} [params.tdeeScale=1] - The model's maintenance scale.
+ * @param {string} params.targetType - A key of GOAL_TARGETS.
+ * @param {number} params.targetValue - Target weight in kg, or body fat in %.
+ * @param {Date} params.deadline - The day the target should be reached.
+ * @returns {Object} { intakeKcal, days, reason } where intakeKcal is NaN, and reason says why, if no intake reaches the target.
+ */
+export const solveIntakeForDeadline = ({ predict, lastEntry, userProfile, maintenanceKcal, tdeeScale = 1, targetType, targetValue, deadline }) => {
+    const days = differenceInCalendarDays(deadline, lastEntry.date);
+    if (days <= 0) {
+        return { intakeKcal: NaN, days, reason: 'The deadline must be after your last weigh-in.' };
+    }
+
+    const key = GOAL_TARGETS[targetType].key;
+    const valueAtDeadline = (intakeKcal) => {
+        const points = predict({ lastEntry, targetCaloricIntake: intakeKcal, userProfile, predictionDays: days, tdeeScale, quiet: true });
+        return points.length === days + 1 ? points[days][key] : NaN;
+    };
+
+    let low = 0;
+    let high = maintenanceKcal * MAX_INTAKE_FACTOR;
+    const lowest = valueAtDeadline(low);
+    const highest = valueAtDeadline(high);
+    if (isNaN(lowest) || isNaN(highest)) {
+        return { intakeKcal: NaN, days, reason: 'The prediction model cannot forecast this far from your data.' };
+    }
+    if (targetValue < lowest) {
+        return { intakeKcal: NaN, days, reason: 'The target cannot be reached by the deadline, even without eating.' };
+    }
+    if (targetValue > highest) {
+        return { intakeKcal: NaN, days, reason: 'The target cannot be reached by the deadline at any reasonable intake.' };
+    }
+
+    for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration++) {
+        const middle = (low + high) / 2;
+        if (valueAtDeadline(middle) < targetValue) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    // The bracket's side that reaches the target, rather than just misses it: below it to lose, above it to gain
+    const isLoss = targetValue < valueAtDeadline(maintenanceKcal);
+    return { intakeKcal: isLoss ? low : high, days, reason: '' };
+};
+
+/**
+ * Computes the date a constant daily intake reaches a target.
+ * @param {Object} params
+ * @param {Function} params.predict - A prediction model.
+ * @param {Object} params.lastEntry - The entry the plan starts from.
+ * @param {Object} params.userProfile - The user's profile.
+ * @param {number} [params.tdeeScale=1] - The model's maintenance scale.
+ * @param {string} params.targetType - A key of GOAL_TARGETS.
+ * @param {number} params.targetValue - Target weight in kg, or body fat in %.
+ * @param {number} params.intakeKcal - The daily intake.
+ * @returns {Object} { date, days, reason } where date is null, and reason says why, if the target is not reached within MAX_PLAN_DAYS.
+ */
+export const solveDateForIntake = ({ predict, lastEntry, userProfile, tdeeScale = 1, targetType, targetValue, intakeKcal }) => {
+    const key = GOAL_TARGETS[targetType].key;
+    const points = predict({ lastEntry, targetCaloricIntake: intakeKcal, userProfile, predictionDays: MAX_PLAN_DAYS, tdeeScale, quiet: true });
+    const start = points[0]?.[key];
+    if (typeof start !== 'number' || isNaN(start)) {
+        return { date: null, days: NaN, reason: 'The prediction model cannot forecast from your data.' };
+    }
+    if (start === targetValue) {
+        return { date: lastEntry.date, days: 0, reason: '' };
+    }
+
+    const crossing = findMilestoneCrossing(points, { key, threshold: targetValue, direction: targetValue < start ? 'down' : 'up' });
+    if (!crossing) {
+        return { date: null, days: NaN, reason: `The target is not reached within ${MAX_PLAN_DAYS} days at this intake.` };
+    }
+    const date = new Date(crossing.x);
+    return { date, days: differenceInCalendarDays(date, lastEntry.date), reason: '' };
+};
+
+/**
+ * Checks a plan against common safety limits.
+ * @param {Object} params
+ * @param {number} params.intakeKcal - The planned daily intake.
+ * @param {number} params.maintenanceKcal - Today's maintenance calories.
+ * @param {number} params.bmrKcal - Today's BMR.
+ * @param {string} params.sex - 'male' or 'female'.
+ * @param {number} params.startWeightKg - Weight at the start of the plan.
+ * @param {number} [params.endWeightKg] - Predicted weight at the end of the plan.
+ * @param {number} [params.days] - Length of the plan in days.
+ * @returns {Array<Object>} Warnings, empty if the plan is within every limit; each has a type and the numbers behind it:
+ *   { type: 'below_bmr', limitKcal }, { type: 'very_low_intake', limitKcal },
+ *   { type: 'large_deficit', deficitKcal, limitKcal, limitShare } or { type: 'fast_loss', lossShare, limitShare }.
+ */
+export const checkPlanSafety = ({ intakeKcal, maintenanceKcal, bmrKcal, sex, startWeightKg, endWeightKg, days }) => {
+    const warnings = [];
+    const deficitKcal = maintenanceKcal - intakeKcal;
+    const minIntakeKcal = MIN_INTAKE_KCAL[sex] ?? MIN_INTAKE_KCAL.female;
+
+    if (intakeKcal < bmrKcal) {
+        warnings.push({ type: 'below_bmr', limitKcal: bmrKcal });
+    }
+    if (intakeKcal < minIntakeKcal) {
+        warnings.push({ type: 'very_low_intake', limitKcal: minIntakeKcal });
+    }
+    if (deficitKcal > MAX_SAFE_DEFICIT_KCAL || deficitKcal > maintenanceKcal * MAX_SAFE_DEFICIT_SHARE) {
+        warnings.push({ type: 'large_deficit', deficitKcal, limitKcal: MAX_SAFE_DEFICIT_KCAL, limitShare: MAX_SAFE_DEFICIT_SHARE });
+    }
+    if (typeof endWeightKg === 'number' && days > 0) {
+        const lossShare = (startWeightKg - endWeightKg) / days * 7 / startWeightKg;
+        if (lossShare > MAX_SAFE_LOSS_SHARE_PER_WEEK) {
+            warnings.push({ type: 'fast_loss', lossShare, limitShare: MAX_SAFE_LOSS_SHARE_PER_WEEK });
+        }
+    }
+    return warnings;
+};
+
+/**
+ * Predicts the weight a plan ends at, for its safety check.
+ * @param {Object} params - { predict, lastEntry, userProfile, tdeeScale, intakeKcal, days }
+ * @returns {number} The predicted weight in kg on the plan's last day, or NaN.
+ */
+export const predictPlanEndWeight = ({ predict, lastEntry, userProfile, tdeeScale = 1, intakeKcal, days }) => {
+    const points = predict({ lastEntry, targetCaloricIntake: intakeKcal, userProfile, predictionDays: days, tdeeScale, quiet: true });
+    const endTime = addDays(lastEntry.date, days).getTime();
+    return points.find(point => point.x === endTime)?.y ?? NaN;
+};
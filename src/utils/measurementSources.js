@@ -0,0 +1,104 @@
+// src/utils/measurementSources.js
+// The devices and methods a user measures with (a smart scale, calipers, a DEXA scan, ...).
+// Body fat from different methods is not comparable, so each source can carry a calibration
+// that maps its readings onto the user's reference method: calibrated = raw * bodyFatScale + bodyFatOffset.
+
+// Kinds of measurement, keyed by the id stored on a source
+export const MEASUREMENT_METHODS = {
+    bia_scale: 'Smart scale (bioimpedance)',
+    calipers: 'Skinfold calipers',
+    dexa: 'DEXA scan',
+    bodpod: 'BodPod',
+    hydrostatic: 'Hydrostatic weighing',
+    tape: 'Tape measure formula',
+    other: 'Other',
+};
+
+/**
+ * Creates a new, uncalibrated measurement source.
+ * @param {string} name - What the user calls it, e.g. "Bathroom scale".
+ * @param {string} [method='bia_scale'] - A key of MEASUREMENT_METHODS.
+ * @returns {Object} { id, name, method, bodyFatOffset: 0, bodyFatScale: 1 }
+ */
+export const createMeasurementSource = (name, method = 'bia_scale') => ({
+    id: crypto.randomUUID(),
+    name,
+    method,
+    bodyFatOffset: 0,
+    bodyFatScale: 1,
+});
+
+/**
+ * Cleans a list of measurement sources for storage: sources without an ID or name are dropped,
+ * unknown methods become 'other' and missing or invalid calibrations become the identity.
+ * @param {Array<Object>} [sources] - The sources to clean.
+ * @returns {Array<Object>} The cleaned sources.
+ */
+export const cleanMeasurementSources = (sources) => {
+    if (!Array.isArray(sources)) {
+        return [];
+    }
+    return sources
+        .filter(source => typeof source?.id === 'string' && source.id !== '' && typeof source.name === 'string' && source.name.trim() !== '')
+        .map(source => ({
+            id: source.id,
+            name: source.name.trim(),
+            method: source.method in MEASUREMENT_METHODS ? source.method : 'other',
+            bodyFatOffset: typeof source.bodyFatOffset === 'number' && isFinite(source.bodyFatOffset) ? source.bodyFatOffset : 0,
+            bodyFatScale: typeof source.bodyFatScale === 'number' && isFinite(source.bodyFatScale) && source.bodyFatScale > 0 ? source.bodyFatScale : 1,
+        }));
+};
+
+/**
+ * Cleans the source ID stored on an entry.
+ * @param {string} [sourceId] - The ID of a measurement source.
+ * @returns {string} The ID, or '' if the entry has no known source.
+ */
+export const cleanSourceId = (sourceId) => (typeof sourceId === 'string' ? sourceId : '');
+
+/**
+ * Finds a measurement source by ID.
+ * @param {Array<Object>} [sources] - The user's measurement sources.
+ * @param {string} [sourceId] - The ID to look for.
+ * @returns {Object|null} The source, or null if there is none with that ID.
+ */
+export const findMeasurementSource = (sources, sourceId) => (sourceId && sources?.find(source => source.id === sourceId)) || null;
+
+/**
+ * Maps a body fat reading onto the reference method using its source's calibration.
+ * @param {number} bodyFat - The body fat percentage as measured.
+ * @param {Object} [source] - The measurement source the reading came from.
+ * @returns {number} The calibrated body fat percentage; the reading unchanged if there is no source.
+ */
+export const calibrateBodyFat = (bodyFat, source) => (source ? bodyFat * source.bodyFatScale + source.bodyFatOffset : bodyFat);
+
+/**
+ * Replaces the body fat of each entry with its calibrated value, keeping the measured value as rawBodyFat.
+ * Entries without a source, or whose source is uncalibrated, are returned as they are.
+ * @param {Array<Object>} entries - Entries with bodyFat and source.
+ * @param {Array<Object>} [sources] - The user's measurement sources.
+ * @returns {Array<Object>} The entries with calibrated body fat.
+ */
+export const applyCalibration = (entries, sources) => entries.map((entry) => {
+    const source = findMeasurementSource(sources, entry.source);
+    if (!source || (source.bodyFatScale === 1 && source.bodyFatOffset === 0) || typeof entry.bodyFat !== 'number') {
+        return entry;
+    }
+    return { ...entry, bodyFat: calibrateBodyFat(entry.bodyFat, source), rawBodyFat: entry.bodyFat };
+});
+
+/**
+ * Describes a source's calibration for display, e.g. "× 1.05 + 2.0 pts".
+ * @param {Object} source - A measurement source.
+ * @returns {string} The calibration, or 'None' for the identity.
+ */
+export const formatCalibration = (source) => {
+    const parts = [];
+    if (source.bodyFatScale !== 1) {
+        parts.push(`× ${source.bodyFatScale.toFixed(2)}`);
+    }
+    if (source.bodyFatOffset !== 0) {
+        parts.push(`${source.bodyFatOffset > 0 ? '+' : '-'} ${Math.abs(source.bodyFatOffset).toFixed(1)} pts`);
+    }
+    return parts.length > 0 ? parts.join(' ') : 'None';
+};
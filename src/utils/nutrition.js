@@ -0,0 +1,73 @@
+// src/utils/nutrition.js
+// Daily food intake, logged once per day: energy in kcal and optional macronutrients in grams.
+
+import { parseEnergy } from './units.js';
+
+// Optional macronutrients of an intake record, all in grams
+export const NUTRIENT_FIELDS = [
+    { key: 'proteinG', label: 'Protein' },
+    { key: 'carbsG', label: 'Carbs' },
+    { key: 'fatG', label: 'Fat' },
+    { key: 'fiberG', label: 'Fiber' },
+];
+
+// Beyond anything a person eats in a day, to catch a misplaced decimal point
+const MAX_DAILY_KCAL = 20000;
+const MAX_DAILY_GRAMS = 2000;
+
+/**
+ * Cleans the macronutrients of an intake record for storage, dropping unknown fields and values that are not valid amounts.
+ * @param {Object} [nutrients] - Grams keyed by NUTRIENT_FIELDS key.
+ * @returns {Object} The valid amounts.
+ */
+export const cleanNutrients = (nutrients) => {
+    const cleaned = {};
+    for (const { key } of NUTRIENT_FIELDS) {
+        const value = nutrients?.[key];
+        if (typeof value === 'number' && isFinite(value) && value >= 0 && value <= MAX_DAILY_GRAMS) {
+            cleaned[key] = value;
+        }
+    }
+    return cleaned;
+};
+
+/**
+ * Parses an intake form: energy in the given unit (required) and macronutrients in grams (optional).
+ * @param {Object} inputs - { calories, proteinG, carbsG, fatG, fiberG } as typed.
+ * @param {string} energyUnit - 'kcal' or 'kJ'.
+ * @returns {Object} { caloriesKcal, nutrients, invalidFields } where invalidFields lists the labels of values that are not valid.
+ */
+export const parseIntake = (inputs, energyUnit) => {
+    const invalidFields = [];
+
+    const caloriesKcal = parseEnergy(String(inputs.calories ?? '').trim(), energyUnit);
+    if (isNaN(caloriesKcal) || caloriesKcal < 0 || caloriesKcal > MAX_DAILY_KCAL) {
+        invalidFields.push('Energy');
+    }
+
+    const nutrients = {};
+    for (const { key, label } of NUTRIENT_FIELDS) {
+        const text = String(inputs[key] ?? '').trim();
+        if (text === '') {
+            continue;
+        }
+        const grams = parseFloat(text);
+        if (isNaN(grams) || grams < 0 || grams > MAX_DAILY_GRAMS) {
+            invalidFields.push(label);
+        } else {
+            nutrients[key] = grams;
+        }
+    }
+
+    return { caloriesKcal, nutrients, invalidFields };
+};
+
+/**
+ * Formats the macronutrients of an intake record, e.g. "Protein 150 g, Carbs 200 g".
+ * @param {Object} intake - An intake record.
+ * @returns {string} The recorded macronutrients, or '' if there are none.
+ */
+export const formatNutrients = (intake) => NUTRIENT_FIELDS
+    .filter(({ key }) => typeof intake[key] === 'number')
+    .map(({ key, label }) => `${label} ${Math.round(intake[key])} g`)
+    .join(', ');
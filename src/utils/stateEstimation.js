@@ -0,0 +1,203 @@
+// src/utils/stateEstimation.js
+// Estimates true weight and body fat from noisy readings with a local-level state-space model (a Kalman filter
+// and Rauch-Tung-Striebel smoother on a daily grid). The true value drifts as a random walk from day to day, and
+// each reading is the true value plus noise whose size depends on the device or method it came from.
+
+import { addDays, differenceInCalendarDays, startOfDay } from 'date-fns';
+
+// Random-walk variance of the true value per day, and the starting guess of each source's reading variance
+// Weight in kg², body fat in %-points²; reading variances are re-estimated from the data
+const SERIES = {
+    weight: { key: 'weightKg', dailyVariance: 0.1 ** 2, readingVariance: 0.6 ** 2, minReadingVariance: 0.05 ** 2, maxReadingVariance: 5 ** 2 },
+    bodyFat: { key: 'bodyFat', dailyVariance: 0.05 ** 2, readingVariance: 1.5 ** 2, minReadingVariance: 0.1 ** 2, maxReadingVariance: 10 ** 2 },
+};
+
+// Fewest readings from one source for its own noise estimate; sources with fewer share the pooled estimate
+export const MIN_READINGS_FOR_NOISE = 5;
+
+// Expectation-maximization rounds used to estimate the reading noise
+const NOISE_ITERATIONS = 10;
+
+// Variance of the state before the first reading, large enough that the first reading sets it
+const INITIAL_VARIANCE = 1e6;
+
+// Readings with no recorded source share this key
+const NO_SOURCE = '';
+
+const isValidNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Runs the filter forwards and the smoother backwards over the days from the first reading to the last
+// readingsByDay: one list of { value, sourceKey } per day; varianceOf: sourceKey -> reading variance
+const smoothSeries = (readingsByDay, dailyVariance, varianceOf) => {
+    const dayCount = readingsByDay.length;
+    const predictedMean = new Array(dayCount);
+    const predictedVariance = new Array(dayCount);
+    const filteredMean = new Array(dayCount);
+    const filteredVariance = new Array(dayCount);
+
+    let mean = readingsByDay[0][0].value;
+    let variance = INITIAL_VARIANCE;
+    for (let day = 0; day < dayCount; day++) {
+        if (day > 0) {
+            variance += dailyVariance;
+        }
+        predictedMean[day] = mean;
+        predictedVariance[day] = variance;
+
+        for (const { value, sourceKey } of readingsByDay[day]) {
+            const gain = variance / (variance + varianceOf(sourceKey));
+            mean += gain * (value - mean);
+            variance *= 1 - gain;
+        }
+        filteredMean[day] = mean;
+        filteredVariance[day] = variance;
+    }
+
+    const smoothedMean = [...filteredMean];
+    const smoothedVariance = [...filteredVariance];
+    for (let day = dayCount - 2; day >= 0; day--) {
+        const gain = filteredVariance[day] / predictedVariance[day + 1];
+        smoothedMean[day] = filteredMean[day] + gain * (smoothedMean[day + 1] - predictedMean[day + 1]);
+        smoothedVariance[day] = filteredVariance[day] + gain * gain * (smoothedVariance[day + 1] - predictedVariance[day + 1]);
+    }
+
+    return { mean: smoothedMean, variance: smoothedVariance };
+};
+
+// Estimates one series: the smoothed value and variance for each day, and the reading variance of each source
+const estimateSeries = (entries, firstDay, dayCount, series) => {
+    const readingsByDay = Array.from({ length: dayCount }, () => []);
+    const readingCounts = new Map();
+    for (const entry of entries) {
+        const value = entry[series.key];
+        if (!isValidNumber(value)) {
+            continue;
+        }
+        const sourceKey = typeof entry.source === 'string' ? entry.source : NO_SOURCE;
+        readingsByDay[differenceInCalendarDays(entry.date, firstDay)].push({ value, sourceKey });
+        readingCounts.set(sourceKey, (readingCounts.get(sourceKey) ?? 0) + 1);
+    }
+
+    // Only the days from the series' own first reading to its last are estimated
+    const firstIndex = readingsByDay.findIndex(readings => readings.length > 0);
+    if (firstIndex === -1) {
+        return null;
+    }
+    const lastIndex = readingsByDay.length - 1 - [...readingsByDay].reverse().findIndex(readings => readings.length > 0);
+    const coveredDays = readingsByDay.slice(firstIndex, lastIndex + 1);
+
+    const clampVariance = (variance) => Math.min(series.maxReadingVariance, Math.max(series.minReadingVariance, variance));
+    let pooledVariance = series.readingVariance;
+    let sourceVariances = new Map();
+    const varianceOf = (sourceKey) => sourceVariances.get(sourceKey) ?? pooledVariance;
+
+    let estimate = smoothSeries(coveredDays, series.dailyVariance, varianceOf);
+    const totalReadings = [...readingCounts.values()].reduce((sum, count) => sum + count, 0);
+    if (totalReadings >= MIN_READINGS_FOR_NOISE) {
+        // Each round sets a source's reading variance to its expected squared error against the smoothed state
+        for (let iteration = 0; iteration < NOISE_ITERATIONS; iteration++) {
+            const squaredErrors = new Map();
+            coveredDays.forEach((readings, day) => {
+                for (const { value, sourceKey } of readings) {
+                    const error = (value - estimate.mean[day]) ** 2 + estimate.variance[day];
+                    squaredErrors.set(sourceKey, (squaredErrors.get(sourceKey) ?? 0) + error);
+                }
+            });
+
+            const totalSquaredError = [...squaredErrors.values()].reduce((sum, error) => sum + error, 0);
+            pooledVariance = clampVariance(totalSquaredError / totalReadings);
+            sourceVariances = new Map([...squaredErrors.entries()]
+                .filter(([sourceKey]) => readingCounts.get(sourceKey) >= MIN_READINGS_FOR_NOISE)
+                .map(([sourceKey, error]) => [sourceKey, clampVariance(error / readingCounts.get(sourceKey))]));
+            estimate = smoothSeries(coveredDays, series.dailyVariance, varianceOf);
+        }
+    }
+
+    return {
+        firstIndex,
+        mean: estimate.mean,
+        variance: estimate.variance,
+        noise: [...readingCounts.entries()].map(([sourceKey, readings]) => ({
+            source: sourceKey,
+            readings,
+            sd: Math.sqrt(varianceOf(sourceKey)),
+            pooled: !sourceVariances.has(sourceKey),
+        })),
+    };
+};
+
+/**
+ * Estimates the true weight and body fat on each day from noisy readings, with a ±1σ uncertainty.
+ * Every reading is used (not one per day), days without readings are filled in by the smoother, and the
+ * reading noise of each measurement source is estimated from how far its readings scatter around the estimate.
+ * Fat and lean mass, and their uncertainty, follow from the weight and body fat estimates.
+ * @param {Array<Object>} entries - Entries with date, weightKg, bodyFat and source (a measurement source ID).
+ * @returns {Object} { days, noise } where days is one estimate per day from the first reading to the last:
+ *   { date, weightKg, weightSdKg, bodyFat, bodyFatSd, fatMassKg, fatMassSdKg, leanMassKg, leanMassSdKg }
+ *   (body fat and masses are NaN outside the days covered by body fat readings), and noise is
+ *   { weight, bodyFat }, each a list of { source, readings, sd, pooled } (sd in kg or %-points; pooled
+ *   if the source had too few readings for its own estimate). Both are empty without valid readings.
+ */
+export const estimateBodyState = (entries) => {
+    const datedEntries = entries
+        .filter(entry => entry.date instanceof Date && !isNaN(entry.date.getTime()))
+        .sort((a, b) => a.date.getTime() - b.date.getTime());
+    if (datedEntries.length === 0) {
+        return { days: [], noise: { weight: [], bodyFat: [] } };
+    }
+
+    const firstDay = startOfDay(datedEntries[0].date);
+    const dayCount = differenceInCalendarDays(datedEntries[datedEntries.length - 1].date, firstDay) + 1;
+    const weight = estimateSeries(datedEntries, firstDay, dayCount, SERIES.weight);
+    const bodyFat = estimateSeries(datedEntries, firstDay, dayCount, SERIES.bodyFat);
+    if (!weight) {
+        return { days: [], noise: { weight: [], bodyFat: bodyFat?.noise ?? [] } };
+    }
+
+    const valueOn = (estimate, dayIndex, field) => {
+        const index = estimate ? dayIndex - estimate.firstIndex : -1;
+        return index >= 0 && index < estimate[field].length ? estimate[field][index] : NaN;
+    };
+
+    const days = weight.mean.map((weightKg, index) => {
+        const dayIndex = weight.firstIndex + index;
+        const weightVariance = weight.variance[index];
+        const bodyFatPercent = valueOn(bodyFat, dayIndex, 'mean');
+        const bodyFatVariance = valueOn(bodyFat, dayIndex, 'variance');
+
+        // Fat mass = weight × body fat / 100, with the variance of a product of independent estimates (first order)
+        const fraction = bodyFatPercent / 100;
+        const fatMassKg = weightKg * fraction;
+        const fatMassVariance = fraction ** 2 * weightVariance + (weightKg / 100) ** 2 * bodyFatVariance;
+        const leanMassVariance = (1 - fraction) ** 2 * weightVariance + (weightKg / 100) ** 2 * bodyFatVariance;
+
+        return {
+            date: addDays(firstDay, dayIndex),
+            weightKg,
+            weightSdKg: Math.sqrt(weightVariance),
+            bodyFat: bodyFatPercent,
+            bodyFatSd: Math.sqrt(bodyFatVariance),
+            fatMassKg,
+            fatMassSdKg: Math.sqrt(fatMassVariance),
+            leanMassKg: weightKg - fatMassKg,
+            leanMassSdKg: Math.sqrt(leanMassVariance),
+        };
+    });
+
+    return { days, noise: { weight: weight.noise, bodyFat: bodyFat?.noise ?? [] } };
+};
+
+/**
+ * Tells whether the estimated weight changed by more than its uncertainty between two days.
+ * The uncertainty of the change treats the two days' estimates as independent, which overstates it
+ * slightly for nearby days, so a change reported as real is real with at least the stated confidence.
+ * @param {Object} from - An estimate from estimateBodyState's days.
+ * @param {Object} to - A later estimate.
+ * @param {number} [sigmas=2] - How many standard deviations a change must exceed to count as real.
+ * @returns {Object} { changeKg, sdKg, isReal }
+ */
+export const compareEstimates = (from, to, sigmas = 2) => {
+    const changeKg = to.weightKg - from.weightKg;
+    const sdKg = Math.sqrt(from.weightSdKg ** 2 + to.weightSdKg ** 2);
+    return { changeKg, sdKg, isReal: Math.abs(changeKg) > sigmas * sdKg };
+};
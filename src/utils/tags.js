@@ -0,0 +1,59 @@
+// src/utils/tags.js
+// User-defined tags on entries, such as "after leg day" or "new scale".
+// Tags are stored lower-case and trimmed, so "Sick" and "sick " are the same tag.
+
+// Longest tag and note kept on an entry
+export const MAX_TAG_LENGTH = 40;
+export const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Normalizes a list of tags: trimmed, lower-case, inner whitespace collapsed, no empty or duplicate tags.
+ * @param {Array<string>} [tags] - The tags to normalize.
+ * @returns {Array<string>} The normalized tags, in their original order.
+ */
+export const normalizeTags = (tags) => {
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+    const normalized = tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(tag => tag !== '');
+    return [...new Set(normalized)];
+};
+
+/**
+ * Parses tags typed by the user or read from a CSV cell, separated by commas, semicolons or pipes.
+ * @param {string} text - e.g. "post-vacation, sick".
+ * @returns {Array<string>} The normalized tags.
+ */
+export const parseTags = (text) => normalizeTags(String(text ?? '').split(/[,;|]/));
+
+/**
+ * Formats tags as the value of a form input.
+ * @param {Array<string>} [tags] - The tags.
+ * @returns {string} The tags separated by commas.
+ */
+export const formatTagsInput = (tags) => (tags ?? []).join(', ');
+
+/**
+ * Cleans free-text notes for storage.
+ * @param {string} [notes] - The notes as typed.
+ * @returns {string} The trimmed notes, cut to MAX_NOTES_LENGTH, or '' if there are none.
+ */
+export const cleanNotes = (notes) => (typeof notes === 'string' ? notes.trim().slice(0, MAX_NOTES_LENGTH) : '');
+
+/**
+ * Lists every tag used on a set of entries.
+ * @param {Array<Object>} entries - Entries with a tags array.
+ * @returns {Array<string>} The distinct tags, sorted alphabetically.
+ */
+export const collectTags = (entries) => [...new Set(entries.flatMap(entry => entry.tags ?? []))].sort();
+
+/**
+ * Whether an entry carries any of the given tags.
+ * @param {Object} entry - An entry with a tags array.
+ * @param {Array<string>} tags - The tags to look for; an empty list matches every entry.
+ * @returns {boolean}
+ */
+export const hasAnyTag = (entry, tags) => tags.length === 0 || (entry.tags ?? []).some(tag => tags.includes(tag));
@@ -0,0 +1,276 @@
+// src/utils/units.js
+// Unit conversion, formatting and parsing for mass, length and energy.
+// Values are stored canonically in kg, cm and kcal; these helpers convert at the edges (forms, tables, charts).
+
+// Exact by definition of the international pound and inch
+export const KG_PER_LB = 0.45359237;
+export const LB_PER_STONE = 14;
+export const CM_PER_INCH = 2.54;
+export const INCHES_PER_FOOT = 12;
+export const KJ_PER_KCAL = 4.184;
+
+// Short labels for each unit id. 'lbs' is the id entries have always been stored with.
+// 'st' (stone + pounds) and 'ft' (feet + inches) are compound units, entered and shown as two parts.
+export const MASS_UNITS = { kg: 'kg', lbs: 'lb', st: 'st' };
+export const LENGTH_UNITS = { cm: 'cm', in: 'in', ft: 'ft' };
+export const ENERGY_UNITS = { kcal: 'kcal', kJ: 'kJ' };
+
+/**
+ * Unit systems a user can pick in their profile.
+ * massRate is the unit for weekly weight-change rates, where stones are too coarse,
+ * and circumference the unit for tape measurements, where feet are.
+ */
+export const UNIT_SYSTEMS = {
+    metric: { label: 'Metric (kg, cm, kcal)', mass: 'kg', massRate: 'kg', length: 'cm', circumference: 'cm', energy: 'kcal' },
+    metric_kj: { label: 'Metric (kg, cm, kJ)', mass: 'kg', massRate: 'kg', length: 'cm', circumference: 'cm', energy: 'kJ' },
+    us: { label: 'US (lb, ft/in, kcal)', mass: 'lbs', massRate: 'lbs', length: 'ft', circumference: 'in', energy: 'kcal' },
+    uk: { label: 'UK (st/lb, ft/in, kcal)', mass: 'st', massRate: 'lbs', length: 'ft', circumference: 'in', energy: 'kcal' },
+};
+
+export const DEFAULT_UNIT_SYSTEM = 'us';
+
+/**
+ * Looks up a unit system by id, falling back to the default for unknown or missing ids.
+ * @param {string} [unitSystemId] - A key of UNIT_SYSTEMS.
+ * @returns {Object} The unit system ({ label, mass, massRate, length, circumference, energy }).
+ */
+export const getUnitSystem = (unitSystemId) => UNIT_SYSTEMS[unitSystemId] ?? UNIT_SYSTEMS[DEFAULT_UNIT_SYSTEM];
+
+/**
+ * Whether a unit is entered and shown as two parts (stone + pounds, feet + inches).
+ * @param {string} unit - A mass or length unit id.
+ * @returns {boolean}
+ */
+export const isCompoundUnit = (unit) => unit === 'st' || unit === 'ft';
+
+// --- Conversion ---
+
+/**
+ * Converts a mass in the given unit to kilograms.
+ * @param {number} value - The mass; decimal stones for 'st'.
+ * @param {string} unit - 'kg', 'lbs' or 'st'.
+ * @returns {number} The mass in kilograms.
+ */
+export const toKg = (value, unit) => {
+    if (unit === 'lbs') {
+        return value * KG_PER_LB;
+    }
+    if (unit === 'st') {
+        return value * LB_PER_STONE * KG_PER_LB;
+    }
+    return value;
+};
+
+/**
+ * Converts a mass in kilograms to the given unit.
+ * @param {number} kg - The mass in kilograms.
+ * @param {string} unit - 'kg', 'lbs' or 'st'.
+ * @returns {number} The mass in the given unit; decimal stones for 'st'.
+ */
+export const fromKg = (kg, unit) => {
+    if (unit === 'lbs') {
+        return kg / KG_PER_LB;
+    }
+    if (unit === 'st') {
+        return kg / KG_PER_LB / LB_PER_STONE;
+    }
+    return kg;
+};
+
+/**
+ * Converts a length in the given unit to centimetres.
+ * @param {number} value - The length; decimal feet for 'ft'.
+ * @param {string} unit - 'cm', 'in' or 'ft'.
+ * @returns {number} The length in centimetres.
+ */
+export const toCm = (value, unit) => {
+    if (unit === 'in') {
+        return value * CM_PER_INCH;
+    }
+    if (unit === 'ft') {
+        return value * INCHES_PER_FOOT * CM_PER_INCH;
+    }
+    return value;
+};
+
+/**
+ * Converts a length in centimetres to the given unit.
+ * @param {number} cm - The length in centimetres.
+ * @param {string} unit - 'cm', 'in' or 'ft'.
+ * @returns {number} The length in the given unit; decimal feet for 'ft'.
+ */
+export const fromCm = (cm, unit) => {
+    if (unit === 'in') {
+        return cm / CM_PER_INCH;
+    }
+    if (unit === 'ft') {
+        return cm / CM_PER_INCH / INCHES_PER_FOOT;
+    }
+    return cm;
+};
+
+/**
+ * Converts energy in the given unit to kilocalories.
+ * @param {number} value - The energy.
+ * @param {string} unit - 'kcal' or 'kJ'.
+ * @returns {number} The energy in kilocalories.
+ */
+export const toKcal = (value, unit) => (unit === 'kJ' ? value / KJ_PER_KCAL : value);
+
+/**
+ * Converts energy in kilocalories to the given unit.
+ * @param {number} kcal - The energy in kilocalories.
+ * @param {string} unit - 'kcal' or 'kJ'.
+ * @returns {number} The energy in the given unit.
+ */
+export const fromKcal = (kcal, unit) => (unit === 'kJ' ? kcal * KJ_PER_KCAL : kcal);
+
+// --- Formatting ---
+
+// Splits a value into whole major units and the remainder in minor units, carrying a remainder that rounds up to a full major unit
+const splitCompound = (minorTotal, minorPerMajor, decimals) => {
+    let major = Math.floor(minorTotal / minorPerMajor);
+    let minor = Number((minorTotal - major * minorPerMajor).toFixed(decimals));
+    if (minor >= minorPerMajor) {
+        major += 1;
+        minor = 0;
+    }
+    return [major, minor];
+};
+
+/**
+ * Formats a mass for display, e.g. "80.0 kg", "176.4 lb" or "12 st 8.4 lb".
+ * @param {number} kg - The mass in kilograms.
+ * @param {string} unit - 'kg', 'lbs' or 'st'.
+ * @param {number} [decimals=1] - Decimal places (of the pounds part for 'st').
+ * @returns {string} The formatted mass, or 'N/A' if kg is not a number.
+ */
+export const formatMass = (kg, unit, decimals = 1) => {
+    if (typeof kg !== 'number' || !isFinite(kg)) {
+        return 'N/A';
+    }
+    if (unit === 'st') {
+        const [stones, pounds] = splitCompound(Math.abs(kg) / KG_PER_LB, LB_PER_STONE, decimals);
+        return `${kg < 0 ? '-' : ''}${stones} st ${pounds.toFixed(decimals)} lb`;
+    }
+    return `${fromKg(kg, unit).toFixed(decimals)} ${MASS_UNITS[unit] ?? unit}`;
+};
+
+/**
+ * Formats a length for display, e.g. "178.0 cm", "70.1 in" or "5 ft 10.1 in".
+ * @param {number} cm - The length in centimetres.
+ * @param {string} unit - 'cm', 'in' or 'ft'.
+ * @param {number} [decimals=1] - Decimal places (of the inches part for 'ft').
+ * @returns {string} The formatted length, or 'N/A' if cm is not a number.
+ */
+export const formatLength = (cm, unit, decimals = 1) => {
+    if (typeof cm !== 'number' || !isFinite(cm)) {
+        return 'N/A';
+    }
+    if (unit === 'ft') {
+        const [feet, inches] = splitCompound(Math.abs(cm) / CM_PER_INCH, INCHES_PER_FOOT, decimals);
+        return `${cm < 0 ? '-' : ''}${feet} ft ${inches.toFixed(decimals)} in`;
+    }
+    return `${fromCm(cm, unit).toFixed(decimals)} ${LENGTH_UNITS[unit] ?? unit}`;
+};
+
+/**
+ * Formats energy for display, e.g. "2000 kcal" or "8368 kJ".
+ * @param {number} kcal - The energy in kilocalories.
+ * @param {string} unit - 'kcal' or 'kJ'.
+ * @returns {string} The formatted energy, or 'N/A' if kcal is not a number.
+ */
+export const formatEnergy = (kcal, unit) => {
+    if (typeof kcal !== 'number' || !isFinite(kcal)) {
+        return 'N/A';
+    }
+    return `${fromKcal(kcal, unit).toFixed(0)} ${ENERGY_UNITS[unit] ?? unit}`;
+};
+
+/**
+ * Formats a mass as the value of a form input in the given unit: a plain number, or "12 st 8.4 lb" for stones.
+ * @param {number} kg - The mass in kilograms.
+ * @param {string} unit - 'kg', 'lbs' or 'st'.
+ * @returns {string} The input value, or '' if kg is not a number.
+ */
+export const formatMassInput = (kg, unit) => {
+    if (typeof kg !== 'number' || !isFinite(kg)) {
+        return '';
+    }
+    return isCompoundUnit(unit) ? formatMass(kg, unit) : String(Number(fromKg(kg, unit).toFixed(1)));
+};
+
+/**
+ * Formats a length as the value of a form input in the given unit: a plain number, or "5 ft 10.1 in" for feet.
+ * @param {number} cm - The length in centimetres.
+ * @param {string} unit - 'cm', 'in' or 'ft'.
+ * @returns {string} The input value, or '' if cm is not a number.
+ */
+export const formatLengthInput = (cm, unit) => {
+    if (typeof cm !== 'number' || !isFinite(cm)) {
+        return '';
+    }
+    return isCompoundUnit(unit) ? formatLength(cm, unit) : String(Number(fromCm(cm, unit).toFixed(1)));
+};
+
+// --- Parsing ---
+
+// Matches "<major> [majorSuffix] [<minor> [minorSuffix]]", e.g. "12 st 4 lb", "12st4", "5'10\"", "5 10" or "12.5"
+const parseCompound = (input, majorSuffix, minorSuffix) => {
+    const number = '(\\d+(?:\\.\\d+)?)';
+    const pattern = new RegExp(`^${number}\\s*(?:${majorSuffix})?\\s*(?:${number}\\s*(?:${minorSuffix})?)?$`, 'i');
+    const match = pattern.exec(input);
+    return match ? [parseFloat(match[1]), match[2] ? parseFloat(match[2]) : 0] : null;
+};
+
+/**
+ * Parses a mass typed by the user in the given unit.
+ * Stones accept "12 st 4 lb", "12st 4", "12 4" or decimal stones ("12.5").
+ * @param {string|number} input - The user's input.
+ * @param {string} unit - 'kg', 'lbs' or 'st'.
+ * @returns {number} The mass in kilograms, or NaN if the input is not a valid mass.
+ */
+export const parseMass = (input, unit) => {
+    if (typeof input === 'number') {
+        return toKg(input, unit);
+    }
+    const text = String(input ?? '').trim();
+    if (text === '') {
+        return NaN;
+    }
+    if (unit === 'st') {
+        const parts = parseCompound(text, 'st|stone|stones', 'lbs?|pounds?');
+        return parts ? (parts[0] * LB_PER_STONE + parts[1]) * KG_PER_LB : NaN;
+    }
+    return toKg(parseFloat(text), unit);
+};
+
+/**
+ * Parses a length typed by the user in the given unit.
+ * Feet accept "5 ft 10 in", "5'10\"", "5 10" or decimal feet ("5.5").
+ * @param {string|number} input - The user's input.
+ * @param {string} unit - 'cm', 'in' or 'ft'.
+ * @returns {number} The length in centimetres, or NaN if the input is not a valid length.
+ */
+export const parseLength = (input, unit) => {
+    if (typeof input === 'number') {
+        return toCm(input, unit);
+    }
+    const text = String(input ?? '').trim();
+    if (text === '') {
+        return NaN;
+    }
+    if (unit === 'ft') {
+        const parts = parseCompound(text, "ft|feet|foot|'", 'in|inch|inches|"');
+        return parts ? (parts[0] * INCHES_PER_FOOT + parts[1]) * CM_PER_INCH : NaN;
+    }
+    return toCm(parseFloat(text), unit);
+};
+
+/**
+ * Parses energy typed by the user in the given unit.
+ * @param {string|number} input - The user's input.
+ * @param {string} unit - 'kcal' or 'kJ'.
+ * @returns {number} The energy in kilocalories, or NaN if the input is not a number.
+ */
+export const parseEnergy = (input, unit) => toKcal(typeof input === 'number' ? input : parseFloat(input), unit);